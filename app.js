@@ -3,11 +3,12 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { DragControls } from "three/examples/jsm/controls/DragControls.js";
 import { createOakTree } from './objects/oakTree.js';
 import { COLOURS } from './constants.js';
-import { Figure, createCrowdPerson, createPersonMeshOnly, getCrowdMaterials } from './objects/character.js';
+import { Figure, createPersonMeshOnly, getCrowdMaterials } from './objects/character.js';
 import { GUI } from 'dat.gui';
 import { createDunelmHouse, createDefaultEnvMap } from './objects/su.js';
 import { createKingsgateBridge } from './objects/bridge.js';
 import { createFence } from './objects/fence.js';
+import { BARRIER_TYPES, createBarrier, getBarrierLayout, parseBarrierLayout } from './objects/barrier.js';
 import { createHouse } from './objects/house.js';
 import { createStaircase } from './objects/staircase.js';
 import { getSharedPetalGeometry, getSharedStemGeometry, PETAL_LAYOUT } from './objects/lilyStructure.js';
@@ -18,9 +19,22 @@ import Stats from 'three/examples/jsm/libs/stats.module'
 import { generateTerrain } from './objects/landscape/farHill.js';
 import { getTexture } from './utils/getTexture.js';
 import { Octree, createOctreeDebugLines } from './utils/Octree.js';
-import { CompositeQuadtree, createQuadtreeDebugLines } from './utils/Quadtree.js';
+import { createQuadtreeDebugLines } from './utils/Quadtree.js';
 import { createDragonfly, getDragonflyGeometry, getDragonflyGeometryLOD, getDragonflyMaterial } from './objects/dragonfly.js';
 import { findPathOctree } from './utils/astar.js';
+import { setSeed, getSeed, getStream, randomSeed } from './utils/random.js';
+import { BODY_RADIUS, CrowdSimulation, LILY_AVOID_RADIUS, SIM_LOD_TIERS, SIM_STEP } from './crowd/CrowdSimulation.js';
+import { SimulationClock } from './utils/SimulationClock.js';
+import { FollowCamera } from './utils/FollowCamera.js';
+import { EntranceQueue } from './crowd/EntranceQueue.js';
+import { CrowdSource } from './crowd/CrowdSource.js';
+import { PointOfInterest } from './crowd/PointOfInterest.js';
+import { createCapsuleChainShape, createConvexShape, getShapeDistance, getShapeOutline } from './crowd/collisionShapes.js';
+import { AGENT_PROFILES, DEFAULT_PROFILE_WEIGHTS } from './crowd/profiles.js';
+import { LOD_TIERS, TrajectoryRecorder, parseTrajectory } from './crowd/TrajectoryRecorder.js';
+import { TrajectoryPlayer } from './crowd/TrajectoryPlayer.js';
+import { CrowdMetricsLogger } from './crowd/CrowdMetricsLogger.js';
+import { DENSITY_METRICS, DensityField, createDensityOverlay, heatColour, updateDensityOverlay } from './crowd/DensityField.js';
 import {
     createBezierSampler,
     createBSplineSampler,
@@ -38,6 +52,10 @@ import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
 import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
 import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
 
+// Seed every random stream before anything is built: ?seed=<number|text> rebuilds the same scene and crowd history
+const urlSeed = new URLSearchParams(window.location.search).get('seed');
+setSeed(urlSeed ?? randomSeed());
+
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x7f3cc2);
 scene.fog = new THREE.FogExp2(0x601da3, 0.003);
@@ -68,20 +86,84 @@ renderer.domElement.addEventListener('webglcontextrestored', () => {
 
 // Unified PARAMS dictionary for all GUI-controlled values (defined early so it's available for post-processing setup)
 const PARAMS = {
+    // Global PRNG seed (applied by reloading with ?seed=)
+    scene: {
+        seed: String(getSeed())
+    },
     // Sky gradient (Lumiere: slightly lit night sky)
     sky: {
         topColor: 0x1e1e3a,
         bottomColor: 0x0c0c1a
     },
     people: {
-        count: 200
+        count: 200,
+        // Relative weight of each social group size for newly spawned people (singles, couples, families, friends)
+        groupSizes: { 1: 0.4, 2: 0.35, 3: 0.12, 4: 0.09, 5: 0.04 },
+        // Relative weight of each agent profile (see crowd/profiles.js) for newly spawned people
+        profiles: { ...DEFAULT_PROFILE_WEIGHTS }
+    },
+    // Open population: people arrive at CROWD_ENTRANCES and go home through CROWD_EXITS
+    population: {
+        open: true
+    },
+    // Kingsgate Bridge: side people keep to when passing oncoming walkers ('left' or 'right'), and the direction
+    // stewards let people cross in ('off' for both ways, 'toFar' or 'toNear')
+    bridge: {
+        keepSide: 'left',
+        oneWay: 'off'
+    },
+    // Surface-aware locomotion (see crowd/locomotion.js): per walkable region (walkableRegions order) the max speed
+    // factor and how hard wanderers steer off it; slope (0..1) scales the slowdown on gradients
+    locomotion: {
+        slope: 1,
+        regions: [
+            { label: "Far pavement", speed: 1, avoid: 0 },
+            { label: "Near pavement", speed: 1, avoid: 0 },
+            { label: "Road", speed: 1, avoid: 0.6 },
+            { label: "Grass 1", speed: 0.8, avoid: 0 },
+            { label: "Grass 2", speed: 0.8, avoid: 0 },
+            { label: "Bridge deck", speed: 1, avoid: 0 },
+            { label: "Connection", speed: 1, avoid: 0 },
+            { label: "Path", speed: 1, avoid: 0 },
+            { label: "Staircase", speed: 0.6, avoid: 0 }
+        ]
+    },
+    // Evacuation: exit choice of evacuees ('nearest' or 'leastCongested')
+    evacuation: {
+        exitChoice: 'nearest'
+    },
+    // Dunelm House entrance queue
+    queue: {
+        capacity: 12,
+        serviceRate: 0.5,   // admissions per second
+        balkLength: 8       // arrivals start to balk at this line length
     },
     // Flocking behavior
     flocking: {
+        avoidance: 'Reynolds',   // agent-agent avoidance: 'Reynolds' (separation force) or 'ORCA'
         sep: { on: true, val: 0.2 },
         ali: { on: true, val: 0.5 },
         coh: { on: true, val: 0.8 }
     },
+    // Helbing social force model (replaces flocking and target steering when enabled). Values are for walking at
+    // 1.34 m/s; CrowdSimulation rescales them to the crowd's pace
+    socialForce: {
+        enabled: false,         // desired speed follows each person's max speed, as with flocking
+        relaxationTime: 0.5,    // s
+        agentStrength: 10,      // m/s² at body contact
+        agentRange: 0.3,        // m
+        anisotropy: 0.35,       // weight of people behind (1 = as much as those ahead)
+        wallStrength: 10,       // m/s² at wall contact
+        wallRange: 0.2          // m
+    },
+    // Simulation level of detail (see CrowdSimulation): people on screen within nearDistance of the camera steer every
+    // update; further away or off screen they steer less often, and beyond farDistance with coarse flocking. That
+    // makes the crowd's history depend on the camera, so it is off for ?seed= runs and while recording
+    lod: {
+        enabled: urlSeed === null,
+        nearDistance: 45,       // m: the close render tier's demote distance
+        farDistance: 100        // m: the render cull distance
+    },
     farHill: {
         treeCount: 100
     },
@@ -195,6 +277,17 @@ orbitControls.dampingFactor = 0.05;
 orbitControls.minPolarAngle = 0;
 orbitControls.maxPolarAngle = Math.PI / 2;
 
+// Chase and first-person (POV) modes follow the inspected person; orbit hands back to OrbitControls
+const followCamera = new FollowCamera(camera, orbitControls);
+const cameraParams = { mode: 'orbit' };
+
+// Phone screen frame over the POV while the followed person takes a photo; white while their flash fires
+const phoneFrame = document.createElement('div');
+phoneFrame.style.cssText = 'position:fixed;left:50%;top:50%;height:80vh;aspect-ratio:9/16;transform:translate(-50%,-50%);' +
+    'border:14px solid #111;border-radius:36px;box-shadow:0 0 0 100vmax rgba(0,0,0,0.85);pointer-events:none;display:none;';
+document.body.appendChild(phoneFrame);
+const PHONE_FRAME_FLASH_DURATION = 0.15; // s the frame stays white after the snap's flash
+
 const controls = {
     moveSpeed: 1,
     direction: { left: false, right: false, forward: false, backward: false },
@@ -212,6 +305,15 @@ window.addEventListener('keydown', (e) => {
             getCrowdMaterials().forEach(m => { m.wireframe = controls.wireframe; });
             instancedMatMedium.wireframe = controls.wireframe;
             break;
+        case 'p': // Pause / resume the simulation clock
+            simClock.togglePause();
+            break;
+        case 'n': // Single simulation step while paused
+            simClock.stepOnce();
+            break;
+        case 'Escape': // Deselect the inspected person
+            selectPerson(null);
+            break;
     }
 });
 
@@ -262,12 +364,53 @@ function onWindowResize() {
     fxaaPass.material.uniforms["resolution"].value.y = 1 / (height * ratio);
 }
 
-function updateCamera() {
+function updateCamera(frameSeconds) {
+    if (followCamera.mode !== 'orbit') {
+        const person = followCamera.person;
+        followCamera.update(frameSeconds, person.mesh ? person.mesh.position : person._displayPos);
+        updatePhoneFrame();
+        return;
+    }
     if (controls.direction.left) camera.position.x -= controls.moveSpeed;
     if (controls.direction.right) camera.position.x += controls.moveSpeed;
     if (controls.direction.forward) camera.position.z -= controls.moveSpeed;
     if (controls.direction.backward) camera.position.z += controls.moveSpeed;
     orbitControls.update();
+    followCamera.update(frameSeconds);
+    updatePhoneFrame();
+}
+
+function updatePhoneFrame() {
+    const show = followCamera.phoneView;
+    phoneFrame.style.display = show ? 'block' : 'none';
+    if (!show) return;
+    const snapTime = followCamera.person.dwellTime ?? 0;
+    const flash = snapTime >= SNAP_FLASH_TIME && snapTime < SNAP_FLASH_TIME + PHONE_FRAME_FLASH_DURATION;
+    phoneFrame.style.background = flash ? 'rgba(255,255,255,0.8)' : 'transparent';
+}
+
+/**
+ * Switch camera mode. Chase and POV follow the inspected person, or select the nearest outdoor person to the camera
+ * when nobody is selected (orbit if there is nobody, or during trajectory playback).
+ * @param {'orbit' | 'chase' | 'pov'} mode
+ */
+function setCameraMode(mode) {
+    if (trajectoryPlayer) mode = 'orbit'; // stand-ins from a recording cannot be followed
+    if (mode !== 'orbit' && !selectedPerson) {
+        let nearest = null, nearestDistSq = Infinity;
+        for (let i = 0; i < people.length; i++) {
+            if (people[i].state === "INSIDE") continue;
+            const d = people[i].pos.distanceToSquared(camera.position);
+            if (d < nearestDistSq) {
+                nearest = people[i];
+                nearestDistSq = d;
+            }
+        }
+        if (nearest) selectPerson(nearest);
+        else mode = 'orbit';
+    }
+    followCamera.setMode(mode, selectedPerson);
+    cameraParams.mode = mode;
 }
 
 const plane = new THREE.Mesh(
@@ -340,16 +483,19 @@ const farHillRayDirection = new THREE.Vector3(0, -1, 0);
 const _farHillBillboardQuat = new THREE.Quaternion();
 const _farHillAxisY = new THREE.Vector3(0, 1, 0);
 
+const farHillTreeRng = getStream('farHillTrees');
+
 function rebuildFarHillTrees() {
     farHillTreePositions.length = 0;
+    farHillTreeRng.reset(); // same seed -> same trees; a larger count only appends trees
     scene.updateMatrixWorld(true);
     const b = FAR_HILL_TREE_BOUNDS;
     const rayOriginY = 5; // above far hill surface (terrain ~ Y -55 to 0)
     let hitCount = 0;
     const treeYOffset = FAR_HILL_TREE_HEIGHT / 3;
     for (let i = 0; i < PARAMS.farHill.treeCount; i++) {
-        const x = b.xMin + Math.random() * (b.xMax - b.xMin);
-        const z = b.zMin + Math.random() * (b.zMax - b.zMin);
+        const x = farHillTreeRng.range(b.xMin, b.xMax);
+        const z = farHillTreeRng.range(b.zMin, b.zMax);
         farHillRayOrigin.set(x, rayOriginY, z);
         farHillRaycaster.set(farHillRayOrigin, farHillRayDirection);
         const hits = farHillRaycaster.intersectObject(farHill);
@@ -634,7 +780,7 @@ const bridge = createKingsgateBridge(-20, -0.4, -100, bridgeScale, { deckLength:
 bridge.traverse((o) => { if (o.isMesh) { o.receiveShadow = true; o.castShadow = true; } });
 scene.add(bridge);
 
-// Invisible railing obstacle boxes for person/dragonfly env avoidance and placement rejection (match bridge.js railing layout)
+// Invisible railing obstacles (oriented collision shapes) for person/dragonfly env avoidance and placement rejection (match bridge.js railing layout)
 const bridgeW = 2, bridgeT = 0.3, bridgeRailingWidth = 0.18, bridgeRailingHeight = 0.9, bridgeL = bridgeDeckLength;
 // Additional safety margin from railings for walkable bounds (keeps people away from railings)
 const BRIDGE_WALKABLE_RAILING_MARGIN = 0.2;
@@ -704,7 +850,7 @@ const fence = createFence(fenceControlPoints, { railingHeight: 2 });
 fence.traverse((o) => { if (o.isMesh) { o.receiveShadow = false; o.castShadow = true; } });
 scene.add(fence);
 fence.updateMatrixWorld(true);
-// Note: boundingBox will be set by the environmentObjects loop below (line ~962)
+// Note: collisionShape will be set by the environmentObjects loop below
 fence.userData.isBoundaryObstacle = true;
 
 const PATH_WIDTH = 10;
@@ -778,30 +924,33 @@ scene.add(treeElement);
 // Two more oak trees randomly on bsplineSurfaceGrass1
 bsplineSurfaceGrass1.updateMatrixWorld(true);
 const treePlacePos = new THREE.Vector3();
+const sceneryRng = getStream('scenery');
 const tree2 = createOakTree(0, 0);
 tree2.traverse((o) => { if (o.isMesh) o.castShadow = true; });
-let u = 0.15 + Math.random() * 0.7, v = 0.15 + Math.random() * 0.7;
+let u = sceneryRng.range(0.15, 0.85), v = sceneryRng.range(0.15, 0.85);
 getBSplineSurfaceWorldPointAtNormalized(bsplineSurfaceGrass1, bsplineControlPointsGrass1, u, v, treePlacePos);
 tree2.position.set(treePlacePos.x, treePlacePos.y, treePlacePos.z);
 scene.add(tree2);
 const tree3 = createOakTree(0, 0);
 tree3.traverse((o) => { if (o.isMesh) o.castShadow = true; });
-u = 0.15 + Math.random() * 0.7;
-v = 0.15 + Math.random() * 0.7;
+u = sceneryRng.range(0.15, 0.85);
+v = sceneryRng.range(0.15, 0.85);
 getBSplineSurfaceWorldPointAtNormalized(bsplineSurfaceGrass1, bsplineControlPointsGrass1, u, v, treePlacePos);
 tree3.position.set(treePlacePos.x, treePlacePos.y, treePlacePos.z);
 scene.add(tree3);
 
 const environmentObjects = [
     tree2, tree3, dunelm,
-    house, house2, house3
+    house, house2, house3,
+    fence, pathFence, bridgeRailingLeft, bridgeRailingRight
 ];
 
 const LUMINOUS_PETAL_COLORS = [
     0xff44aa, 0x00ddcc, 0xffaa44, 0xaa44ff, 0x44ffaa, 0xff6644, 0x4488ff, 0xffcc00
 ];
+const lilyRng = getStream('lilies');
 function randomLuminousPetalColor() {
-    return LUMINOUS_PETAL_COLORS[Math.floor(Math.random() * LUMINOUS_PETAL_COLORS.length)];
+    return lilyRng.pick(LUMINOUS_PETAL_COLORS);
 }
 const LILY_MAX_COUNT = 100;
 const PETALS_PER_LILY = PETAL_LAYOUT.length; // 9
@@ -836,7 +985,6 @@ lilyPetalInstancedMesh.receiveShadow = true;
 lilyContainer.add(lilyPetalInstancedMesh);
 
 let lilies = [];
-let lilyAvoidBounds = null;
 const _lilyEvalPos = new THREE.Vector3();
 const _lilyDummy = new THREE.Object3D();
 const _lilyPetalDummy = new THREE.Object3D();
@@ -845,17 +993,18 @@ const _lilyStemMatrix = new THREE.Matrix4();
 
 function updateLilies() {
     lilies = [];
+    lilyRng.reset(); // same seed -> same lilies; a larger count only appends lilies
     const n = Math.min(PARAMS.lilies.count, LILY_MAX_COUNT);
     lilyStemInstancedMesh.count = n;
     lilyPetalInstancedMesh.count = n * PETALS_PER_LILY;
     if (n <= 0) return;
     bsplineSurfaceGrass1.updateMatrixWorld(true);
     for (let i = 0; i < n; i++) {
-        const u = 0.12 + Math.random() * 0.76;
-        const v = 0.12 + Math.random() * 0.76;
+        const u = lilyRng.range(0.12, 0.88);
+        const v = lilyRng.range(0.12, 0.88);
         getBSplineSurfaceWorldPointAtNormalized(bsplineSurfaceGrass1, bsplineControlPointsGrass1, u, v, _lilyEvalPos);
         const x = _lilyEvalPos.x, y = _lilyEvalPos.y, z = _lilyEvalPos.z;
-        const stemHeight = 4 + Math.random() * 1.5;
+        const stemHeight = lilyRng.range(4, 5.5);
         const petalColor = randomLuminousPetalColor();
         _lilyDummy.position.set(x, y + stemHeight / 2, z);
         _lilyDummy.quaternion.identity();
@@ -883,22 +1032,6 @@ function updateLilies() {
         }
         lilies.push({ x, y, z, stemHeight, petalColor });
     }
-    if (lilies.length > 0) {
-        let lxMin = Infinity, lxMax = -Infinity, lzMin = Infinity, lzMax = -Infinity;
-        for (let i = 0; i < lilies.length; i++) {
-            const l = lilies[i];
-            if (l.x < lxMin) lxMin = l.x;
-            if (l.x > lxMax) lxMax = l.x;
-            if (l.z < lzMin) lzMin = l.z;
-            if (l.z > lzMax) lzMax = l.z;
-        }
-        lilyAvoidBounds = new THREE.Box3(
-            new THREE.Vector3(lxMin - 1, -1e6, lzMin - 1),
-            new THREE.Vector3(lxMax + 1, 1e6, lzMax + 1)
-        );
-    } else {
-        lilyAvoidBounds = null;
-    }
     lilyStemInstancedMesh.instanceMatrix.needsUpdate = true;
     if (lilyPetalInstancedMesh.instanceColor) lilyPetalInstancedMesh.instanceColor.needsUpdate = true;
     lilyPetalInstancedMesh.instanceMatrix.needsUpdate = true;
@@ -906,72 +1039,60 @@ function updateLilies() {
 updateLilies();
 
 scene.updateMatrixWorld(true);
-const _envBoxTemp = new THREE.Box3();
-const _envBoxWorldPos = new THREE.Vector3();
-const ENV_BOX_MARGIN = 0.5;
-const FENCE_BOX_MARGIN = 0.7;  // Match manual fence/pathFence expansion (was 0.15, but fence/pathFence use 0.7)
-const BRIDGE_RAILING_BOX_MARGIN = 0.15;  // tighter for bridge railings so they don't overlap deck
+const _envMeshBox = new THREE.Box3();
+const _envCorner = new THREE.Vector3();
+const ENV_SHAPE_MARGIN = 0.5;
+const FENCE_SHAPE_MARGIN = 0.15;           // beyond half the railing width, round each fence segment
+const BRIDGE_RAILING_SHAPE_MARGIN = 0.15;  // tighter for bridge railings so they don't overlap deck
 
 /**
- * Compute bounding box from actual mesh geometry in world space (for Groups with transforms)
- * This ensures tight bounding boxes for objects like bridge railings that are Groups containing meshes.
- * The issue with setFromObject on Groups is that it computes an axis-aligned bounding box that can be
- * much larger than the actual geometry when the group contains rotated/scaled meshes.
+ * Collision shape of an environment object (see crowd/collisionShapes.js). Fences from createFence become capsule
+ * chains along their control points. Anything else becomes the convex hull in XZ of its meshes' bounding box corners
+ * in world space, so the bridge railings and rotated houses keep their orientation instead of growing an
+ * axis-aligned box over empty ground.
  */
-function computeTightBoundingBox(obj) {
+function computeCollisionShape(obj) {
     if (!obj) return null;
+    obj.updateMatrixWorld(true);
 
-    // For bridge railings (Groups with single mesh), compute from the actual mesh geometry
-    if (obj.userData.bridgeRailing && obj.isGroup) {
-        // Find the actual mesh inside the group
-        let mesh = null;
-        obj.traverse((child) => {
-            if (child.isMesh && !mesh) {
-                mesh = child;
-            }
-        });
-
-        if (mesh) {
-            // Ensure mesh geometry has bounding box computed
-            if (!mesh.geometry.boundingBox) {
-                mesh.geometry.computeBoundingBox();
-            }
-            const localBox = mesh.geometry.boundingBox.clone();
-
-            // Get the 8 corners of the mesh's local bounding box
-            const corners = [
-                new THREE.Vector3(localBox.min.x, localBox.min.y, localBox.min.z),
-                new THREE.Vector3(localBox.max.x, localBox.min.y, localBox.min.z),
-                new THREE.Vector3(localBox.min.x, localBox.max.y, localBox.min.z),
-                new THREE.Vector3(localBox.max.x, localBox.max.y, localBox.min.z),
-                new THREE.Vector3(localBox.min.x, localBox.min.y, localBox.max.z),
-                new THREE.Vector3(localBox.max.x, localBox.min.y, localBox.max.z),
-                new THREE.Vector3(localBox.min.x, localBox.max.y, localBox.max.z),
-                new THREE.Vector3(localBox.max.x, localBox.max.y, localBox.max.z),
-            ];
-
-            // Ensure world matrices are up to date
-            obj.updateMatrixWorld(true);
-            mesh.updateMatrixWorld(true);
-
-            // Transform each corner from mesh local space to world space
-            // mesh.localToWorld() handles both mesh and parent group transforms
-            const worldBox = new THREE.Box3();
-            worldBox.makeEmpty();
-            for (const corner of corners) {
-                const worldCorner = corner.clone();
-                mesh.localToWorld(worldCorner);
-                worldBox.expandByPoint(worldCorner);
-            }
-
-            return worldBox;
+    const { controlPoints, railingWidth, railingHeight } = obj.userData;
+    if (controlPoints) {
+        const points = controlPoints.map(p => obj.localToWorld(p.clone()));
+        let minY = Infinity, maxY = -Infinity;
+        for (const p of points) {
+            minY = Math.min(minY, p.y);
+            maxY = Math.max(maxY, p.y + railingHeight);
         }
+        return createCapsuleChainShape(points, railingWidth / 2 + FENCE_SHAPE_MARGIN, {
+            minY: minY - FENCE_SHAPE_MARGIN,
+            maxY: maxY + FENCE_SHAPE_MARGIN
+        });
     }
 
-    // For other objects, use standard setFromObject
-    obj.updateMatrixWorld(true);
-    _envBoxTemp.setFromObject(obj);
-    return _envBoxTemp.clone();
+    const corners = [];
+    let minY = Infinity, maxY = -Infinity;
+    obj.traverse((child) => {
+        if (!child.isMesh) return;
+        // Instanced meshes bound all their instances; other meshes their geometry
+        if (child.isInstancedMesh) {
+            if (!child.boundingBox) child.computeBoundingBox();
+            _envMeshBox.copy(child.boundingBox);
+        } else {
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+            _envMeshBox.copy(child.geometry.boundingBox);
+        }
+        if (_envMeshBox.isEmpty()) return;
+        const { min, max } = _envMeshBox;
+        for (let k = 0; k < 8; k++) {
+            _envCorner.set(k & 1 ? max.x : min.x, k & 2 ? max.y : min.y, k & 4 ? max.z : min.z).applyMatrix4(child.matrixWorld);
+            corners.push({ x: _envCorner.x, z: _envCorner.z });
+            minY = Math.min(minY, _envCorner.y);
+            maxY = Math.max(maxY, _envCorner.y);
+        }
+    });
+    if (corners.length === 0) return null;
+    const margin = obj.userData.bridgeRailing ? BRIDGE_RAILING_SHAPE_MARGIN : ENV_SHAPE_MARGIN;
+    return createConvexShape(corners, { margin, minY: minY - margin, maxY: maxY + margin });
 }
 
 for (let i = 0; i < environmentObjects.length; i++) {
@@ -981,21 +1102,12 @@ for (let i = 0; i < environmentObjects.length; i++) {
         continue;
     }
 
-    // Compute tight bounding box (especially important for bridge railings)
-    const tightBox = computeTightBoundingBox(obj);
-    if (!tightBox) {
-        console.warn(`Failed to compute bounding box for environmentObjects[${i}]`, obj);
+    const shape = computeCollisionShape(obj);
+    if (!shape) {
+        console.warn(`Failed to compute collision shape for environmentObjects[${i}]`, obj);
         continue;
     }
-
-    const margin = obj.userData.isBoundaryObstacle ? FENCE_BOX_MARGIN
-        : (obj.userData.bridgeRailing ? BRIDGE_RAILING_BOX_MARGIN : ENV_BOX_MARGIN);
-    tightBox.expandByScalar(margin);
-    obj.userData.boundingBox = tightBox;
-
-    if (!obj.userData.boundingBox || !obj.userData.boundingBox.isBox3) {
-        console.error(`Failed to set boundingBox for environmentObjects[${i}]`, obj);
-    }
+    obj.userData.collisionShape = shape;
 }
 
 function disableMatrixAutoUpdateForStatic(...objects) {
@@ -1018,10 +1130,8 @@ const WALKABLE_WORLD_BOUNDS = new THREE.Box3(
     new THREE.Vector3(-75, -25, -165),
     new THREE.Vector3(90, 12, 15)
 );
-const peopleQuadtree = new CompositeQuadtree({ maxDepth: 5, minSize: 2 });
-const MAX_PLACEMENT_RETRIES = 20;
-
 const BRIDGE_DECK_REGION_INDEX = 5; // walkableRegions[5] = bridge deck; excluded from initial placement
+// Indices are shared with PARAMS.locomotion.regions
 const walkableRegions = [
     createBezierSampler(farPavementControlPoints),
     createBezierSampler(nearPavementControlPoints),
@@ -1058,36 +1168,18 @@ const walkableSampler = createCombinedSampler(walkableRegions, {
     yCeiling: 50
 });
 
-const PERSON_RADIUS = 0.5;
-const LILY_AVOID_RADIUS = 1;
-const FEET_SURFACE_Y_OFFSET = Figure.getFeetSurfaceYOffset();
-const FLOCK_RADIUS = 10;
-const FLOCK_MAX_NEIGHBORS = 20;
+const debugParams = { peopleQuadtree: false, dragonflyOctree: false, walkableGrid: false, environmentShapes: false, pedestrianPaths: false, densityHeatmap: false, logPersonMovement: false, debugPersonIndex: 0 };
+
 const ENABLE_PROFILING = false;
 let _profileLastLog = 0;
 let _profileCrowdMs = 0;
 let _profileBucketMs = 0;
 const _dummyMatrix = new THREE.Matrix4();
-const _flockBox2D = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 }; // 2D box for peopleQuadtree.queryBounds
-const _flockNeighbors = []; // reused for peopleQuadtree.queryBounds in applyPhysics
-const _flockSeenIds = new Set(); // dedupe quadtree results in applyPhysics
 const _dummyPosition = new THREE.Vector3();
 const _dummyQuaternion = new THREE.Quaternion();
 const _dummyScale = new THREE.Vector3(1, 1, 1);
-const _lilyWorldPos = new THREE.Vector3();
-
-const _physicsForce = new THREE.Vector3();
-const _physicsSep = new THREE.Vector3();
-const _physicsAli = new THREE.Vector3();
-const _physicsCoh = new THREE.Vector3();
-const _physicsPush = new THREE.Vector3();
-const _physicsDestination = new THREE.Vector3();
-const _physicsAvoid = new THREE.Vector3();
-const _physicsClampResult = new THREE.Vector3();
-const _physicsWanderVec = new THREE.Vector3();
-const _physicsClampedPoint = new THREE.Vector3();
-const _envClampPoint = new THREE.Vector3();
-const _envClampNormal = new THREE.Vector3();
+const _personScale = new THREE.Vector3(); // body scale of the person's agent profile
+
 const _animatePersonQuat = new THREE.Quaternion();
 const _animatePersonAxisY = new THREE.Vector3(0, 1, 0);
 
@@ -1095,7 +1187,7 @@ const _dfDesired = new THREE.Vector3();
 const _dfSteer = new THREE.Vector3();
 const _dfSep = new THREE.Vector3();
 const _dfAvoid = new THREE.Vector3();
-const _dfClampedPoint = new THREE.Vector3();
+const _dfShapeContact = { x: 0, z: 0, nx: 0, nz: 0 };
 const _dfRandomDir = new THREE.Vector3();
 const _dfPhysicsForce = new THREE.Vector3();
 const _dfFlockBox = new THREE.Box3();
@@ -1104,15 +1196,31 @@ const _dfFlockNeighbors = [];
 const _dfSeenIds = new Set(); // dedupe octree results (entity can be in multiple cells)
 const DRAGONFLY_SLOW_RADIUS = 3;
 
-// Hybrid crowd: InstancedMesh for medium (40-100m); characters beyond 100m are culled
-const INSTANCED_MAX = 1000;
+// Hybrid crowd: InstancedMesh for medium (40-100m); characters beyond 100m are culled. The mesh is rebuilt with
+// twice the capacity whenever the mid tier outgrows it (see ensureInstancedCapacity)
+const INSTANCED_INITIAL_CAPACITY = 1000;
 const instancedGeoMedium = Figure.getInstanceGeometryHighOnly();
 const instancedMatMedium = Figure.getInstanceMaterial();
-const instancedMeshMedium = new THREE.InstancedMesh(instancedGeoMedium, instancedMatMedium, INSTANCED_MAX);
-instancedMeshMedium.count = 0;
-instancedMeshMedium.geometry.setAttribute('instanceColor', new THREE.InstancedBufferAttribute(new Float32Array(INSTANCED_MAX * 3), 3));
-instancedMeshMedium.castShadow = false;
-scene.add(instancedMeshMedium);
+let instancedMeshMedium = createInstancedMeshMedium(INSTANCED_INITIAL_CAPACITY);
+
+function createInstancedMeshMedium(capacity) {
+    const mesh = new THREE.InstancedMesh(instancedGeoMedium, instancedMatMedium, capacity);
+    mesh.count = 0;
+    mesh.geometry.setAttribute('instanceColor', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3));
+    mesh.castShadow = false;
+    scene.add(mesh);
+    return mesh;
+}
+
+/** @param {number} count - mid-tier people to draw this frame */
+function ensureInstancedCapacity(count) {
+    let capacity = instancedMeshMedium.instanceMatrix.count;
+    if (count <= capacity) return;
+    while (capacity < count) capacity *= 2;
+    scene.remove(instancedMeshMedium);
+    instancedMeshMedium.dispose();
+    instancedMeshMedium = createInstancedMeshMedium(capacity);
+}
 
 const DRAGONFLY_MAX = 1000;
 const dfInstancedClose = new THREE.InstancedMesh(getDragonflyGeometry(), getDragonflyMaterial(), DRAGONFLY_MAX);
@@ -1166,10 +1274,96 @@ const _dummyQuatBank = new THREE.Quaternion();
 const _listClose = [];
 const _listMid = [];
 
-let people = [];
-let peopleInsideCount = 0;  // avoids O(n) loop for door open/close
+// Bridge endpoints: near end (staircase side) and far end (opposite side)
+const BRIDGE_CENTER_X = -20;            // bridge center X position (matches bridge.position.x)
+const BRIDGE_FAR_Z = -100 - (bridgeDeckLength / 2) * bridgeScale;  // z = -160
+const BRIDGE_NEAR_Z = -100 + (bridgeDeckLength / 2) * bridgeScale; // z = -40
+const BRIDGE_DECK_Y = 0.8;  // bridge deck top surface Y
+const BRIDGE_FAR_TARGET = new THREE.Vector3(BRIDGE_CENTER_X, BRIDGE_DECK_Y, BRIDGE_FAR_Z);
+const BRIDGE_NEAR_TARGET = new THREE.Vector3(BRIDGE_CENTER_X, BRIDGE_DECK_Y, BRIDGE_NEAR_Z);
+// Queue head must be on a walkable surface; use connection surface left edge near door (door at ~(-4.3,1.8,-33) is unwalkable).
+// The line then runs along the connection surface's camera-side edge towards the staircase.
+const DUNELM_QUEUE_PATH = [
+    new THREE.Vector3(-5.75, 0, -32.2),
+    new THREE.Vector3(-6.5, 0, -30.8),
+    new THREE.Vector3(-14, 0, -27.7)
+];
+const dunelmQueue = new EntranceQueue({
+    path: DUNELM_QUEUE_PATH,
+    capacity: PARAMS.queue.capacity,
+    serviceRate: PARAMS.queue.serviceRate,
+    balkLength: PARAMS.queue.balkLength,
+    walkableSampler
+});
+
+// Ways in and out of the festival: both ends of the road (where it leaves the walkable regions), the top of the
+// staircase and the far bank of the bridge
+const ROAD_WEST_END = new THREE.Vector3(-22.5, 0, -1.5);
+const ROAD_EAST_END = new THREE.Vector3(77.5, 0, 3.5);
+const BRIDGE_FAR_BANK = new THREE.Vector3(BRIDGE_CENTER_X, BRIDGE_DECK_Y, BRIDGE_FAR_Z + 2);
+// Arrival rate factor over the evening (simulated s): the festival fills up, peaks, then people stop coming
+const EVENING_ARRIVALS = [
+    { time: 0, factor: 0.5 },
+    { time: 300, factor: 1 },
+    { time: 900, factor: 1 },
+    { time: 1500, factor: 0.1 }
+];
+const CROWD_ENTRANCES = [
+    new CrowdSource({ name: "Road (west)", position: ROAD_WEST_END, rate: 12, schedule: EVENING_ARRIVALS }),
+    new CrowdSource({ name: "Road (east)", position: ROAD_EAST_END, rate: 8, schedule: EVENING_ARRIVALS }),
+    new CrowdSource({ name: "Staircase", position: staircaseEnd, rate: 6, schedule: EVENING_ARRIVALS }),
+    new CrowdSource({ name: "Bridge (far bank)", position: BRIDGE_FAR_BANK, radius: 1, rate: 4, schedule: EVENING_ARRIVALS })
+];
+// Goals of the 'exits' and 'exit:<index>' flow fields; people leaving the festival are removed on reaching one
+const CROWD_EXITS = [ROAD_WEST_END, ROAD_EAST_END, staircaseEnd, BRIDGE_FAR_BANK];
+const CROWD_EXIT_NAMES = ["Road (west)", "Road (east)", "Staircase", "Bridge (far bank)"];
+// Installations people visit besides the lilies and Dunelm House (which the crowd registers itself), as
+// PointOfInterest options: the middle of the far meadow is the best view of the wave canopy's lights overhead
+const _canopyViewPos = new THREE.Vector3();
+getBSplineSurfaceWorldPointAtNormalized(bsplineSurfaceGrass2, bsplineControlPointsGrass2, 0.5, 0.5, _canopyViewPos);
+const CROWD_POINTS_OF_INTEREST = [
+    {
+        name: "Wave canopy",
+        position: _canopyViewPos,
+        approachRadius: 5,
+        arriveRadius: 1.5,
+        capacity: 12,
+        dwell: [4, 10],
+        animation: 'lookUp',
+        attractiveness: 0.8,
+        need: 'curiosity',
+        satisfaction: 0.3
+    }
+];
+
+// Crowd logic (decisions, physics, door) lives in CrowdSimulation; this file only renders its people
+const crowd = new CrowdSimulation({
+    walkableSampler,
+    environmentObjects,
+    lilies,
+    pointsOfInterest: CROWD_POINTS_OF_INTEREST.map(options => new PointOfInterest(options)),
+    door: {
+        queue: dunelmQueue,
+        position: dunelm.userData.doorWorldPosition,
+        exitDirection: dunelm.userData.doorExitDirection
+    },
+    bridgeFarTarget: BRIDGE_FAR_TARGET,
+    bridgeNearTarget: BRIDGE_NEAR_TARGET,
+    bridgeRegionIndex: BRIDGE_DECK_REGION_INDEX,
+    exits: CROWD_EXITS,
+    sources: CROWD_ENTRANCES,
+    params: PARAMS,
+    debug: debugParams
+});
+const people = crowd.people;
+// Crowd density on the walkable grid, fed every step while the heatmap overlay is on (see Debug > Density heatmap)
+const densityField = new DensityField(walkableSampler.getGrid());
 modifyCrowd(PARAMS.people.count);
 
+// Crowd, door and dragonflies advance in fixed SIM_STEP steps, so the festival runs at the same speed on any display
+const simClock = new SimulationClock({ step: SIM_STEP });
+let _lastFrameTime = performance.now();
+
 let dragonflies = [];
 const _listDfClose = [];
 const _listDfFar = [];
@@ -1188,6 +1382,7 @@ const dragonflyOctreeBounds = new THREE.Box3(
 const dragonflyOctree = new Octree(dragonflyOctreeBounds, { maxDepth: 4, minSize: 2 });
 
 let _dragonflyIdCounter = 0;
+const dragonflyRng = getStream('dragonflies');
 
 function updateDragonflies() {
     const targetCount = Math.min(Math.max(0, Math.floor(PARAMS.dragonflies.count)), DRAGONFLY_MAX);
@@ -1195,10 +1390,10 @@ function updateDragonflies() {
     if (delta > 0) {
         const bounds = WALKABLE_WORLD_BOUNDS;
         for (let i = 0; i < delta; i++) {
-            const x = bounds.min.x + Math.random() * (bounds.max.x - bounds.min.x);
-            const z = bounds.min.z + Math.random() * (bounds.max.z - bounds.min.z);
-            const y = 2 + Math.random() * 8;
-            const dragonfly = createDragonfly({ position: new THREE.Vector3(x, y, z), id: _dragonflyIdCounter++ });
+            const x = dragonflyRng.range(bounds.min.x, bounds.max.x);
+            const z = dragonflyRng.range(bounds.min.z, bounds.max.z);
+            const y = dragonflyRng.range(2, 10);
+            const dragonfly = createDragonfly({ position: new THREE.Vector3(x, y, z), id: _dragonflyIdCounter++, rng: dragonflyRng.random });
             dragonfly.bounds.min.set(dragonfly.pos.x - dragonfly.forceRadius, dragonfly.pos.y - dragonfly.forceRadius, dragonfly.pos.z - dragonfly.forceRadius);
             dragonfly.bounds.max.set(dragonfly.pos.x + dragonfly.forceRadius, dragonfly.pos.y + dragonfly.forceRadius, dragonfly.pos.z + dragonfly.forceRadius);
             dragonflies.push(dragonfly);
@@ -1218,6 +1413,8 @@ const _astarLeafCenter = new THREE.Vector3();
 
 let cameraFrustum = new THREE.Frustum();
 let frustumMatrix = new THREE.Matrix4();
+// The crowd's simulation LOD follows the camera; both are updated in place every frame
+crowd.setViewer(camera.position, cameraFrustum);
 
 let frameCount = 0;
 let peopleQuadtreeDebugLine = null;
@@ -1230,7 +1427,7 @@ function updatePeopleQuadtreeDebugLine() {
         peopleQuadtreeDebugLine.material.dispose();
         peopleQuadtreeDebugLine = null;
     }
-    const cells = peopleQuadtree.getCells();
+    const cells = crowd.quadtree.getCells();
     const boxes2D = cells.length > 0 ? cells : [
         { minX: -23.94, maxX: 78.6, minZ: -40.2, maxZ: 12.2 },
         { minX: -23.94, maxX: -16.12, minZ: -159, maxZ: -40.2 }
@@ -1297,6 +1494,8 @@ document.body.appendChild(stats.dom);
 const gui = new GUI({ name: "Lumiere GUI" });
 const cameraFolder = gui.addFolder("Camera");
 cameraFolder.add(camera.position, "z", 0, 10);
+cameraFolder.add(cameraParams, "mode", { "Orbit": 'orbit', "Chase (inspected person)": 'chase', "First person (inspected person)": 'pov' })
+    .name("Mode").listen().onChange(setCameraMode);
 cameraFolder.open();
 
 const skyFolder = gui.addFolder("Sky (gradient)");
@@ -1304,15 +1503,274 @@ skyFolder.addColor(PARAMS.sky, "topColor").name("Zenith").onChange(applyNightGra
 skyFolder.addColor(PARAMS.sky, "bottomColor").name("Horizon").onChange(applyNightGradient);
 skyFolder.open();
 
+const seedFolder = gui.addFolder("Seed");
+seedFolder.add(PARAMS.scene, "seed").name("Seed");
+seedFolder.add({
+    rebuild() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', PARAMS.scene.seed.trim() || String(randomSeed()));
+        window.location.assign(url);
+    }
+}, "rebuild").name("Rebuild with seed");
+seedFolder.add({
+    randomise() {
+        PARAMS.scene.seed = String(randomSeed());
+        seedFolder.__controllers[0].updateDisplay();
+    }
+}, "randomise").name("Random seed");
+
+// Simulation clock: pause ('p'), single step ('n' while paused), slow motion / fast-forward via speed
+const simFolder = gui.addFolder("Simulation");
+simFolder.add(simClock, "paused").name("Paused").listen();
+simFolder.add(simClock, "stepOnce").name("Step (when paused)");
+simFolder.add(simClock, "timeScale", 0.1, 8, 0.05).name("Speed (x real time)").listen();
+simFolder.add({ slowMotion: () => { simClock.timeScale = 0.25; } }, "slowMotion").name("Slow motion (0.25x)");
+simFolder.add({ realTime: () => { simClock.timeScale = 1; } }, "realTime").name("Real time (1x)");
+simFolder.add({ fastForward: () => { simClock.timeScale = 4; } }, "fastForward").name("Fast-forward (4x)");
+// Outdoor people per simulation LOD tier, refreshed a few times a second in animate()
+const simLodStats = { tiers: "" };
+const simLodFolder = simFolder.addFolder("Level of detail");
+const simLodEnabledController = simLodFolder.add(PARAMS.lod, "enabled").name("Enabled");
+simLodFolder.add(PARAMS.lod, "nearDistance", 10, 150, 1).name("Full detail within (m)");
+simLodFolder.add(PARAMS.lod, "farDistance", 20, 300, 1).name("Coarse beyond (m)");
+simLodFolder.add(simLodStats, "tiers").name(SIM_LOD_TIERS.join(" / ")).listen();
+simFolder.open();
+
+// Trajectory recording and playback: while a recording plays, the crowd renderer draws its stand-ins instead of
+// `people` and the simulation clock is not advanced
+const LOD_TIER_CLOSE = LOD_TIERS.indexOf('close');
+const LOD_TIER_MID = LOD_TIERS.indexOf('mid');
+const LOD_TIER_CULLED = LOD_TIERS.indexOf('culled');
+const LOD_TIER_HIDDEN = LOD_TIERS.indexOf('hidden');
+const trajectoryRecorder = new TrajectoryRecorder({ lodTierOf: (p) => p.lodTier ?? LOD_TIER_MID });
+// Raw CSV data (per-person trajectories, per-tick aggregates), logged alongside the recording
+const metricsLogger = new CrowdMetricsLogger(crowd);
+let trajectoryPlayer = null;
+const playbackParams = { frame: 0, recordedLOD: false };
+const recordingStats = { status: "Idle" };
+
+function startRecording() {
+    const lodBeforeStart = PARAMS.lod.enabled;
+    PARAMS.lod.enabled = false; // the camera must not shape the recorded history
+    simLodEnabledController.updateDisplay();
+    trajectoryRecorder.start(SIM_STEP, {
+        seed: getSeed(),
+        startTick: crowd.tick,
+        startTime: crowd.time,
+        lodBeforeStart, // true: the state at startTick depended on the camera, so the seed does not reproduce it
+        people: people.length,
+        avoidance: PARAMS.flocking.avoidance,
+        socialForce: PARAMS.socialForce.enabled,
+        population: { ...PARAMS.population },
+        groupSizes: { ...PARAMS.people.groupSizes },
+        profiles: { ...PARAMS.people.profiles },
+        bridge: { ...PARAMS.bridge },
+        locomotion: { slope: PARAMS.locomotion.slope, regions: PARAMS.locomotion.regions.map((rule) => ({ ...rule })) },
+        queue: { ...PARAMS.queue },
+        barriers: getBarrierLayout(placedBarriers).barriers,
+        recordedAt: new Date().toISOString()
+    });
+    metricsLogger.start();
+}
+
+function stopRecording() {
+    trajectoryRecorder.stop();
+    metricsLogger.stop();
+}
+
+function startPlayback(recording) {
+    stopPlayback();
+    stopRecording();
+    disposePersonMeshes(people);
+    trajectoryPlayer = new TrajectoryPlayer(recording);
+    playbackFrameController.max(trajectoryPlayer.frameCount - 1);
+    playbackParams.frame = 0;
+}
+
+function stopPlayback() {
+    if (!trajectoryPlayer) return;
+    disposePersonMeshes(trajectoryPlayer.people);
+    trajectoryPlayer = null;
+}
+
+function loadTrajectoryFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.jsonl,.json';
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.text()
+            .then((text) => startPlayback(parseTrajectory(text)))
+            .catch((e) => console.error('Could not load trajectory recording:', e));
+    };
+    input.click();
+}
+
+const trajectoryFolder = gui.addFolder("Trajectory recording");
+trajectoryFolder.add({ record: startRecording }, "record").name("Start recording");
+trajectoryFolder.add({ stop: stopRecording }, "stop").name("Stop recording");
+trajectoryFolder.add(recordingStats, "status").name("Recording").listen();
+trajectoryFolder.add({
+    exportRecording: () => downloadFile(new Blob(trajectoryRecorder.toJSONLines(), { type: 'application/x-ndjson' }), 'crowd-trajectory.jsonl')
+}, "exportRecording").name("Export (JSON lines)");
+trajectoryFolder.add({
+    exportTrajectories: () => downloadFile(new Blob(metricsLogger.trajectoriesToCSV(), { type: 'text/csv' }), 'crowd-trajectories.csv')
+}, "exportTrajectories").name("Export trajectories (CSV)");
+trajectoryFolder.add({
+    exportAggregates: () => downloadFile(new Blob(metricsLogger.aggregatesToCSV(), { type: 'text/csv' }), 'crowd-ticks.csv')
+}, "exportAggregates").name("Export per-tick metrics (CSV)");
+trajectoryFolder.add({
+    play: () => { if (trajectoryRecorder.frames.length > 0) startPlayback(trajectoryRecorder.toRecording()); }
+}, "play").name("Play recording");
+trajectoryFolder.add({ load: loadTrajectoryFile }, "load").name("Load and play file");
+trajectoryFolder.add({
+    toggle: () => {
+        if (!trajectoryPlayer) return;
+        if (!trajectoryPlayer.playing && trajectoryPlayer.cursor >= trajectoryPlayer.frameCount - 1) trajectoryPlayer.seek(0);
+        trajectoryPlayer.playing = !trajectoryPlayer.playing;
+    }
+}, "toggle").name("Play / pause");
+const playbackFrameController = trajectoryFolder.add(playbackParams, "frame", 0, 1, 1).name("Frame").listen().onChange((v) => {
+    if (!trajectoryPlayer) return;
+    trajectoryPlayer.playing = false;
+    trajectoryPlayer.seek(v);
+    disposePersonMeshes(trajectoryPlayer.despawned);
+});
+const playbackSettings = { speed: 1, loop: true };
+trajectoryFolder.add(playbackSettings, "speed", 0.1, 8, 0.05).name("Playback speed").onChange((v) => {
+    if (trajectoryPlayer) trajectoryPlayer.speed = v;
+});
+trajectoryFolder.add(playbackSettings, "loop").name("Loop").onChange((v) => {
+    if (trajectoryPlayer) trajectoryPlayer.loop = v;
+});
+trajectoryFolder.add(playbackParams, "recordedLOD").name("Recorded LOD tiers");
+trajectoryFolder.add({ exit: stopPlayback }, "exit").name("Back to live simulation");
+
+function updateRecordingStats() {
+    if (trajectoryPlayer) {
+        recordingStats.status = `Playing frame ${Math.floor(trajectoryPlayer.cursor)} / ${trajectoryPlayer.frameCount - 1}`;
+        return;
+    }
+    const duration = trajectoryRecorder.duration.toFixed(1);
+    if (trajectoryRecorder.recording) {
+        recordingStats.status = trajectoryRecorder.full ? `Full (${duration} s)` : `Recording ${duration} s`;
+    } else {
+        recordingStats.status = trajectoryRecorder.frames.length > 0 ? `Stopped (${duration} s)` : "Idle";
+    }
+}
+
+// Queue readouts are refreshed from dunelmQueue a few times a second in animate()
+const queueStats = { length: 0, averageWait: 0, served: 0, balked: 0 };
+const queueFolder = gui.addFolder("Dunelm queue");
+queueFolder.add(PARAMS.queue, "serviceRate", 0, 3, 0.05).name("Service rate (/s)").onChange((v) => {
+    dunelmQueue.serviceRate = v;
+});
+queueFolder.add(PARAMS.queue, "balkLength", 0, PARAMS.queue.capacity, 1).name("Balk at length").onChange((v) => {
+    dunelmQueue.balkLength = v;
+});
+queueFolder.add(queueStats, "length").name("Queue length").listen();
+queueFolder.add(queueStats, "averageWait").name("Average wait (s)").listen();
+queueFolder.add(queueStats, "served").name("Admitted").listen();
+queueFolder.add(queueStats, "balked").name("Balked").listen();
+
+const PEOPLE_COUNT_MAX = 3000; // affordable with the simulation LOD on; the instanced mid tier grows to fit
 const peopleFolder = gui.addFolder("People");
-peopleFolder.add(PARAMS.people, "count", 0, 600).step(1).onChange((newCount) => {
-    const targetCount = Math.max(0, Math.min(600, Math.floor(Number(newCount))));
+peopleFolder.add(PARAMS.people, "count", 0, PEOPLE_COUNT_MAX).step(1).onChange((newCount) => {
+    const targetCount = Math.max(0, Math.min(PEOPLE_COUNT_MAX, Math.floor(Number(newCount))));
     const delta = targetCount - people.length;
     if (delta !== 0) modifyCrowd(delta);
 });
+// Weights apply to people spawned from now on; existing groups are kept
+const groupSizeFolder = peopleFolder.addFolder("Group size weights");
+for (const size of Object.keys(PARAMS.people.groupSizes)) {
+    groupSizeFolder.add(PARAMS.people.groupSizes, size, 0, 1, 0.01).name(size === "1" ? "Alone" : `Group of ${size}`);
+}
+const profileFolder = peopleFolder.addFolder("Profile weights");
+for (const name of Object.keys(AGENT_PROFILES)) {
+    profileFolder.add(PARAMS.people.profiles, name, 0, 1, 0.01).name(AGENT_PROFILES[name].label);
+}
 peopleFolder.open();
 
+// Arrival/departure readouts are refreshed from the crowd a few times a second in animate()
+const populationStats = { arrivals: 0, departures: 0 };
+const populationFolder = gui.addFolder("Arrivals & exits");
+populationFolder.add(PARAMS.population, "open").name("Open population");
+for (const source of CROWD_ENTRANCES) {
+    populationFolder.add(source, "rate", 0, 60, 1).name(`${source.name} (/min)`);
+}
+populationFolder.add(populationStats, "arrivals").name("Arrived").listen();
+populationFolder.add(populationStats, "departures").name("Left").listen();
+
+// Locomotion rules are read every update, so changes apply at once
+const locomotionFolder = gui.addFolder("Locomotion");
+locomotionFolder.add(PARAMS.locomotion, "slope", 0, 1, 0.05).name("Slope slowdown");
+for (const rule of PARAMS.locomotion.regions) {
+    locomotionFolder.add(rule, "speed", 0.3, 1.5, 0.05).name(`${rule.label} speed`);
+    locomotionFolder.add(rule, "avoid", 0, 1, 0.05).name(`${rule.label} avoid`);
+}
+
+// Bridge traffic readouts, refreshed from crowd.bridgeTraffic a few times a second in animate()
+const bridgeStats = { towardsFar: 0, towardsNear: 0, onDeck: "", turnedBack: 0 };
+const bridgeFolder = gui.addFolder("Kingsgate Bridge");
+bridgeFolder.add(PARAMS.bridge, "oneWay", { "Both ways": 'off', "One way to far bank": 'toFar', "One way to near end": 'toNear' }).name("Stewards");
+bridgeFolder.add(PARAMS.bridge, "keepSide", { "Keep left": 'left', "Keep right": 'right' }).name("Passing side");
+bridgeFolder.add(bridgeStats, "towardsFar").name("Crossed to far bank").listen();
+bridgeFolder.add(bridgeStats, "towardsNear").name("Crossed to near end").listen();
+bridgeFolder.add(bridgeStats, "onDeck").name("On deck (far / near)").listen();
+bridgeFolder.add(bridgeStats, "turnedBack").name("Turned back").listen();
+
+function updateBridgeStats() {
+    const occupancy = crowd.getBridgeOccupancy();
+    bridgeStats.towardsFar = crowd.bridgeTraffic.towardsFar;
+    bridgeStats.towardsNear = crowd.bridgeTraffic.towardsNear;
+    bridgeStats.onDeck = `${occupancy.towardsFar} / ${occupancy.towardsNear}`;
+    bridgeStats.turnedBack = crowd.bridgeTraffic.turnedBack;
+}
+
+// Evacuation results panel, refreshed from crowd.evacuation a few times a second in animate()
+const EVACUATION_BOTTLENECKS_SHOWN = 3;
+const evacuationStats = { status: "Not started", evacuated: "", time: 0, exits: CROWD_EXIT_NAMES.map(() => ""), bottlenecks: [] };
+for (let i = 0; i < EVACUATION_BOTTLENECKS_SHOWN; i++) evacuationStats.bottlenecks.push("");
+const evacuationFolder = gui.addFolder("Evacuation");
+evacuationFolder.add(PARAMS.evacuation, "exitChoice", { "Nearest exit": 'nearest', "Least congested": 'leastCongested' }).name("Exit choice");
+evacuationFolder.add({ evacuate: () => crowd.startEvacuation() }, "evacuate").name("Evacuate");
+evacuationFolder.add({ stop: () => crowd.stopEvacuation() }, "stop").name("Call off");
+evacuationFolder.add(evacuationStats, "status").name("Status").listen();
+evacuationFolder.add(evacuationStats, "evacuated").name("Evacuated").listen();
+evacuationFolder.add(evacuationStats, "time").name("Time (s)").listen();
+for (let i = 0; i < CROWD_EXIT_NAMES.length; i++) {
+    evacuationFolder.add(evacuationStats.exits, String(i)).name(CROWD_EXIT_NAMES[i]).listen();
+}
+for (let i = 0; i < EVACUATION_BOTTLENECKS_SHOWN; i++) {
+    evacuationFolder.add(evacuationStats.bottlenecks, String(i)).name(`Bottleneck ${i + 1}`).listen();
+}
+
+function updateEvacuationStats() {
+    const evacuation = crowd.evacuation;
+    if (!evacuation) return;
+    evacuationStats.status = evacuation.cancelled ? "Called off" : (evacuation.finished ? "Complete" : "In progress");
+    evacuationStats.evacuated = `${evacuation.evacuated} / ${evacuation.initialPeople}`;
+    evacuationStats.time = Math.round(evacuation.getElapsed(crowd.time) * 10) / 10;
+    for (let i = 0; i < evacuation.exits.length; i++) {
+        evacuationStats.exits[i] = `${evacuation.exits[i].count} people, ${evacuation.getThroughput(i).toFixed(1)}/min`;
+    }
+    const bottlenecks = evacuation.getBottlenecks(EVACUATION_BOTTLENECKS_SHOWN);
+    for (let i = 0; i < EVACUATION_BOTTLENECKS_SHOWN; i++) {
+        const b = bottlenecks[i];
+        evacuationStats.bottlenecks[i] = b ? `(${b.x.toFixed(0)}, ${b.z.toFixed(0)}): ${b.delay.toFixed(1)} person-s` : "";
+    }
+}
+
 const flockingFolder = gui.addFolder("Flocking Behavior");
+// Collision readouts are refreshed from crowd.collisions a few times a second in animate()
+const collisionStats = { total: 0, current: 0 };
+flockingFolder.add(PARAMS.flocking, "avoidance", ['Reynolds', 'ORCA']).name("Avoidance").onChange(() => {
+    crowd.resetCollisionStats();
+});
+flockingFolder.add(collisionStats, "total").name("Collisions").listen();
+flockingFolder.add(collisionStats, "current").name("Overlapping now").listen();
+flockingFolder.add({ resetCollisions: () => crowd.resetCollisionStats() }, "resetCollisions").name("Reset collisions");
 const sepCheckbox = flockingFolder.add(PARAMS.flocking.sep, "on").name("Separation");
 const sepSlider = flockingFolder.add(PARAMS.flocking.sep, "val", 0, 1, 0.05).name("Separation Weight");
 sepCheckbox.onChange((v) => {
@@ -1345,14 +1803,68 @@ cohSlider.domElement.disabled = !PARAMS.flocking.coh.on;
 
 flockingFolder.open();
 
+const socialForceFolder = gui.addFolder("Social Force Model");
+socialForceFolder.add(PARAMS.socialForce, "enabled").name("Enabled").onChange(() => {
+    crowd.resetCollisionStats();
+});
+socialForceFolder.add(PARAMS.socialForce, "relaxationTime", 0.1, 2, 0.05).name("Relaxation time (s)");
+socialForceFolder.add(PARAMS.socialForce, "agentStrength", 0, 30, 0.1).name("Agent strength");
+socialForceFolder.add(PARAMS.socialForce, "agentRange", 0.05, 1, 0.01).name("Agent range (m)");
+socialForceFolder.add(PARAMS.socialForce, "anisotropy", 0, 1, 0.05).name("Anisotropy");
+socialForceFolder.add(PARAMS.socialForce, "wallStrength", 0, 30, 0.1).name("Wall strength");
+socialForceFolder.add(PARAMS.socialForce, "wallRange", 0.05, 1, 0.01).name("Wall range (m)");
+
 const farHillFolder = gui.addFolder("Far hill");
 farHillFolder.add(PARAMS.farHill, "treeCount", 0, 500).step(1).name("Tree count").onChange(rebuildFarHillTrees);
 farHillFolder.open();
 
+// Attention per lily (photos and dwell at its viewing spots), refreshed from crowd.lilyPoints a few times a second in
+// animate(); the counts restart whenever the lilies are rebuilt
+const LILY_RANKING_SHOWN = 5;
+const lilyStats = { photos: 0, waiting: 0, gaveUp: 0, lily: 1, lilyPhotos: 0, lilyDwell: 0, lilySpots: "", ranking: [] };
+for (let i = 0; i < LILY_RANKING_SHOWN; i++) lilyStats.ranking.push("");
 const lilyFolder = gui.addFolder("Lilies");
-lilyFolder.add(PARAMS.lilies, "count", 0, 100).step(1).name("Count").onChange(updateLilies);
+lilyFolder.add(PARAMS.lilies, "count", 0, 100).step(1).name("Count").onChange(() => {
+    updateLilies();
+    crowd.setLilies(lilies);
+    lilyPicker.max(Math.max(1, PARAMS.lilies.count));
+    lilyStats.lily = Math.min(lilyStats.lily, Math.max(1, PARAMS.lilies.count));
+    lilyPicker.updateDisplay();
+});
+const lilyPicker = lilyFolder.add(lilyStats, "lily", 1, Math.max(1, PARAMS.lilies.count)).step(1).name("Lily");
+lilyFolder.add(lilyStats, "lilyPhotos").name("Its photos").listen();
+lilyFolder.add(lilyStats, "lilyDwell").name("Its dwell (s)").listen();
+lilyFolder.add(lilyStats, "lilySpots").name("Its spots / waiting").listen();
+lilyFolder.add(lilyStats, "photos").name("Photos (all lilies)").listen();
+lilyFolder.add(lilyStats, "waiting").name("Waiting for a spot").listen();
+lilyFolder.add(lilyStats, "gaveUp").name("Gave up waiting").listen();
+for (let i = 0; i < LILY_RANKING_SHOWN; i++) {
+    lilyFolder.add(lilyStats.ranking, String(i)).name(`Most photographed ${i + 1}`).listen();
+}
 lilyFolder.open();
 
+function updateLilyStats() {
+    const points = crowd.lilyPoints;
+    let photos = 0, waiting = 0, gaveUp = 0;
+    for (const poi of points) {
+        photos += poi.visits;
+        waiting += poi.waiting.length;
+        gaveUp += poi.gaveUp;
+    }
+    lilyStats.photos = photos;
+    lilyStats.waiting = waiting;
+    lilyStats.gaveUp = gaveUp;
+    const selected = points[lilyStats.lily - 1];
+    lilyStats.lilyPhotos = selected ? selected.visits : 0;
+    lilyStats.lilyDwell = selected ? Math.round(selected.dwellTotal * 10) / 10 : 0;
+    lilyStats.lilySpots = selected ? `${selected.busySpots} of ${selected.spots.length} / ${selected.waiting.length}` : "";
+    const ranked = points.filter(poi => poi.visits > 0).sort((a, b) => b.visits - a.visits || b.dwellTotal - a.dwellTotal);
+    for (let i = 0; i < LILY_RANKING_SHOWN; i++) {
+        const poi = ranked[i];
+        lilyStats.ranking[i] = poi ? `${poi.name}: ${poi.visits} photos, ${poi.dwellTotal.toFixed(1)} s` : "";
+    }
+}
+
 const dragonflyFolder = gui.addFolder("Dragonflies");
 dragonflyFolder.add(PARAMS.dragonflies, "count", 0, DRAGONFLY_MAX).step(1).name("Count").onChange((v) => {
     const targetCount = Math.max(0, Math.min(1000, Math.floor(Number(v))));  // Q3a: Increased max to 1000 for 1000+ agents requirement
@@ -1452,9 +1964,8 @@ bezierFolder.add(PARAMS.bezier, "wireframe").name("Wireframe overlay").onChange(
     if (nearPavementSurface.userData.bezier?.wireframe) nearPavementSurface.userData.bezier.wireframe.visible = v;
 });
 
-const debugParams = { peopleQuadtree: false, dragonflyOctree: false, walkableGrid: false, environmentBoundingBoxes: false, logPersonMovement: false, debugPersonIndex: 0 };
 let walkableGridDebugLine = null;
-let environmentBoundingBoxDebugLine = null;
+let environmentShapeDebugLine = null;
 
 function updateWalkableGridDebugLine() {
     if (walkableGridDebugLine) {
@@ -1468,25 +1979,263 @@ function updateWalkableGridDebugLine() {
     if (walkableGridDebugLine) scene.add(walkableGridDebugLine);
 }
 
-// Q3a: Debug view for environment object bounding boxes (collision avoidance margins)
-function updateEnvironmentBoundingBoxDebugLine() {
-    if (environmentBoundingBoxDebugLine) {
-        scene.remove(environmentBoundingBoxDebugLine);
-        environmentBoundingBoxDebugLine.geometry.dispose();
-        environmentBoundingBoxDebugLine.material.dispose();
-        environmentBoundingBoxDebugLine = null;
+// Q3a: Debug view for environment object collision shapes (outlines at the bottom and top of their height range)
+function updateEnvironmentShapeDebugLine() {
+    if (environmentShapeDebugLine) {
+        scene.remove(environmentShapeDebugLine);
+        environmentShapeDebugLine.geometry.dispose();
+        environmentShapeDebugLine.material.dispose();
+        environmentShapeDebugLine = null;
     }
-    const boxes = [];
+    const positions = [];
     for (let i = 0; i < environmentObjects.length; i++) {
-        const obj = environmentObjects[i];
-        if (obj && obj.userData.boundingBox) {
-            boxes.push(obj.userData.boundingBox);
+        const shape = environmentObjects[i]?.userData.collisionShape;
+        if (!shape) continue;
+        for (const loop of getShapeOutline(shape)) {
+            for (let k = 0; k < loop.length; k++) {
+                const a = loop[k], b = loop[(k + 1) % loop.length];
+                positions.push(a.x, shape.minY, a.z, b.x, shape.minY, b.z);
+                positions.push(a.x, shape.maxY, a.z, b.x, shape.maxY, b.z);
+            }
+        }
+    }
+    if (positions.length > 0) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        environmentShapeDebugLine = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            color: 0xff0000,
+            depthTest: false,
+            depthWrite: false
+        }));
+        environmentShapeDebugLine.renderOrder = 999;
+        environmentShapeDebugLine.frustumCulled = false;
+        scene.add(environmentShapeDebugLine);
+    }
+}
+
+// Debug view for pedestrians' A* paths: each goal-seeking person to their remaining waypoints (rebuilt every frame while on)
+let pedestrianPathDebugLine = null;
+const PATH_DEBUG_Y_OFFSET = 0.2;
+
+function updatePedestrianPathDebugLine() {
+    const positions = [];
+    for (let i = 0; i < people.length; i++) {
+        const person = people[i];
+        if (!person.path || person.state === "INSIDE") continue;
+        let from = person.pos;
+        for (let w = person.pathIndex; w < person.path.length; w++) {
+            const to = person.path[w];
+            positions.push(from.x, from.y + PATH_DEBUG_Y_OFFSET, from.z, to.x, to.y + PATH_DEBUG_Y_OFFSET, to.z);
+            from = to;
         }
     }
-    if (boxes.length > 0) {
-        environmentBoundingBoxDebugLine = createOctreeDebugLines(boxes, { color: 0xff0000 });
-        if (environmentBoundingBoxDebugLine) scene.add(environmentBoundingBoxDebugLine);
+    if (!pedestrianPathDebugLine) {
+        pedestrianPathDebugLine = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({
+            color: 0xff00ff,
+            depthTest: false,
+            depthWrite: false
+        }));
+        pedestrianPathDebugLine.renderOrder = 999;
+        pedestrianPathDebugLine.frustumCulled = false;
+        scene.add(pedestrianPathDebugLine);
     }
+    pedestrianPathDebugLine.geometry.dispose();
+    pedestrianPathDebugLine.geometry = new THREE.BufferGeometry();
+    pedestrianPathDebugLine.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+}
+
+// Agent inspector: click a person (close mesh or mid-LOD instance) to select them; the Agent inspector folder shows
+// CrowdSimulation.inspectPerson and the scene shows their remaining path, target and flocking radius
+let selectedPerson = null;
+const inspectorStats = { id: "", profile: "", state: "", target: "", velocity: "", region: "", locomotion: "", visiting: "", dwellTimer: "", decisionIn: "", queueIn: "", replanIn: "", neighbours: "", simLod: "" };
+const PICK_MAX_DRAG = 5;        // px the pointer may move between press and release for a click (not an orbit drag)
+const INSPECTOR_Y_OFFSET = 0.2; // m the overlay floats above the person's feet
+const INSPECTOR_CIRCLE_SEGMENTS = 64;
+const _pickRaycaster = new THREE.Raycaster();
+const _pickPointer = new THREE.Vector2();
+const _pickOwners = new Map(); // close-LOD mesh -> person, rebuilt per pick
+let _pickDownX = 0, _pickDownY = 0;
+
+function createInspectorCircle(color) {
+    const positions = [];
+    for (let i = 0; i < INSPECTOR_CIRCLE_SEGMENTS; i++) {
+        const a = i / INSPECTOR_CIRCLE_SEGMENTS * Math.PI * 2;
+        positions.push(Math.cos(a), 0, Math.sin(a));
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color, depthTest: false, depthWrite: false }));
+}
+
+const inspectorOverlay = new THREE.Group();
+const inspectorMarker = createInspectorCircle(0xffff00);    // ring at the person's feet, twice BODY_RADIUS across
+const inspectorFlockCircle = createInspectorCircle(0x00ffff);
+const inspectorPathLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0xff8800, depthTest: false, depthWrite: false }));
+const inspectorTarget = new THREE.Mesh(new THREE.SphereGeometry(0.3, 12, 8), new THREE.MeshBasicMaterial({ color: 0xff8800, depthTest: false, depthWrite: false }));
+inspectorMarker.scale.setScalar(BODY_RADIUS * 2);
+inspectorOverlay.add(inspectorMarker, inspectorFlockCircle, inspectorPathLine, inspectorTarget);
+inspectorOverlay.traverse((o) => {
+    o.renderOrder = 999;
+    o.frustumCulled = false;
+});
+inspectorOverlay.visible = false;
+scene.add(inspectorOverlay);
+
+/**
+ * Person under a screen point: the nearest hit among close-LOD meshes and the mid-LOD instances (as last drawn).
+ * @returns {Object | null}
+ */
+function pickPerson(clientX, clientY) {
+    _pickPointer.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+    _pickRaycaster.setFromCamera(_pickPointer, camera);
+    let picked = null, pickedDistance = Infinity;
+    _pickOwners.clear();
+    for (let i = 0; i < _listClose.length; i++) {
+        if (_listClose[i].mesh) _pickOwners.set(_listClose[i].mesh, _listClose[i]);
+    }
+    const closeHits = _pickRaycaster.intersectObjects([..._pickOwners.keys()], true);
+    if (closeHits.length > 0) {
+        let o = closeHits[0].object;
+        while (o && !_pickOwners.has(o)) o = o.parent;
+        if (o) {
+            picked = _pickOwners.get(o);
+            pickedDistance = closeHits[0].distance;
+        }
+    }
+    if (instancedMeshMedium.count > 0) {
+        instancedMeshMedium.computeBoundingSphere(); // instances move every frame; the cached sphere goes stale
+        const midHits = _pickRaycaster.intersectObject(instancedMeshMedium, false);
+        if (midHits.length > 0 && midHits[0].distance < pickedDistance) picked = _listMid[midHits[0].instanceId] ?? picked;
+    }
+    return picked;
+}
+
+function selectPerson(person) {
+    selectedPerson = person;
+    inspectorOverlay.visible = person !== null;
+    if (followCamera.mode !== 'orbit') {
+        if (person) followCamera.setMode(followCamera.mode, person);
+        else setCameraMode('orbit');
+    }
+    if (!person) {
+        for (const key of Object.keys(inspectorStats)) inspectorStats[key] = "";
+        return;
+    }
+    updateAgentInspector();
+}
+
+renderer.domElement.addEventListener('pointerdown', (e) => {
+    _pickDownX = e.clientX;
+    _pickDownY = e.clientY;
+});
+renderer.domElement.addEventListener('pointerup', (e) => {
+    if (e.button !== 0) return;
+    if (Math.hypot(e.clientX - _pickDownX, e.clientY - _pickDownY) > PICK_MAX_DRAG) return;
+    if (barrierParams.editMode) {
+        editBarrierAt(e.clientX, e.clientY);
+        return;
+    }
+    if (trajectoryPlayer) return; // stand-ins from a recording have nothing to inspect
+    const person = pickPerson(e.clientX, e.clientY);
+    if (person) selectPerson(person);
+});
+
+const formatVector = (v) => `(${v.x.toFixed(1)}, ${v.z.toFixed(1)})`;
+const formatCooldown = (s) => (s > 0 ? `${s.toFixed(1)} s` : "ready");
+
+function updateAgentInspector() {
+    if (!selectedPerson) return;
+    const info = crowd.inspectPerson(selectedPerson);
+    inspectorStats.id = info.id;
+    inspectorStats.profile = AGENT_PROFILES[info.profile]?.label ?? "";
+    inspectorStats.state = info.state;
+    inspectorStats.target = info.target ? `${formatVector(info.target)}${info.flowGoal ? ` ${info.flowGoal}` : ""}` : "none";
+    inspectorStats.velocity = `${formatVector(info.velocity)} ${info.velocity.speed.toFixed(1)} m/s`;
+    inspectorStats.region = info.regionIndex !== null ? `${info.regionIndex} ${info.locomotion.rule}${info.surfaceType ? ` (${info.surfaceType})` : ""}` : "none";
+    const slopePercent = Math.round(info.locomotion.slope * 100);
+    inspectorStats.locomotion = `speed x${info.locomotion.speed.toFixed(2)}, slope ${slopePercent > 0 ? "+" : ""}${slopePercent}%${info.locomotion.avoid > 0 ? `, avoids ${info.locomotion.avoid}` : ""}`;
+    inspectorStats.visiting = info.pointOfInterest ?? "";
+    inspectorStats.dwellTimer = info.dwellTime !== null ? `${info.dwellTime.toFixed(2)} s` : "";
+    inspectorStats.decisionIn = formatCooldown(info.cooldowns.decision);
+    inspectorStats.queueIn = formatCooldown(info.cooldowns.queue);
+    inspectorStats.replanIn = formatCooldown(info.cooldowns.replan);
+    inspectorStats.neighbours = info.neighbours;
+    inspectorStats.simLod = info.simLod;
+}
+
+// Follow the selected person's rendered position (close mesh or interpolated instance); the path is rebuilt each frame
+function updateInspectorOverlay() {
+    const person = selectedPerson;
+    if (!person) return;
+    inspectorOverlay.visible = person.state !== "INSIDE";
+    if (!inspectorOverlay.visible) return;
+    const at = person.mesh ? person.mesh.position : (person._displayPos ?? person.pos);
+    const info = crowd.inspectPerson(person);
+    inspectorMarker.position.set(at.x, at.y + INSPECTOR_Y_OFFSET, at.z);
+    inspectorFlockCircle.position.copy(inspectorMarker.position);
+    inspectorFlockCircle.scale.setScalar(info.flockRadius);
+    inspectorTarget.visible = info.target !== null;
+    if (info.target) inspectorTarget.position.set(info.target.x, info.target.y + INSPECTOR_Y_OFFSET, info.target.z);
+    const positions = [at.x, at.y + INSPECTOR_Y_OFFSET, at.z];
+    if (info.path) {
+        for (let w = info.pathIndex; w < info.path.length; w++) {
+            positions.push(info.path[w].x, info.path[w].y + INSPECTOR_Y_OFFSET, info.path[w].z);
+        }
+    } else if (info.target) {
+        positions.push(info.target.x, info.target.y + INSPECTOR_Y_OFFSET, info.target.z);
+    }
+    inspectorPathLine.geometry.dispose();
+    inspectorPathLine.geometry = new THREE.BufferGeometry();
+    inspectorPathLine.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+}
+
+// Density heatmap overlay: colour scale from 0 to scaleMax (the field's current maximum with autoScale)
+let densityOverlay = null;
+const densityHeatmapParams = { metric: 'density', autoScale: true, scaleMax: 2 };
+const DENSITY_PNG_SCALE = 4; // pixels per grid cell in exported images
+
+function updateDensityHeatmap() {
+    if (!densityOverlay) return;
+    const { metric } = densityHeatmapParams;
+    if (densityHeatmapParams.autoScale) densityHeatmapParams.scaleMax = Math.max(0.1, densityField.getMax(metric));
+    updateDensityOverlay(densityOverlay, densityField, metric, densityHeatmapParams.scaleMax);
+}
+
+function downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking before the download has started can cancel it (Firefox, large blobs)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// One DENSITY_PNG_SCALE square per cell: +x to the right, +z downwards; cells without a value are transparent
+function exportDensityPNG() {
+    const { metric } = densityHeatmapParams;
+    const max = densityHeatmapParams.autoScale ? densityField.getMax(metric) : densityHeatmapParams.scaleMax;
+    const values = densityField.getValues(metric);
+    const canvas = document.createElement('canvas');
+    canvas.width = densityField.numX * DENSITY_PNG_SCALE;
+    canvas.height = densityField.numZ * DENSITY_PNG_SCALE;
+    const ctx = canvas.getContext('2d');
+    const colour = { r: 0, g: 0, b: 0 };
+    for (let i = 0; i < densityField.numX; i++) {
+        for (let j = 0; j < densityField.numZ; j++) {
+            const v = values[i * densityField.numZ + j];
+            if (v !== v) continue;
+            heatColour(v, max, colour);
+            ctx.fillStyle = `rgb(${Math.round(colour.r * 255)}, ${Math.round(colour.g * 255)}, ${Math.round(colour.b * 255)})`;
+            ctx.fillRect(i * DENSITY_PNG_SCALE, j * DENSITY_PNG_SCALE, DENSITY_PNG_SCALE, DENSITY_PNG_SCALE);
+        }
+    }
+    canvas.toBlob((blob) => downloadFile(blob, `crowd-${metric}.png`), 'image/png');
+}
+
+function exportDensityCSV() {
+    const { metric } = densityHeatmapParams;
+    downloadFile(new Blob([densityField.toCSV(metric)], { type: 'text/csv' }), `crowd-${metric}.csv`);
 }
 
 const debugFolder = gui.addFolder("Debug");
@@ -1526,18 +2275,47 @@ debugFolder.add(debugParams, "walkableGrid").name("Walkable Grid").onChange((v)
         }
     }
 });
-debugFolder.add(debugParams, "environmentBoundingBoxes").name("Environment Bounding Boxes").onChange((v) => {
+debugFolder.add(debugParams, "environmentShapes").name("Environment Collision Shapes").onChange((v) => {
     if (v) {
-        updateEnvironmentBoundingBoxDebugLine();
+        updateEnvironmentShapeDebugLine();
     } else {
-        if (environmentBoundingBoxDebugLine) {
-            scene.remove(environmentBoundingBoxDebugLine);
-            environmentBoundingBoxDebugLine.geometry.dispose();
-            environmentBoundingBoxDebugLine.material.dispose();
-            environmentBoundingBoxDebugLine = null;
+        if (environmentShapeDebugLine) {
+            scene.remove(environmentShapeDebugLine);
+            environmentShapeDebugLine.geometry.dispose();
+            environmentShapeDebugLine.material.dispose();
+            environmentShapeDebugLine = null;
         }
     }
 });
+debugFolder.add(debugParams, "pedestrianPaths").name("Pedestrian Paths").onChange((v) => {
+    if (!v && pedestrianPathDebugLine) {
+        scene.remove(pedestrianPathDebugLine);
+        pedestrianPathDebugLine.geometry.dispose();
+        pedestrianPathDebugLine.material.dispose();
+        pedestrianPathDebugLine = null;
+    }
+});
+debugFolder.add(debugParams, "densityHeatmap").name("Density Heatmap").onChange((v) => {
+    if (v) {
+        densityOverlay = createDensityOverlay(densityField);
+        scene.add(densityOverlay);
+        updateDensityHeatmap();
+    } else if (densityOverlay) {
+        scene.remove(densityOverlay);
+        densityOverlay.geometry.dispose();
+        densityOverlay.material.dispose();
+        densityOverlay = null;
+    }
+});
+const densityHeatmapFolder = debugFolder.addFolder("Density heatmap");
+const densityMetricChoices = {};
+for (const key of Object.keys(DENSITY_METRICS)) densityMetricChoices[DENSITY_METRICS[key].label] = key;
+densityHeatmapFolder.add(densityHeatmapParams, "metric", densityMetricChoices).name("Metric").onChange(updateDensityHeatmap);
+densityHeatmapFolder.add(densityHeatmapParams, "autoScale").name("Auto scale").onChange(updateDensityHeatmap);
+densityHeatmapFolder.add(densityHeatmapParams, "scaleMax", 0.1, 50, 0.1).name("Scale max").listen().onChange(updateDensityHeatmap);
+densityHeatmapFolder.add({ reset: () => { densityField.reset(); updateDensityHeatmap(); } }, "reset").name("Reset metrics");
+densityHeatmapFolder.add({ exportPNG: exportDensityPNG }, "exportPNG").name("Export PNG");
+densityHeatmapFolder.add({ exportCSV: exportDensityCSV }, "exportCSV").name("Export CSV");
 debugFolder.add(debugParams, "logPersonMovement").name("Log Person Movement").onChange((v) => {
     if (v) {
         console.log(`Debug logging enabled for person index ${debugParams.debugPersonIndex}. Logging every frame.`);
@@ -1568,365 +2346,126 @@ if (typeof window !== 'undefined') {
     window.debugPersonIndexController = debugPersonIndexController;
 }
 
-function modifyCrowd(n) {
-    if (n > 0) {
-        for (let i = 0; i < n; i++) {
-            let placed = false;
-            for (let retry = 0; retry < MAX_PLACEMENT_RETRIES && !placed; retry++) {
-                const { x, z } = peopleQuadtree.sampleRandomPoint();
-                const bounds2D = {
-                    minX: x - PERSON_RADIUS,
-                    maxX: x + PERSON_RADIUS,
-                    minZ: z - PERSON_RADIUS,
-                    maxZ: z + PERSON_RADIUS
-                };
-                const existing = peopleQuadtree.queryBounds(bounds2D);
-                if (existing.length > 0) continue;
-                // Reject placement if person footprint would overlap any environment object
-                let overlapsEnv = false;
-                for (let e = 0; e < environmentObjects.length; e++) {
-                    const box = environmentObjects[e].userData.boundingBox;
-                    if (box && bounds2DOverlapsEnvBox(bounds2D, box)) {
-                        overlapsEnv = true;
-                        break;
-                    }
-                }
-                if (overlapsEnv) continue;
-                const surfaceInfo = walkableSampler.getSurfaceInfo(x, z);
-                if (!surfaceInfo.inside) continue;
-                const y = surfaceInfo.y != null ? surfaceInfo.y : 0;
-                const position = new THREE.Vector3(x, y + FEET_SURFACE_Y_OFFSET / 2, z);
-                const surfaceOpts = (surfaceInfo.surfaceType != null && surfaceInfo.regionIndex != null)
-                    ? { u: surfaceInfo.u, v: surfaceInfo.v, surfaceType: surfaceInfo.surfaceType, regionIndex: surfaceInfo.regionIndex }
-                    : {};
-                const person = createCrowdPerson({ position, rotationY: Math.random() * Math.PI * 2, ...surfaceOpts });
-                person.bounds2D = bounds2D;
-                person.id = people.length;
-                person.facingAngle = person.rotationY;
-                person._lastQuadtreePos = { x: person.pos.x, z: person.pos.z };
-                peopleQuadtree.insert(person);
-                people.push(person);
-                placed = true;
-            }
-        }
-        updateCrowdCount();
-    } else {
-        const count = Math.min(people.length, Math.abs(n));
-        for (let i = 0; i < count; i++) {
-            const p = people.pop();
-            if (p?.state === "INSIDE") peopleInsideCount--;
-            if (p?.mesh?.parent) p.mesh.parent.remove(p.mesh);
-            p.mesh = null;
-            p.parts = null;
-        }
-        peopleQuadtree.clear();
-        for (const p of people) {
-            p.bounds2D = {
-                minX: p.pos.x - PERSON_RADIUS,
-                maxX: p.pos.x + PERSON_RADIUS,
-                minZ: p.pos.z - PERSON_RADIUS,
-                maxZ: p.pos.z + PERSON_RADIUS
-            };
-            peopleQuadtree.insert(p);
-        }
-        if (peopleQuadtreeDebugLine) updatePeopleQuadtreeDebugLine();
-    }
+const inspectorFolder = gui.addFolder("Agent inspector");
+inspectorFolder.add(inspectorStats, "id").name("Id").listen();
+inspectorFolder.add(inspectorStats, "profile").name("Profile").listen();
+inspectorFolder.add(inspectorStats, "state").name("State").listen();
+inspectorFolder.add(inspectorStats, "target").name("Target").listen();
+inspectorFolder.add(inspectorStats, "velocity").name("Velocity").listen();
+inspectorFolder.add(inspectorStats, "region").name("Walkable region").listen();
+inspectorFolder.add(inspectorStats, "locomotion").name("Locomotion").listen();
+inspectorFolder.add(inspectorStats, "visiting").name("Visiting").listen();
+inspectorFolder.add(inspectorStats, "dwellTimer").name("Dwell timer").listen();
+inspectorFolder.add(inspectorStats, "decisionIn").name("Next decision").listen();
+inspectorFolder.add(inspectorStats, "queueIn").name("Queue cooldown").listen();
+inspectorFolder.add(inspectorStats, "replanIn").name("Next replan").listen();
+inspectorFolder.add(inspectorStats, "neighbours").name("Neighbours").listen();
+inspectorFolder.add(inspectorStats, "simLod").name("Simulation LOD").listen();
+inspectorFolder.add({ deselect: () => selectPerson(null) }, "deselect").name("Deselect");
+
+// Barriers, cones and crowd fences placed at run time (edit mode: click walkable ground to place, click one to remove).
+// Each is an environment object of the crowd, so people avoid it and flow fields and paths route round it at once.
+const barrierParams = { editMode: false, type: 'barrier', angle: 0 };
+const barrierStats = { placed: 0 };
+const placedBarriers = [];
+
+function placeBarrier(type, x, y, z, angle) {
+    const barrier = createBarrier(type);
+    barrier.position.set(x, y, z);
+    barrier.rotation.y = angle;
+    scene.add(barrier);
+    barrier.userData.collisionShape = computeCollisionShape(barrier);
+    crowd.addEnvironmentObject(barrier);
+    placedBarriers.push(barrier);
+    onBarriersChanged();
+    return barrier;
 }
 
-const MAX_FORCE = 0.03;
-const MAX_SPEED = 0.25;
-
-// Natural movement constants
-const MAX_TURN_RAD = 0.08;              // max radians per frame for facing angle change
-const SMOOTH_VEL_LERP = 0.15;           // lerp factor for velocity smoothing (0=no smooth, 1=instant)
-const WALK_PHASE_PER_UNIT = 3.5;        // radians per unit of displacement for walk cycle
-const MAX_FORCE_CLAMP_FACTOR = 2;       // clamp accumulated force to MAX_FORCE * this factor
-
-// Bridge movement constants
-const BRIDGE_CENTER_X = -20;            // bridge center X position (matches bridge.position.x)
-// Bridge endpoints: near end (staircase side) and far end (opposite side)
-const BRIDGE_FAR_Z = -100 - (bridgeDeckLength / 2) * bridgeScale;  // z = -160
-const BRIDGE_DECK_Y = 0.8;  // bridge deck top surface Y
-const BRIDGE_FAR_TARGET = new THREE.Vector3(BRIDGE_CENTER_X, BRIDGE_DECK_Y, BRIDGE_FAR_Z);
-
-function getClosestPointOnBoxSurface(box, point, target) {
-    if (!box.containsPoint(point)) return box.clampPoint(point, target);
-    const dxMin = point.x - box.min.x, dxMax = box.max.x - point.x;
-    const dyMin = point.y - box.min.y, dyMax = box.max.y - point.y;
-    const dzMin = point.z - box.min.z, dzMax = box.max.z - point.z;
-    const minD = Math.min(dxMin, dxMax, dyMin, dyMax, dzMin, dzMax);
-    const clampX = (v) => Math.max(box.min.x, Math.min(box.max.x, v));
-    const clampY = (v) => Math.max(box.min.y, Math.min(box.max.y, v));
-    const clampZ = (v) => Math.max(box.min.z, Math.min(box.max.z, v));
-    if (minD === dxMin) target.set(box.min.x, clampY(point.y), clampZ(point.z));
-    else if (minD === dxMax) target.set(box.max.x, clampY(point.y), clampZ(point.z));
-    else if (minD === dyMin) target.set(clampX(point.x), box.min.y, clampZ(point.z));
-    else if (minD === dyMax) target.set(clampX(point.x), box.max.y, clampZ(point.z));
-    else if (minD === dzMin) target.set(clampX(point.x), clampY(point.y), box.min.z);
-    else target.set(clampX(point.x), clampY(point.y), box.max.z);
-    return target;
-}
-
-/** Like getClosestPointOnBoxSurface but also writes the outward unit normal of the chosen face to targetNormal. */
-function getClosestPointOnBoxSurfaceWithNormal(box, point, targetPoint, targetNormal) {
-    getClosestPointOnBoxSurface(box, point, targetPoint);
-    if (!box.containsPoint(point)) {
-        targetNormal.subVectors(point, targetPoint).normalize();
-        return targetPoint;
-    }
-    const dxMin = point.x - box.min.x, dxMax = box.max.x - point.x;
-    const dyMin = point.y - box.min.y, dyMax = box.max.y - point.y;
-    const dzMin = point.z - box.min.z, dzMax = box.max.z - point.z;
-    const minD = Math.min(dxMin, dxMax, dyMin, dyMax, dzMin, dzMax);
-    if (minD === dxMin) targetNormal.set(-1, 0, 0);
-    else if (minD === dxMax) targetNormal.set(1, 0, 0);
-    else if (minD === dyMin) targetNormal.set(0, -1, 0);
-    else if (minD === dyMax) targetNormal.set(0, 1, 0);
-    else if (minD === dzMin) targetNormal.set(0, 0, -1);
-    else targetNormal.set(0, 0, 1);
-    return targetPoint;
-}
-
-function bounds2DOverlapsEnvBox(bounds2D, box) {
-    return box.min.x <= bounds2D.maxX && box.max.x >= bounds2D.minX &&
-        box.min.z <= bounds2D.maxZ && box.max.z >= bounds2D.minZ;
-}
-
-function applyPhysics(person) {
-    if (!person || !person.pos) return person;
-    if (person.state === 'SNAPPING') {
-        person.vel.set(0, 0, 0);
-        person.acc.set(0, 0, 0);
-    }
-    _physicsForce.set(0, 0, 0);
-    _physicsPush.set(0, 0, 0);
-    _physicsSep.set(0, 0, 0);
-    _physicsAli.set(0, 0, 0);
-    _physicsCoh.set(0, 0, 0);
-    let count = 0;
-
-    if (person.state !== 'SNAPPING') {
-        // Q3a: CROWD INTELLIGENCE - Flocking, Queuing, Flow Fields, Collision Avoidance
-        // Reynolds-style flocking: separation, alignment, cohesion with quadtree-based
-        // neighbour queries. Also implements queuing (QUEUING state),
-        // collision avoidance with environment.
-        // ========================================================================
-
-        // FLOCKING ALGORITHM (spatial: use quadtree so O(n*k) not O(n^2); 2D XZ only)
-        _flockBox2D.minX = person.pos.x - FLOCK_RADIUS;
-        _flockBox2D.maxX = person.pos.x + FLOCK_RADIUS;
-        _flockBox2D.minZ = person.pos.z - FLOCK_RADIUS;
-        _flockBox2D.maxZ = person.pos.z + FLOCK_RADIUS;
-        peopleQuadtree.queryBounds(_flockBox2D, _flockNeighbors);
-        _flockSeenIds.clear();
-        for (let k = 0; k < _flockNeighbors.length; k++) {
-            const other = _flockNeighbors[k];
-            if (other === person || _flockSeenIds.has(other.id) || other.state === "INSIDE") continue;
-            _flockSeenIds.add(other.id);
-            const dist = person.pos.distanceTo(other.pos);
-            if (dist > 0 && dist < FLOCK_RADIUS) {
-                if (PARAMS.flocking.sep.on) {
-                    _physicsPush.subVectors(person.pos, other.pos).normalize().divideScalar(dist);
-                    _physicsSep.add(_physicsPush);
-                }
-                if (PARAMS.flocking.ali.on) _physicsAli.add(other.vel);
-                if (PARAMS.flocking.coh.on) _physicsCoh.add(other.pos);
-                count++;
-                if (count >= FLOCK_MAX_NEIGHBORS) break;
-            }
-        }
-
-        if (count > 0) {
-            // Apply slider weights
-            if (PARAMS.flocking.sep.on) _physicsForce.add(_physicsSep.multiplyScalar(0.2 * PARAMS.flocking.sep.val));
-            if (PARAMS.flocking.ali.on) {
-                _physicsAli.divideScalar(count).normalize().multiplyScalar(MAX_SPEED).sub(person.vel);
-                _physicsForce.add(_physicsAli.multiplyScalar(0.05 * PARAMS.flocking.ali.val));
-            }
-            if (PARAMS.flocking.coh.on) {
-                _physicsCoh.divideScalar(count).sub(person.pos).normalize().multiplyScalar(MAX_SPEED).sub(person.vel);
-                _physicsForce.add(_physicsCoh.multiplyScalar(0.05 * PARAMS.flocking.coh.val));
-            }
-        }
-
-        // avoid lilies (only when person is near lily region to save compute)
-        if (lilyAvoidBounds && lilyAvoidBounds.containsPoint(person.pos)) {
-            for (let L = 0; L < lilies.length; L++) {
-                _lilyWorldPos.set(lilies[L].x, lilies[L].y, lilies[L].z);
-                const distLily = Math.hypot(person.pos.x - _lilyWorldPos.x, person.pos.z - _lilyWorldPos.z);
-                if (distLily < LILY_AVOID_RADIUS) {
-                    _physicsAvoid.subVectors(person.pos, _lilyWorldPos).normalize().multiplyScalar((LILY_AVOID_RADIUS - distLily) * 0.5);
-                    _physicsForce.add(_physicsAvoid);
-                }
-            }
-        }
-
-        const PERSON_ENV_INSIDE_STRENGTH = 0.8;
-        _physicsAvoid.set(0, 0, 0);
-        for (let i = 0; i < environmentObjects.length; i++) {
-            const obj = environmentObjects[i];
-            const box = obj.userData.boundingBox;
-            if (!box) continue;
-
-            // If person is inside the bounding box, push them away
-            if (box.containsPoint(person.pos)) {
-                // Get the closest point on the box surface to the person's position
-                const closestPoint = getClosestPointOnBoxSurface(box, person.pos, _physicsClampedPoint);
-
-                // Calculate direction from person to closest surface point (away from object)
-                // Reuse _physicsPush as temporary vector for avoid direction
-                _physicsPush.subVectors(closestPoint, person.pos);
-                const penetrationDepth = _physicsPush.length();
-
-                if (penetrationDepth > 1e-6) {
-                    // Normalize direction
-                    _physicsPush.normalize();
-
-                    // Calculate force strength: stronger when closer to object center
-                    // The closer the person is to obj.position, the stronger the push needed
-                    const distToCenter = obj.position.distanceTo(person.pos);
-                    const boxSize = box.max.distanceTo(box.min);
-                    const normalizedDist = Math.max(0.1, distToCenter / (boxSize * 0.5)); // Normalize to 0-1 range
-
-                    // Force increases as person gets closer to center (smaller normalizedDist)
-                    // Also increases with penetration depth - deeper penetration = stronger push
-                    const forceStrength = PERSON_ENV_INSIDE_STRENGTH * (1.0 / normalizedDist) * (1.0 + penetrationDepth);
-                    _physicsPush.multiplyScalar(forceStrength);
-
-                    // Accumulate avoid force from this object
-                    _physicsAvoid.add(_physicsPush);
-                } else {
-                    // Fallback: push away from object center if surface point calculation fails
-                    _physicsPush.subVectors(person.pos, obj.position);
-                    const distToCenter = _physicsPush.length();
-                    if (distToCenter > 1e-6) {
-                        _physicsPush.normalize();
-                        // Stronger force when closer to center
-                        const forceStrength = PERSON_ENV_INSIDE_STRENGTH * (1.0 / Math.max(0.1, distToCenter));
-                        _physicsPush.multiplyScalar(forceStrength);
-                        _physicsAvoid.add(_physicsPush);
-                    }
-                }
-            }
-        }
-        if (_physicsAvoid.lengthSq() > 0) {
-            _physicsForce.add(_physicsAvoid);
-        }
+function removeBarrier(barrier) {
+    const i = placedBarriers.indexOf(barrier);
+    if (i < 0) return;
+    placedBarriers.splice(i, 1);
+    crowd.removeEnvironmentObject(barrier);
+    scene.remove(barrier); // geometries and materials are shared by every barrier of the type
+    onBarriersChanged();
+}
 
-        const boundaryInfo = peopleQuadtree.getBoundaryInfo(person.pos.x, person.pos.z);
-        if (!boundaryInfo.outside) {
-            const distToEdge = boundaryInfo.distanceToEdge;
-            const range = PARAMS.boundary.repellantRange;
-            if (distToEdge < range && distToEdge > 0) {
+function clearBarriers() {
+    while (placedBarriers.length > 0) removeBarrier(placedBarriers[placedBarriers.length - 1]);
+}
 
-                _physicsForce.add(person.pos.clone().multiplyScalar(-0.02)); // boundary
-            }
-        }
+function onBarriersChanged() {
+    barrierStats.placed = placedBarriers.length;
+    if (debugParams.environmentShapes) updateEnvironmentShapeDebugLine();
+}
 
-        if (person.target) {
-            _physicsDestination.subVectors(person.target, person.pos);
-            const dist = _physicsDestination.length();
-            _physicsDestination.normalize();
-            if (dist < 10) {
-                _physicsDestination.multiplyScalar(person.maxSpeed * (dist / 5));
-            } else {
-                _physicsDestination.multiplyScalar(person.maxSpeed);
-            }
-            _physicsClampResult.subVectors(_physicsDestination, person.vel).clampLength(0, MAX_FORCE);
-            _physicsForce.add(_physicsClampResult);
-        } else if (person.state === 'WANDER') {
-            _physicsWanderVec.set(Math.random() - 0.5, 0, Math.random() - 0.5).normalize().multiplyScalar(MAX_FORCE * 0.8);
-            _physicsForce.add(_physicsWanderVec);
-        }
+// Remove the barrier under the pointer, or place one where the pointer meets walkable ground
+function editBarrierAt(clientX, clientY) {
+    _pickPointer.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+    _pickRaycaster.setFromCamera(_pickPointer, camera);
+    const barrierHits = _pickRaycaster.intersectObjects(placedBarriers, true);
+    if (barrierHits.length > 0) {
+        let o = barrierHits[0].object;
+        while (o && !placedBarriers.includes(o)) o = o.parent;
+        if (o) removeBarrier(o);
+        return;
     }
+    const groundHits = _pickRaycaster.intersectObjects(walkableMeshes, true);
+    if (groundHits.length === 0) return;
+    const { x, z } = groundHits[0].point;
+    const surface = walkableSampler.getSurfaceInfo(x, z);
+    if (!surface.inside) return;
+    placeBarrier(barrierParams.type, x, surface.y, z, THREE.MathUtils.degToRad(barrierParams.angle));
+}
+
+function loadBarrierLayoutFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.text()
+            .then((text) => {
+                const layout = parseBarrierLayout(text);
+                clearBarriers();
+                for (const b of layout) placeBarrier(b.type, b.x, b.y, b.z, b.angle);
+            })
+            .catch((e) => console.error('Could not load barrier layout:', e));
+    };
+    input.click();
+}
 
-    // Clamp accumulated force magnitude to prevent extreme accelerations from conflicting forces
-    _physicsForce.clampLength(0, MAX_FORCE * MAX_FORCE_CLAMP_FACTOR);
-    person.acc.add(_physicsForce);
-    person.vel.add(person.acc);
+const barrierTypeOptions = {};
+for (const type of Object.keys(BARRIER_TYPES)) barrierTypeOptions[BARRIER_TYPES[type].label] = type;
+const barrierFolder = gui.addFolder("Barriers");
+barrierFolder.add(barrierParams, "editMode").name("Edit mode (click to place / remove)");
+barrierFolder.add(barrierParams, "type", barrierTypeOptions).name("Type");
+barrierFolder.add(barrierParams, "angle", 0, 180, 15).name("Angle (deg)");
+barrierFolder.add(barrierStats, "placed").name("Placed").listen();
+barrierFolder.add({ clear: clearBarriers }, "clear").name("Remove all");
+barrierFolder.add({
+    save: () => downloadFile(new Blob([JSON.stringify(getBarrierLayout(placedBarriers), null, 2)], { type: 'application/json' }), 'barrier-layout.json')
+}, "save").name("Save layout");
+barrierFolder.add({ load: loadBarrierLayoutFile }, "load").name("Load layout");
 
-    if (person.state === 'SNAPPING') {
-        person.vel.multiplyScalar(0.92);
-    } else {
-        person.vel.clampLength(0, person.maxSpeed);
-    }
-
-    const oldPosX = person.pos.x;
-    const oldPosZ = person.pos.z;
-    person.pos.add(person.vel);
-    person.acc.set(0, 0, 0);
-
-    if (!peopleQuadtree.containsPoint(person.pos.x, person.pos.z)) {
-        const nearest = peopleQuadtree.getNearestPointOnBoundary(person.pos.x, person.pos.z);
-        person.pos.x = nearest.x;
-        person.pos.z = nearest.z;
-        const surfaceAtBoundary = walkableSampler.getSurfaceInfo(nearest.x, nearest.z);
-        person.pos.y = (surfaceAtBoundary.inside && surfaceAtBoundary.y != null)
-            ? surfaceAtBoundary.y
-            : walkableSampler.getNearestWalkable(nearest.x, nearest.z).y;
-        const clampBoundaryInfo = peopleQuadtree.getBoundaryInfo(person.pos.x, person.pos.z);
-        const vOut = person.vel.x * clampBoundaryInfo.outwardNormalX + person.vel.z * clampBoundaryInfo.outwardNormalZ;
-        if (vOut > 0) {
-            person.vel.x -= vOut * clampBoundaryInfo.outwardNormalX;
-            person.vel.z -= vOut * clampBoundaryInfo.outwardNormalZ;
-        }
+function modifyCrowd(n) {
+    if (n > 0) {
+        crowd.addPeople(n, { groupSizes: PARAMS.people.groupSizes });
     } else {
-        const afterInfo = walkableSampler.getSurfaceInfo(person.pos.x, person.pos.z);
-        person.pos.y = afterInfo.y != null ? afterInfo.y : 0;
-    }
-
-    // Hard-clamp: if inside any environment object, snap to its surface and zero outward velocity (same logic as quadtree boundary)
-    const MAX_ENV_CLAMP_ITER = 5;
-    for (let iter = 0; iter < MAX_ENV_CLAMP_ITER; iter++) {
-        let insideAny = false;
-        for (let e = 0; e < environmentObjects.length; e++) {
-            const box = environmentObjects[e].userData.boundingBox;
-            if (!box || !box.containsPoint(person.pos)) continue;
-            insideAny = true;
-            getClosestPointOnBoxSurfaceWithNormal(box, person.pos, _envClampPoint, _envClampNormal);
-            person.pos.copy(_envClampPoint);
-            const surf = walkableSampler.getSurfaceInfo(person.pos.x, person.pos.z);
-            person.pos.y = (surf.inside && surf.y != null) ? surf.y : walkableSampler.getNearestWalkable(person.pos.x, person.pos.z).y;
-            const vOut = person.vel.x * _envClampNormal.x + person.vel.y * _envClampNormal.y + person.vel.z * _envClampNormal.z;
-            if (vOut < 0) {
-                person.vel.x -= vOut * _envClampNormal.x;
-                person.vel.y -= vOut * _envClampNormal.y;
-                person.vel.z -= vOut * _envClampNormal.z;
-            }
-            person.vel.multiplyScalar(0.3);
-            break;
-        }
-        if (!insideAny) break;
-    }
-
-    person._displacement = Math.hypot(person.pos.x - oldPosX, person.pos.z - oldPosZ);
-
-    if (debugParams.logPersonMovement && people.indexOf(person) === debugParams.debugPersonIndex) {
-        const surfaceInfo = person._surfaceCache || {};
-        const u = surfaceInfo.u !== undefined ? surfaceInfo.u.toFixed(4) : 'N/A';
-        const v = surfaceInfo.v !== undefined ? surfaceInfo.v.toFixed(4) : 'N/A';
-        const regionIndex = surfaceInfo.regionIndex !== undefined ? surfaceInfo.regionIndex : 'N/A';
-        const onSurface = surfaceInfo.inside !== undefined ? surfaceInfo.inside : (person._lastSurfaceInside !== undefined ? person._lastSurfaceInside : false);
-        console.log(`[Person ${debugParams.debugPersonIndex}] Frame ${frameCount}:`, {
-            pos: `(${person.pos.x.toFixed(3)}, ${person.pos.y.toFixed(3)}, ${person.pos.z.toFixed(3)})`,
-            uv: `(${u}, ${v})`,
-            regionIndex: regionIndex,
-            vel: `(${person.vel.x.toFixed(4)}, ${person.vel.y.toFixed(4)}, ${person.vel.z.toFixed(4)}) [${person.vel.length().toFixed(4)}]`,
-            acc: `(${person.acc.x.toFixed(4)}, ${person.acc.y.toFixed(4)}, ${person.acc.z.toFixed(4)})`,
-            state: person.state,
-            onSurface: onSurface,
-            atEdge: person._atSurfaceEdge || false,
-            displacement: person._displacement?.toFixed(4) || '0'
-        });
+        disposePersonMeshes(crowd.removePeople(Math.abs(n)));
+        if (peopleQuadtreeDebugLine) updatePeopleQuadtreeDebugLine();
     }
+    updateCrowdCount();
+}
 
-    person.acc.set(0, 0, 0);
-
-    if (person.state === 'SNAPPING') {
-        person.snapTimer = (person.snapTimer || 0) + 1;
+function disposePersonMeshes(removed) {
+    for (const p of removed) {
+        if (p === selectedPerson) selectPerson(null);
+        if (p.mesh?.parent) p.mesh.parent.remove(p.mesh);
+        p.mesh = null;
+        p.parts = null;
     }
-
-    return person;
 }
 
 function applyDragonflyPhysics(dragonfly) {
@@ -1961,18 +2500,15 @@ function applyDragonflyPhysics(dragonfly) {
         _dfPhysicsForce.add(_dfSteer.copy(_dfSep).clampLength(0, maxForce).multiplyScalar(2));
     }
 
-    // Avoid environment obstacles (precomputed Box3 per object)
+    // Avoid environment obstacles (precomputed collision shape per object, within its height range)
     const ENV_AVOID_MARGIN = 0.5;
     const ENV_AVOID_STRENGTH = 0.5;
     for (let i = 0; i < environmentObjects.length; i++) {
-        const obj = environmentObjects[i];
-        const box = obj.userData.boundingBox;
-        if (!box) continue;
-        box.clampPoint(dragonfly.pos, _dfClampedPoint);
-        const dist = dragonfly.pos.distanceTo(_dfClampedPoint);
+        const shape = environmentObjects[i].userData.collisionShape;
+        if (!shape || dragonfly.pos.y < shape.minY || dragonfly.pos.y > shape.maxY) continue;
+        const dist = getShapeDistance(shape, dragonfly.pos.x, dragonfly.pos.z, _dfShapeContact);
         if (dist < ENV_AVOID_MARGIN && dist > 0.001) {
-            _dfAvoid.subVectors(dragonfly.pos, _dfClampedPoint)
-                .normalize()
+            _dfAvoid.set(_dfShapeContact.nx, 0, _dfShapeContact.nz)
                 .multiplyScalar((ENV_AVOID_MARGIN - dist) * ENV_AVOID_STRENGTH);
             _dfPhysicsForce.add(_dfAvoid);
         }
@@ -2015,7 +2551,7 @@ function applyDragonflyPhysics(dragonfly) {
         }
     } else {
         // Wander: random 3D force (like person WANDER)
-        _dfRandomDir.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize()
+        _dfRandomDir.set(dragonflyRng.random() - 0.5, dragonflyRng.random() - 0.5, dragonflyRng.random() - 0.5).normalize()
             .multiplyScalar(maxForce * 0.8);
         _dfPhysicsForce.add(_dfRandomDir);
     }
@@ -2061,40 +2597,21 @@ function applyDragonflyPhysics(dragonfly) {
     return dragonfly;
 }
 
-// SNAPPING phase lengths (frames); total ~0.7 s at 60fps
-const SNAP_ARM_UP_DURATION = 16;
-const SNAP_FLASH_FRAME = 17;
-const SNAP_ARM_DOWN_START = 35;
-const SNAP_ARM_DOWN_END = 38;
+// 'snap' dwell animation phase times (s since the snap started; a lily photo lasts SNAP_DURATION ~0.67 s)
+const SNAP_ARM_UP_DURATION = 16 / 60;
+const SNAP_FLASH_TIME = 17 / 60;
+const SNAP_ARM_DOWN_START = 35 / 60;
+const SNAP_ARM_DOWN_END = 38 / 60;
 const SNAP_ARM_UP_ANGLE = -1.2;
-const SNAP_END_FRAME = 40;  // return to WANDER after this
-// Frames before a person who just finished SNAPPING can enter SEEK_LILY again (~2.5 s at 60fps)
-const SEEK_LILY_COOLDOWN_FRAMES = 150;
-const QUEUE_COOLDOWN_FRAMES = 150; // frames before a person can enter QUEUING again
-
-function animatePerson(person) {
-    if (!person.mesh) {
-        if ((person._displacement || 0) > 0.01) {
-            // Initialize smoothed velocity if needed
-            if (!person._smoothedVel) person._smoothedVel = person.vel.clone();
-            // Smooth velocity for stable facing direction
-            if (person.vel.lengthSq() > 0.0001) {
-                person._smoothedVel.lerp(person.vel, SMOOTH_VEL_LERP);
-            }
-            const newFacing = Math.atan2(person._smoothedVel.x, person._smoothedVel.z);
-            let turnDelta = newFacing - person.facingAngle;
-            // Wrap to [-PI, PI]
-            while (turnDelta > Math.PI) turnDelta -= 2 * Math.PI;
-            while (turnDelta < -Math.PI) turnDelta += 2 * Math.PI;
-            // Limit turn rate
-            const clampedTurn = Math.max(-MAX_TURN_RAD, Math.min(MAX_TURN_RAD, turnDelta));
-            person.facingAngle += clampedTurn;
-            person.bankAngle = person.bankAngle * 0.85 + (-clampedTurn * 0.2) * 0.15;
-        } else {
-            person.bankAngle *= 0.9;
-        }
-        return;
-    }
+const LOOK_UP_HEAD_ANGLE = -0.6;   // 'lookUp' dwell animation: head tilted back (radians)
+const LOOK_UP_HEAD_TIME = 0.16;    // s time constant of the head moving towards its tilt (and back afterwards)
+
+/**
+ * @param {Object} person
+ * @param {number} frameSeconds - real time since the last frame, for blends that must not depend on frame rate
+ */
+function animatePerson(person, frameSeconds) {
+    if (!person.mesh) return;
     // Position is interpolated in the render pass for smooth movement; rotation/anim here
 
     // Q3b: PROCEDURAL KINEMATICS - Velocity-Based Transforms & Compression
@@ -2102,7 +2619,8 @@ function animatePerson(person) {
     // on impact (squash/stretch when colliding), velocity-based facing direction.
     // No pre-baked animation clips - all transforms computed procedurally from state.
     // ========================================================================
-    // Compression on impact (squash/stretch effect)
+    // Compression on impact (squash/stretch effect), on top of the agent profile's body scale
+    const bodyScale = person.bodyScale ?? 1;
     if (person._compressionTimer !== undefined && person._compressionTimer < COMPRESSION_DURATION) {
         person._compressionTimer++;
         const t = person._compressionTimer / COMPRESSION_DURATION;
@@ -2113,77 +2631,63 @@ function animatePerson(person) {
             const compressT = t * 2;
             const scaleY = 1 - compression * compressT;
             const scaleXZ = 1 + compression * 0.3 * compressT;
-            person.mesh.scale.set(scaleXZ, scaleY, scaleXZ);
+            person.mesh.scale.set(scaleXZ, scaleY, scaleXZ).multiplyScalar(bodyScale);
         } else {
             // Recover (bounce back)
             const recoverT = (t - 0.5) * 2;
             const scaleY = 1 - compression * (1 - recoverT);
             const scaleXZ = 1 + compression * 0.3 * (1 - recoverT);
-            person.mesh.scale.set(scaleXZ, scaleY, scaleXZ);
+            person.mesh.scale.set(scaleXZ, scaleY, scaleXZ).multiplyScalar(bodyScale);
         }
         if (person._compressionTimer >= COMPRESSION_DURATION) {
-            person.mesh.scale.set(1, 1, 1);  // Reset to normal scale
+            person.mesh.scale.setScalar(bodyScale);  // Reset to normal scale
             delete person._compressionTimer;
             delete person._compressionMax;
         }
     }
 
-    if (person.state === 'SNAPPING') {
-        const snapTimer = person.snapTimer || 0;
-        // Initialize smoothed velocity if needed
-        if (!person._smoothedVel) person._smoothedVel = person.vel.clone();
-        // Smooth velocity for stable facing direction
-        if (person.vel.lengthSq() > 0.0001) {
-            person._smoothedVel.lerp(person.vel, SMOOTH_VEL_LERP);
-        }
-        const ang = Math.atan2(person._smoothedVel.x, person._smoothedVel.z);
-        _animatePersonQuat.setFromAxisAngle(_animatePersonAxisY, ang);
+    // Dwelling at a point of interest: stand facing it and play its animation
+    const headTilt = person.dwellAnimation === 'lookUp' ? LOOK_UP_HEAD_ANGLE : 0;
+    person.parts.head.rotation.x += (headTilt - person.parts.head.rotation.x) * (1 - Math.exp(-frameSeconds / LOOK_UP_HEAD_TIME));
+    if (person.dwellAnimation) {
+        _animatePersonQuat.setFromAxisAngle(_animatePersonAxisY, person.facingAngle);
         person.mesh.quaternion.slerp(_animatePersonQuat, 0.35);
-        if (snapTimer < SNAP_ARM_UP_DURATION) {
-            const u = snapTimer / SNAP_ARM_UP_DURATION;
+        person.parts.legLeft.rotation.x *= 0.9;
+        person.parts.legRight.rotation.x *= 0.9;
+        person.parts.armLeft.rotation.x *= 0.9;
+        if (person.dwellAnimation !== 'snap') {
+            person.parts.armRight.rotation.x *= 0.9;
+            return;
+        }
+        const snapTime = person.dwellTime || 0;
+        if (snapTime < SNAP_ARM_UP_DURATION) {
+            const u = snapTime / SNAP_ARM_UP_DURATION;
             person.parts.armRight.rotation.x = SNAP_ARM_UP_ANGLE * u;
-        } else if (snapTimer >= SNAP_ARM_DOWN_START && snapTimer < SNAP_ARM_DOWN_END) {
-            const u = (snapTimer - SNAP_ARM_DOWN_START) / (SNAP_ARM_DOWN_END - SNAP_ARM_DOWN_START);
+        } else if (snapTime >= SNAP_ARM_DOWN_START && snapTime < SNAP_ARM_DOWN_END) {
+            const u = (snapTime - SNAP_ARM_DOWN_START) / (SNAP_ARM_DOWN_END - SNAP_ARM_DOWN_START);
             person.parts.armRight.rotation.x = SNAP_ARM_UP_ANGLE * (1 - u);
-        } else if (snapTimer >= SNAP_ARM_UP_DURATION && snapTimer < SNAP_ARM_DOWN_START) {
+        } else if (snapTime >= SNAP_ARM_UP_DURATION && snapTime < SNAP_ARM_DOWN_START) {
             person.parts.armRight.rotation.x = SNAP_ARM_UP_ANGLE;
         }
-        if (snapTimer === SNAP_FLASH_FRAME && !person.snapFlashDone) {
+        if (snapTime >= SNAP_FLASH_TIME && !person.snapFlashDone) {
             person.triggerFlash();
             person.snapFlashDone = true;
         }
-        person.parts.legLeft.rotation.x *= 0.9;
-        person.parts.legRight.rotation.x *= 0.9;
-        person.parts.armLeft.rotation.x *= 0.9;
         return;
     }
 
     if ((person._displacement || 0) > 0.01) {
-        // Initialize smoothed velocity if needed
-        if (!person._smoothedVel) person._smoothedVel = person.vel.clone();
-        // Smooth velocity for stable facing direction
-        if (person.vel.lengthSq() > 0.0001) {
-            person._smoothedVel.lerp(person.vel, SMOOTH_VEL_LERP);
-        }
-        const newFacing = Math.atan2(person._smoothedVel.x, person._smoothedVel.z);
-        let turnDelta = newFacing - person.facingAngle;
-        // Wrap to [-PI, PI]
-        while (turnDelta > Math.PI) turnDelta -= 2 * Math.PI;
-        while (turnDelta < -Math.PI) turnDelta += 2 * Math.PI;
-        // Limit turn rate
-        const clampedTurn = Math.max(-MAX_TURN_RAD, Math.min(MAX_TURN_RAD, turnDelta));
-        person.facingAngle += clampedTurn;
-        const ang = person.facingAngle;
-        _animatePersonQuat.setFromAxisAngle(_animatePersonAxisY, ang);
+        _animatePersonQuat.setFromAxisAngle(_animatePersonAxisY, person.facingAngle);
         person.mesh.quaternion.slerp(_animatePersonQuat, 0.35);
 
-        // Walk phase tied to displacement (faster movement = faster leg cycle)
-        person._walkPhase = (person._walkPhase ?? 0) + (person._displacement ?? 0) * WALK_PHASE_PER_UNIT;
-        const t = person._walkPhase;
-        person.parts.legLeft.rotation.x = Math.sin(t) * 0.6;
-        person.parts.legRight.rotation.x = -Math.sin(t) * 0.6;
-        person.parts.armLeft.rotation.x = -Math.sin(t) * 0.5;
-        person.parts.armRight.rotation.x = Math.sin(t) * 0.5;
+        // Walk phase tied to displacement (advanced by the simulation; faster movement = faster leg cycle);
+        // the agent profile sets the swing: short shuffling steps for the elderly, big ones for children
+        const t = person._walkPhase ?? 0;
+        const swing = person.strideSwing ?? 0.6;
+        person.parts.legLeft.rotation.x = Math.sin(t) * swing;
+        person.parts.legRight.rotation.x = -Math.sin(t) * swing;
+        person.parts.armLeft.rotation.x = -Math.sin(t) * swing * 5 / 6;
+        person.parts.armRight.rotation.x = Math.sin(t) * swing * 5 / 6;
     } else {
         person.parts.legLeft.rotation.x *= 0.9;
         person.parts.legRight.rotation.x *= 0.9;
@@ -2192,77 +2696,73 @@ function animatePerson(person) {
     }
 }
 
-const _lilyTargetPos = new THREE.Vector3();
-// Flow/queue waypoints for group behaviours (Q3a)
-// Queue target must be on a walkable surface; use connection surface left edge near door (door at ~(-4.3,1.8,-33) is unwalkable)
-const DUNELM_QUEUE_TARGET = new THREE.Vector3(-5.75, 0, -32.2);
-const DUNELM_DOOR_OPEN_RADIUS = 2;
-const DUNELM_INSIDE_MIN_FRAMES = 90;
-const DUNELM_INSIDE_MAX_FRAMES = 210;
-const _doorBox2D = {
-    minX: DUNELM_QUEUE_TARGET.x - (DUNELM_DOOR_OPEN_RADIUS + 1),
-    maxX: DUNELM_QUEUE_TARGET.x + (DUNELM_DOOR_OPEN_RADIUS + 1),
-    minZ: DUNELM_QUEUE_TARGET.z - (DUNELM_DOOR_OPEN_RADIUS + 1),
-    maxZ: DUNELM_QUEUE_TARGET.z + (DUNELM_DOOR_OPEN_RADIUS + 1)
-};
-const _doorNeighbors = [];
-
-function updateDecision(person) {
-    // SNAPPING -> WANDER is handled in applyPhysics (velocity + lastSnapFrame set there)
-
-    // Bridge navigation: when on bridge, set target to far end
-    const onBridge = person._surfaceCache && person._surfaceCache.regionIndex === BRIDGE_DECK_REGION_INDEX;
-    const wasOnBridge = person._wasOnBridge === true;
-
-    if (onBridge && !wasOnBridge && person.state === "WANDER") {
-        // Just stepped onto bridge - set target to far end
-        person.target = BRIDGE_FAR_TARGET.clone();
-        person._wasOnBridge = true;
-    } else if (!onBridge && wasOnBridge) {
-        // Stepped off bridge - clear bridge state
-        person._wasOnBridge = false;
-        if (person.target && person.target.distanceTo(BRIDGE_FAR_TARGET) < 0.1) {
-            person.target = null;
+/**
+ * One fixed SIM_STEP of everything whose speed must not depend on the display rate:
+ * crowd (decisions, physics, door transitions, arrivals and exits), door animation, dragonfly physics and A* replanning.
+ */
+function stepSimulation() {
+    const countBefore = people.length;
+    crowd.step();
+    // Open population: people who reached an exit are gone; arrivals get meshes when first rendered
+    disposePersonMeshes(crowd.despawned);
+    if (people.length !== countBefore || crowd.despawned.length > 0) updateCrowdCount();
+    if (debugParams.densityHeatmap) densityField.update(people, SIM_STEP);
+    trajectoryRecorder.capture(crowd.tick, crowd.time, people);
+    metricsLogger.capture();
+
+    // Door animation (open while someone is at the door or inside)
+    const doorGroup = dunelm.userData.doorGroup;
+    if (doorGroup) {
+        if (crowd.isDoorActive()) {
+            const openAngle = Math.PI / 2;
+            doorGroup.rotation.y += (openAngle - doorGroup.rotation.y) * 0.15;
+        } else {
+            doorGroup.rotation.y += (0 - doorGroup.rotation.y) * 0.1;
         }
-    } else if (onBridge) {
-        person._wasOnBridge = true;
-    }
-
-    if (person.state === "WANDER") {
-        if (Math.random() < 0.0001) {
-            const framesSinceSnap = frameCount - (person.lastSnapFrame ?? -SEEK_LILY_COOLDOWN_FRAMES);
-            if (framesSinceSnap > SEEK_LILY_COOLDOWN_FRAMES && lilies.length > 0) {
-                person.state = "SEEK_LILY";
-                const idx = Math.floor(Math.random() * lilies.length);
-                _lilyTargetPos.set(lilies[idx].x, lilies[idx].y, lilies[idx].z);
-                person.target = _lilyTargetPos.clone().add(new THREE.Vector3((Math.random() - 0.5) * 4, 0, (Math.random() - 0.5) * 4));
-            }
+    }
 
-        } else if (Math.random() < 0.0001) {
-            const framesSinceQueue = frameCount - (person.lastQueueFrame ?? -QUEUE_COOLDOWN_FRAMES);
-            if (framesSinceQueue > QUEUE_COOLDOWN_FRAMES) {
-                person.state = "QUEUING";
-                person.target = DUNELM_QUEUE_TARGET.clone();
-                person.lastQueueFrame = frameCount;
-            }
-        } else if (person.state === "SEEK_LILY" && lilies.length > 0) {
-            if (person.target != null && person.pos.distanceTo(person.target) < 5) {
-                person.state = "SNAPPING";
-                person.snapPosition = person.target.clone();
-                person.target = null;
-                person.snapTimer = 0;
-                person.snapFlashDone = false;
-            }
+    // Dragonfly physics and octree
+    for (let i = 0; i < dragonflies.length; i++) {
+        const dragonfly = dragonflies[i];
+        dragonfly.prevPos.copy(dragonfly.pos);
+        applyDragonflyPhysics(dragonfly);
+    }
+    const DF_OCTREE_MOVE_EPS_SQ = 1e-6;
+    for (let i = 0; i < dragonflies.length; i++) {
+        const df = dragonflies[i];
+        df.bounds.min.set(df.pos.x - df.forceRadius, df.pos.y - df.forceRadius, df.pos.z - df.forceRadius);
+        df.bounds.max.set(df.pos.x + df.forceRadius, df.pos.y + df.forceRadius, df.pos.z + df.forceRadius);
+        if (df.pos.distanceToSquared(df._lastOctreePos) > DF_OCTREE_MOVE_EPS_SQ) {
+            dragonflyOctree.remove(df);
+            dragonflyOctree.insert(df);
+            df._lastOctreePos.copy(df.pos);
         }
-    } else if (person.state === "SNAPPING") {
-        person.snapTimer = (person.snapTimer || 0) + 1;
-        if (person.snapTimer >= SNAP_END_FRAME) {
-            person.state = "WANDER";
-            person.lastSnapFrame = frameCount;
-            person.vel.set(Math.random() - 0.5, 0, Math.random() - 0.5).normalize().multiplyScalar(MAX_FORCE * 0.5);
+    }
+
+    // Dragonfly A* path recomputation when follow cursor enabled (staggered to avoid main-thread freeze)
+    if (PARAMS.dragonflies.followClick && dragonflies.length > 0 && simClock.ticks % 3 === 0) {
+        const isLeafBlocked = (leaf) => {
+            const leafCentre = leaf.bounds.getCenter(_astarLeafCenter);
+            const info = walkableSampler.getSurfaceInfo(leafCentre.x, leafCentre.z);
+            if (info.inside && info.y != null && leafCentre.y <= info.y + 0.5) return true;
+            const dx = leafCentre.x - dunelm.position.x;
+            const dz = leafCentre.z - dunelm.position.z;
+            if (dx * dx + dz * dz <= dunelm.userData.radius * dunelm.userData.radius) return true;
+            for (let L = 0; L < lilies.length; L++) {
+                const lx = lilies[L].x, lz = lilies[L].z;
+                if ((leafCentre.x - lx) ** 2 + (leafCentre.z - lz) ** 2 <= LILY_AVOID_RADIUS * LILY_AVOID_RADIUS) return true;
+            }
+            return false;
+        };
+        const DF_ASTAR_PER_BATCH = 2;
+        const startIdx = (Math.floor(simClock.ticks / 3) * DF_ASTAR_PER_BATCH) % dragonflies.length;
+        for (let k = 0; k < DF_ASTAR_PER_BATCH; k++) {
+            const i = (startIdx + k) % dragonflies.length;
+            const dragonfly = dragonflies[i];
+            dragonfly.path = findPathOctree(dragonflyOctree, dragonfly.pos, cursorWorldPos, isLeafBlocked);
+            dragonfly.pathIndex = 0;
         }
     }
-    return person;
 }
 
 function animate() {
@@ -2277,108 +2777,54 @@ function animate() {
         treeElement.update(camera);
     }
 
-    // Update person bounds2D; incremental quadtree update every 4 frames to save compute
-    if (frameCount % 4 === 0) {
-        const QUADTREE_MOVE_EPS_SQ = 1e-6;
-        for (let i = 0; i < people.length; i++) {
-            const person = people[i];
-            if (person.state === "INSIDE") continue;
-            person.bounds2D.minX = person.pos.x - PERSON_RADIUS;
-            person.bounds2D.maxX = person.pos.x + PERSON_RADIUS;
-            person.bounds2D.minZ = person.pos.z - PERSON_RADIUS;
-            person.bounds2D.maxZ = person.pos.z + PERSON_RADIUS;
-            const dx = person.pos.x - person._lastQuadtreePos.x;
-            const dz = person.pos.z - person._lastQuadtreePos.z;
-            if (dx * dx + dz * dz > QUADTREE_MOVE_EPS_SQ) {
-                peopleQuadtree.remove(person);
-                peopleQuadtree.insert(person);
-                person._lastQuadtreePos.x = person.pos.x;
-                person._lastQuadtreePos.z = person.pos.z;
-            }
-        }
-    }
-
     const CULL_DISTANCE = 100;  // cull characters beyond 100m (no far box LOD)
     // Q4a: LOD hysteresis to prevent popping - use different thresholds for promote vs demote
     const LOD_CLOSE_PROMOTE = 35;  // Promote to close LOD when closer than 35m
     const LOD_CLOSE_DEMOTE = 45;   // Demote from close LOD when farther than 45m
     const SHADOW_DISTANCE = 40; // only characters within this distance of camera cast shadows
-    const PERSON_POS_INTERP = 0.2; // lerp factor for smooth position interpolation (0=no move, 1=instant snap)
-    const MAX_DISPLAY_Y_DELTA = 0.5; // clamp _displayPos.y to pos.y ± this to prevent slow float
     const camPos = camera.position;
 
-    // Door animation and INSIDE transition (QUEUING person within radius -> INSIDE)
-    if (frameCount % 2 === 0) {
-        const doorGroup = dunelm.userData.doorGroup;
-        let someoneNearDoor = false;
-
-        if (doorGroup) {
-            const nearDoor = peopleQuadtree.queryBounds(_doorBox2D, _doorNeighbors);
-            for (let i = 0; i < nearDoor.length; i++) {
-                const person = nearDoor[i];
-                if (person.state === "QUEUING" && person.target != null && person.target.distanceToSquared(DUNELM_QUEUE_TARGET) < 0.1 && person.pos.distanceTo(DUNELM_QUEUE_TARGET) < DUNELM_DOOR_OPEN_RADIUS) {
-                    someoneNearDoor = true;
-                    peopleQuadtree.remove(person);
-                    person.state = "INSIDE";
-                    peopleInsideCount++;
-                    person.respawnAt = frameCount + DUNELM_INSIDE_MIN_FRAMES + Math.floor(Math.random() * (DUNELM_INSIDE_MAX_FRAMES - DUNELM_INSIDE_MIN_FRAMES));
-                }
-            }
-
-            const someoneInside = peopleInsideCount > 0;
-
-            const doorShouldStayOpen = someoneNearDoor || someoneInside;
-            if (doorShouldStayOpen) {
-                const openAngle = Math.PI / 2;
-                doorGroup.rotation.y += (openAngle - doorGroup.rotation.y) * 0.15;
-            } else {
-                doorGroup.rotation.y += (0 - doorGroup.rotation.y) * 0.1;
-            }
-
-            // Respawn INSIDE people when time is up (must iterate people: INSIDE are not in quadtree)
-            const doorWorldPos = dunelm.userData.doorWorldPosition;
-            const doorExitDir = dunelm.userData.doorExitDirection;
-            for (let i = 0; i < people.length; i++) {
-                const person = people[i];
-                if (person.state === "INSIDE" && frameCount >= person.respawnAt) {
-                    peopleInsideCount--;
-                    person.pos.copy(doorWorldPos).addScaledVector(doorExitDir, 1.0);
-                    person.vel.copy(doorExitDir).multiplyScalar(person.maxSpeed * 0.5);
-                    person.facingAngle = Math.atan2(doorExitDir.x, doorExitDir.z);
-                    person.bounds2D = {
-                        minX: person.pos.x - PERSON_RADIUS,
-                        maxX: person.pos.x + PERSON_RADIUS,
-                        minZ: person.pos.z - PERSON_RADIUS,
-                        maxZ: person.pos.z + PERSON_RADIUS
-                    };
-                    person._lastQuadtreePos = { x: person.pos.x, z: person.pos.z };
-                    peopleQuadtree.insert(person);
-                    person.state = "WANDER";
-                    person.target = null;
-                    delete person.respawnAt;
-                }
-            }
-        }
+    // Fixed-step simulation (crowd, door, dragonflies); alpha interpolates rendered positions between the last two steps.
+    // During trajectory playback the recording drives the crowd renderer instead and the simulation stands still.
+    const now = performance.now();
+    const frameSeconds = (now - _lastFrameTime) / 1000;
+    if (trajectoryPlayer) {
+        trajectoryPlayer.speed = playbackSettings.speed;
+        trajectoryPlayer.loop = playbackSettings.loop;
+        trajectoryPlayer.advance(frameSeconds);
+        disposePersonMeshes(trajectoryPlayer.despawned);
+        if (trajectoryPlayer.playing) playbackParams.frame = Math.floor(trajectoryPlayer.cursor);
+    } else {
+        simClock.advance(frameSeconds, stepSimulation);
+    }
+    _lastFrameTime = now;
+    const alpha = trajectoryPlayer ? trajectoryPlayer.alpha : simClock.alpha;
+    const shownPeople = trajectoryPlayer ? trajectoryPlayer.people : people;
+    const useRecordedLOD = trajectoryPlayer !== null && playbackParams.recordedLOD;
+    if (debugParams.pedestrianPaths) updatePedestrianPathDebugLine();
 
+    if (frameCount % 2 === 0) {
         // Hybrid crowd: bucket by distance; characters beyond CULL_DISTANCE are not rendered; INSIDE are hidden
         _listClose.length = 0;
         _listMid.length = 0;
-        for (let i = 0; i < people.length; i++) {
-            const person = people[i];
+        for (let i = 0; i < shownPeople.length; i++) {
+            const person = shownPeople[i];
+            // Render tier: hidden (INSIDE), culled, or close / mid with hysteresis; recorded with trajectories
+            let tier;
             if (person.state === "INSIDE") {
-                if (person.mesh) {
-                    if (person.mesh.parent) person.mesh.parent.remove(person.mesh);
-                    person.mesh = null;
-                    person.parts = null;
-                    person._phone = null;
-                    person.getPhone = () => null;
-                    person.triggerFlash = () => { };
-                }
-                continue;
+                tier = LOD_TIER_HIDDEN;
+            } else {
+                const dist = person.pos.distanceTo(camPos);
+                // Q4a: LOD hysteresis to prevent popping - use different thresholds for promote vs demote
+                const wasClose = person.mesh !== null;  // Currently has close LOD mesh
+                if (dist > CULL_DISTANCE) tier = LOD_TIER_CULLED;
+                else if (wasClose) tier = dist < LOD_CLOSE_DEMOTE ? LOD_TIER_CLOSE : LOD_TIER_MID; // demote only beyond demote threshold
+                else tier = dist < LOD_CLOSE_PROMOTE ? LOD_TIER_CLOSE : LOD_TIER_MID; // promote only within promote threshold
             }
-            const dist = person.pos.distanceTo(camPos);
-            if (dist > CULL_DISTANCE) {
-                // Culled: remove mesh if they had one (e.g. just moved out of range)
+            if (useRecordedLOD) tier = person.lodTier;
+            else person.lodTier = tier;
+            if (tier === LOD_TIER_HIDDEN || tier === LOD_TIER_CULLED) {
+                // Inside or culled: remove mesh if they had one (e.g. just moved out of range)
                 if (person.mesh) {
                     if (person.mesh.parent) person.mesh.parent.remove(person.mesh);
                     person.mesh = null;
@@ -2389,17 +2835,8 @@ function animate() {
                 }
                 continue;
             }
-            // Q4a: LOD hysteresis to prevent popping - use different thresholds for promote vs demote
-            const wasClose = person.mesh !== null;  // Currently has close LOD mesh
-            if (wasClose) {
-                // Demote only if beyond demote threshold
-                if (dist < LOD_CLOSE_DEMOTE) _listClose.push(person);
-                else _listMid.push(person);
-            } else {
-                // Promote only if within promote threshold
-                if (dist < LOD_CLOSE_PROMOTE) _listClose.push(person);
-                else _listMid.push(person);
-            }
+            if (tier === LOD_TIER_CLOSE) _listClose.push(person);
+            else _listMid.push(person);
         }
 
         // Demote: remove mesh from people in mid tier; keep visual continuity by seeding _displayPos from mesh position
@@ -2421,7 +2858,8 @@ function animate() {
             const p = _listClose[i];
             if (!p.mesh) {
                 const startPos = (p._displayPos != null) ? p._displayPos.clone() : p.pos.clone();
-                const { mesh, parts, _phone } = createPersonMeshOnly({ position: startPos, rotationY: p.facingAngle });
+                const { mesh, parts, _phone } = createPersonMeshOnly({ position: startPos, rotationY: p.facingAngle, appearanceSeed: p.appearanceSeed });
+                mesh.scale.setScalar(p.bodyScale ?? 1);
                 p.mesh = mesh;
                 p.parts = parts;
                 p._phone = _phone;
@@ -2446,72 +2884,20 @@ function animate() {
                     p._castShadow = inRange;
                     p.mesh.traverse((o) => { if (o.isMesh) o.castShadow = inRange; });
                 }
-                p.mesh.position.lerp(p.pos, PERSON_POS_INTERP);
             }
         }
     }
 
 
 
-    // Apply physics and decision to people (every 2 frames, batched for compute savings)
-    const PEOPLE_PER_BATCH = Math.ceil(people.length / 2);
-    const batchNumber = Math.floor(frameCount / 2);
-    const startIdx = (batchNumber * PEOPLE_PER_BATCH) % people.length;
-    for (let k = 0; k < PEOPLE_PER_BATCH; k++) {
-        const i = (startIdx + k) % people.length;
-        let person = people[i];
-        if (!person || !person.pos || person.state === "INSIDE") continue;
-
-        person = updateDecision(person);
-        person = applyPhysics(person);
-        animatePerson(person);
+    // Pose close-LOD meshes from simulation state (facing, walk phase, snap timer)
+    for (let i = 0; i < _listClose.length; i++) {
+        const p = _listClose[i];
+        if (p.mesh) p.mesh.position.lerpVectors(p.prevPosition, p.pos, alpha);
+        animatePerson(p, frameSeconds);
     }
 
 
-    // Dragonfly physics and octree: update every other frame to save compute
-    if (frameCount % 2 === 0) {
-        for (let i = 0; i < dragonflies.length; i++) {
-            const dragonfly = dragonflies[i];
-            applyDragonflyPhysics(dragonfly);
-        }
-        const DF_OCTREE_MOVE_EPS_SQ = 1e-6;
-        for (let i = 0; i < dragonflies.length; i++) {
-            const df = dragonflies[i];
-            df.bounds.min.set(df.pos.x - df.forceRadius, df.pos.y - df.forceRadius, df.pos.z - df.forceRadius);
-            df.bounds.max.set(df.pos.x + df.forceRadius, df.pos.y + df.forceRadius, df.pos.z + df.forceRadius);
-            if (df.pos.distanceToSquared(df._lastOctreePos) > DF_OCTREE_MOVE_EPS_SQ) {
-                dragonflyOctree.remove(df);
-                dragonflyOctree.insert(df);
-                df._lastOctreePos.copy(df.pos);
-            }
-        }
-    }
-
-    // Dragonfly A* path recomputation when follow cursor enabled (staggered to avoid main-thread freeze)
-    if (PARAMS.dragonflies.followClick && dragonflies.length > 0 && frameCount % 6 === 0) {
-        const isLeafBlocked = (leaf) => {
-            const leafCentre = leaf.bounds.getCenter(_astarLeafCenter);
-            const info = walkableSampler.getSurfaceInfo(leafCentre.x, leafCentre.z);
-            if (info.inside && info.y != null && leafCentre.y <= info.y + 0.5) return true;
-            const dx = leafCentre.x - dunelm.position.x;
-            const dz = leafCentre.z - dunelm.position.z;
-            if (dx * dx + dz * dz <= dunelm.userData.radius * dunelm.userData.radius) return true;
-            for (let L = 0; L < lilies.length; L++) {
-                const lx = lilies[L].x, lz = lilies[L].z;
-                if ((leafCentre.x - lx) ** 2 + (leafCentre.z - lz) ** 2 <= LILY_AVOID_RADIUS * LILY_AVOID_RADIUS) return true;
-            }
-            return false;
-        };
-        const DF_ASTAR_PER_BATCH = 2;
-        const startIdx = (Math.floor(frameCount / 6) * DF_ASTAR_PER_BATCH) % dragonflies.length;
-        for (let k = 0; k < DF_ASTAR_PER_BATCH; k++) {
-            const i = (startIdx + k) % dragonflies.length;
-            const dragonfly = dragonflies[i];
-            dragonfly.path = findPathOctree(dragonflyOctree, dragonfly.pos, cursorWorldPos, isLeafBlocked);
-            dragonfly.pathIndex = 0;
-        }
-    }
-
     // ============================================================================
     // Q3c: RENDERING OPTIMISATION PIPELINE - Instanced Rendering & GPU Updates
     // ============================================================================
@@ -2528,14 +2914,14 @@ function animate() {
         }
         for (let i = 0; i < list.length; i++) {
             const person = list[i];
-            if (!person._displayPos) person._displayPos = person.pos.clone();
-            person._displayPos.lerp(person.pos, PERSON_POS_INTERP);
-            person._displayPos.y = Math.max(person.pos.y - MAX_DISPLAY_Y_DELTA, Math.min(person.pos.y + MAX_DISPLAY_Y_DELTA, person._displayPos.y));
+            if (!person._displayPos) person._displayPos = new THREE.Vector3();
+            person._displayPos.lerpVectors(person.prevPosition, person.pos, alpha);
             _dummyPosition.copy(person._displayPos);
             _dummyQuaternion.setFromAxisAngle(_dummyAxisY, person.facingAngle);
             _dummyQuatBank.setFromAxisAngle(_dummyAxisX, person.bankAngle ?? 0);
             _dummyQuaternion.multiply(_dummyQuatBank);
-            _dummyMatrix.compose(_dummyPosition, _dummyQuaternion, _dummyScale);
+            _personScale.setScalar(person.bodyScale ?? 1);
+            _dummyMatrix.compose(_dummyPosition, _dummyQuaternion, _personScale);
             mesh.setMatrixAt(i, _dummyMatrix);
             mesh.setColorAt(i, person.bodyColor);
         }
@@ -2544,7 +2930,9 @@ function animate() {
         const colorAttr = mesh.geometry.attributes.instanceColor;
         if (colorAttr) colorAttr.needsUpdate = true;
     }
+    ensureInstancedCapacity(_listMid.length);
     fillInstancedMesh(instancedMeshMedium, _listMid);
+    updateInspectorOverlay();
 
     // Dragonfly LOD: bucket by distance with hysteresis, fill instanced meshes
     _listDfClose.length = 0;
@@ -2578,7 +2966,7 @@ function animate() {
 
     for (let i = 0; i < _listDfClose.length; i++) {
         const df = _listDfClose[i];
-        _dummyPosition.copy(df.pos);
+        _dummyPosition.lerpVectors(df.prevPos, df.pos, alpha);
         _dummyQuaternion.setFromAxisAngle(_dummyAxisY, df.facingAngle);
         _dummyQuatBank.setFromAxisAngle(_dummyAxisX, df.bankAngle ?? 0);
         _dummyQuaternion.multiply(_dummyQuatBank);
@@ -2591,7 +2979,7 @@ function animate() {
     if (dfInstancedClose.geometry.attributes.instanceColor) dfInstancedClose.geometry.attributes.instanceColor.needsUpdate = true;
     for (let i = 0; i < _listDfFar.length; i++) {
         const df = _listDfFar[i];
-        _dummyPosition.copy(df.pos);
+        _dummyPosition.lerpVectors(df.prevPos, df.pos, alpha);
         _dummyQuaternion.setFromAxisAngle(_dummyAxisY, df.facingAngle);
         _dummyQuatBank.setFromAxisAngle(_dummyAxisX, df.bankAngle ?? 0);
         _dummyQuaternion.multiply(_dummyQuatBank);
@@ -2609,7 +2997,7 @@ function animate() {
     }
 
     // Wave plane: animate control points y = 20 + 8*sin(t + phase) then update surface
-    const waveT = performance.now() * 0.001;
+    const waveT = simClock.time + alpha * simClock.step;
     const k1 = 0.8, k2 = 0.8;
     for (let i = 0; i < 4; i++) {
         for (let j = 0; j < 4; j++) {
@@ -2655,7 +3043,25 @@ function animate() {
     }
 
 
-    updateCamera();
+    if (frameCount % 15 === 0) {
+        queueStats.length = dunelmQueue.length;
+        queueStats.averageWait = Math.round(dunelmQueue.getAverageWait() * 10) / 10;
+        queueStats.served = dunelmQueue.served;
+        queueStats.balked = dunelmQueue.balked;
+        populationStats.arrivals = crowd.arrivals;
+        populationStats.departures = crowd.departures;
+        updateBridgeStats();
+        updateLilyStats();
+        updateEvacuationStats();
+        updateRecordingStats();
+        updateAgentInspector();
+        collisionStats.total = crowd.collisions.total;
+        collisionStats.current = crowd.collisions.current;
+        simLodStats.tiers = crowd.simLodCounts.join(" / ");
+        updateDensityHeatmap();
+    }
+
+    updateCamera(frameSeconds);
     frameCount += 1;
     if (ENABLE_PROFILING) _t0 = performance.now();
     if (PARAMS.performance.usePostProcessing) {
@@ -0,0 +1,191 @@
+import { SIM_STEP } from './CrowdSimulation.js';
+
+const DEFAULT_MAX_DURATION = 300;  // s of simulated time kept before logging stops
+const DEFAULT_MAX_ROWS = 5400000;  // trajectory rows kept before logging stops: 600 people for 300 s, about 170 MB
+const ROW_STRIDE = 8;              // id, x, y, z, vx, vz, state code, region index (-1 = unknown); tick and t are per tick
+const INITIAL_ROWS = 4096;
+
+/**
+ * Raw data for analysis: per-person trajectory rows and per-tick aggregates of a CrowdSimulation, written as CSV
+ * (header row, comma separated, one row per observation) for pandas or R. Works headless:
+ *
+ *     const logger = new CrowdMetricsLogger(sim);
+ *     logger.start();
+ *     for (let i = 0; i < 1800; i++) { sim.step(); logger.capture(); }
+ *     const out = fs.createWriteStream('trajectories.csv');
+ *     for (const part of logger.trajectoriesToCSV()) out.write(part);
+ *     out.end();
+ *     fs.writeFileSync('ticks.csv', logger.aggregatesToCSV().join(''));
+ *
+ * The exporters return the file in pieces, each ending in a newline, rather than as one string: a long log of a
+ * large crowd is longer than the longest string V8 can hold. Pass them to `new Blob(parts)` or write them one by one.
+ *
+ * Each trajectory row carries the tick and t of its entry in the per-tick table, printed the same way, so the two
+ * files join on either column. Velocities and speeds are the displacement over the tick (prevPosition to pos) per
+ * second. The region index is the walkable sampler region of the person's `_surfaceCache`, empty off every region.
+ *
+ * @param {import('./CrowdSimulation.js').CrowdSimulation} sim
+ * @param {Object} [options]
+ * @param {number} [options.maxDuration=300] - s of simulated time; ticks beyond it are dropped and `full` is set
+ * @param {number} [options.maxRows=5400000] - trajectory rows; a tick that would go beyond it is dropped and `full`
+ *   is set, so a large crowd is logged for less than maxDuration
+ */
+export class CrowdMetricsLogger {
+    constructor(sim, options = {}) {
+        const { maxDuration = DEFAULT_MAX_DURATION, maxRows = DEFAULT_MAX_ROWS } = options;
+        this.sim = sim;
+        this.maxDuration = maxDuration;
+        this.maxRows = maxRows;
+        this.logging = false;
+        this.clear();
+    }
+
+    /** Drop everything logged. */
+    clear() {
+        this.full = false;
+        this._rows = new Float32Array(INITIAL_ROWS * ROW_STRIDE);
+        this._rowCount = 0;
+        /** Per tick: { tick, time, population, states: Map<string, number>, meanSpeed, inside, queueLength } */
+        this.ticks = [];
+        this._states = [];
+        this._stateCodes = new Map();
+    }
+
+    /** Start a new log from the simulation's current tick. */
+    start() {
+        this.clear();
+        this.logging = true;
+    }
+
+    stop() {
+        this.logging = false;
+    }
+
+    /** @returns {number} s of simulated time logged */
+    get duration() {
+        return this.ticks.length * SIM_STEP;
+    }
+
+    /** @returns {number} trajectory rows logged */
+    get rowCount() {
+        return this._rowCount;
+    }
+
+    /** Log the tick the simulation has just completed (call after each step). */
+    capture() {
+        if (!this.logging || this.full) return;
+        const sim = this.sim;
+        const people = sim.people;
+        if (this.duration >= this.maxDuration || this._rowCount + people.length > this.maxRows) {
+            this.full = true;
+            return;
+        }
+        const states = new Map();
+        let speedSum = 0, outdoors = 0;
+        this._reserve(people.length);
+        for (let i = 0; i < people.length; i++) {
+            const p = people[i];
+            states.set(p.state, (states.get(p.state) ?? 0) + 1);
+            const vx = (p.pos.x - p.prevPosition.x) / SIM_STEP;
+            const vz = (p.pos.z - p.prevPosition.z) / SIM_STEP;
+            if (p.state !== "INSIDE") {
+                speedSum += Math.hypot(vx, vz);
+                outdoors++;
+            }
+            const region = p._surfaceCache?.regionIndex;
+            const o = this._rowCount * ROW_STRIDE;
+            this._rows[o] = p.id;
+            this._rows[o + 1] = p.pos.x;
+            this._rows[o + 2] = p.pos.y;
+            this._rows[o + 3] = p.pos.z;
+            this._rows[o + 4] = vx;
+            this._rows[o + 5] = vz;
+            this._rows[o + 6] = this._stateCode(p.state);
+            this._rows[o + 7] = typeof region === 'number' ? region : -1;
+            this._rowCount++;
+        }
+        this.ticks.push({
+            tick: sim.tick,
+            time: sim.time,
+            population: people.length,
+            states,
+            meanSpeed: outdoors > 0 ? speedSum / outdoors : 0,
+            inside: sim.insideCount,
+            queueLength: sim.door ? sim.door.queue.length : 0
+        });
+    }
+
+    _reserve(rows) {
+        const needed = (this._rowCount + rows) * ROW_STRIDE;
+        if (needed <= this._rows.length) return;
+        let size = this._rows.length;
+        while (size < needed) size *= 2;
+        size = Math.min(size, this.maxRows * ROW_STRIDE);
+        const grown = new Float32Array(size);
+        grown.set(this._rows.subarray(0, this._rowCount * ROW_STRIDE));
+        this._rows = grown;
+    }
+
+    _stateCode(state) {
+        let code = this._stateCodes.get(state);
+        if (code === undefined) {
+            code = this._states.length;
+            this._states.push(state);
+            this._stateCodes.set(state, code);
+        }
+        return code;
+    }
+
+    /**
+     * @returns {string[]} CSV (see the class comment) with columns id, tick, t, x, y, z, vx, vz, state, region: the
+     *   header line, then one piece per tick
+     */
+    trajectoriesToCSV() {
+        const parts = ['id,tick,t,x,y,z,vx,vz,state,region\n'];
+        const rows = this._rows;
+        let r = 0;
+        // Rows were logged tick by tick, population rows each
+        for (const tick of this.ticks) {
+            const t = tick.time.toFixed(4);
+            const lines = [];
+            for (let end = r + tick.population; r < end; r++) {
+                const o = r * ROW_STRIDE;
+                lines.push([
+                    rows[o],
+                    tick.tick,
+                    t,
+                    rows[o + 1].toFixed(3),
+                    rows[o + 2].toFixed(3),
+                    rows[o + 3].toFixed(3),
+                    rows[o + 4].toFixed(3),
+                    rows[o + 5].toFixed(3),
+                    this._states[rows[o + 6]],
+                    rows[o + 7] >= 0 ? rows[o + 7] : ''
+                ].join(',') + '\n');
+            }
+            parts.push(lines.join(''));
+        }
+        return parts;
+    }
+
+    /**
+     * @returns {string[]} CSV lines (see the class comment) with columns tick, t, population, one count column per
+     *   state seen (`state_<NAME>`), mean_speed (people not INSIDE), inside (Dunelm House) and queue_length
+     */
+    aggregatesToCSV() {
+        const states = this._states;
+        const lines = [['tick', 't', 'population', ...states.map((s) => `state_${s}`), 'mean_speed', 'inside', 'queue_length'].join(',') + '\n'];
+        for (const row of this.ticks) {
+            lines.push([
+                row.tick,
+                row.time.toFixed(4),
+                row.population,
+                ...states.map((s) => row.states.get(s) ?? 0),
+                row.meanSpeed.toFixed(3),
+                row.inside,
+                row.queueLength
+            ].join(',') + '\n');
+        }
+        return lines;
+    }
+}
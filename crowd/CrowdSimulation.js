@@ -0,0 +1,2260 @@
+import * as THREE from "three";
+import { Figure, createCrowdPerson } from '../objects/character.js';
+import { CompositeQuadtree } from '../utils/Quadtree.js';
+import { getStream } from '../utils/random.js';
+import { FlowField, createFlowGrid } from './FlowField.js';
+import { PathPlanner } from './PathPlanner.js';
+import { Evacuation } from './Evacuation.js';
+import { computeOrcaVelocity } from './orca.js';
+import { computeSocialForce } from './socialForce.js';
+import { SocialGroup, meanGroupSize, sampleGroupSize } from './SocialGroup.js';
+import { DEFAULT_PROFILE_WEIGHTS, applyProfile, sampleProfile } from './profiles.js';
+import { getLocomotionRule, slopeSpeedFactor } from './locomotion.js';
+import { createBoxShape, getShapeDistance, shapeContainsPoint, shapeOverlapsCircle } from './collisionShapes.js';
+import { PointOfInterest } from './PointOfInterest.js';
+import { PHOTO_SATISFACTION, QUEUE_COOLDOWN, createDefaultActivities, createNeeds, getDecisionNeeds, satisfyNeed, updateNeeds } from './activities.js';
+
+// Fixed simulation step (s): every person is updated once per step (30 updates/s, the rate the old 60 fps frame
+// loop reached by updating half the crowd per frame). Steering constants below are per person update, so step(dt)
+// always runs whole steps (see utils/SimulationClock.js for the render loop's clock), never one of the frame's length.
+export const SIM_STEP = 1 / 30;
+const STEP_EPSILON = 1e-9;            // s: step(dt) time this close to a whole step runs it (float sums of dt)
+
+// Crowd steering limits (per person update)
+export const MAX_FORCE = 0.03;
+export const MAX_SPEED = 0.25;
+export const PERSON_RADIUS = 0.5;
+export const BODY_RADIUS = 0.3;         // m: a person's physical radius for collision counting (PERSON_RADIUS sizes the quadtree box)
+
+// Natural movement constants
+const MAX_TURN_RAD = 0.08;              // max radians per person update for facing angle change
+const SMOOTH_VEL_LERP = 0.15;           // lerp factor for velocity smoothing (0=no smooth, 1=instant)
+export const WALK_PHASE_PER_UNIT = 3.5; // radians per unit of displacement for walk cycle
+const MAX_FORCE_CLAMP_FACTOR = 2;       // clamp accumulated force to MAX_FORCE * this factor
+
+export const LILY_AVOID_RADIUS = 1;
+const FLOCK_RADIUS = 10;
+const FLOCK_MAX_NEIGHBORS = 20;
+const MAX_PLACEMENT_RETRIES = 20;
+const PERSON_ENV_INSIDE_STRENGTH = 0.8;
+const MAX_ENV_CLAMP_ITER = 5;
+const QUADTREE_MOVE_EPS_SQ = 1e-6;
+const COLLISION_RELEASE_GAP = 0.1;      // m: a touching pair must separate this far before it can collide again
+const COLLISION_QUERY_MARGIN = 2;       // m: quadtree boxes lag positions by up to two updates (refreshed every other tick)
+const ORCA_NEIGHBOUR_RADIUS = 5;        // m: neighbours considered by ORCA
+const ORCA_MAX_NEIGHBORS = 10;          // nearest this many within ORCA_NEIGHBOUR_RADIUS (keeps the LP small in dense crowds)
+const ORCA_TIME_HORIZON = 2 / SIM_STEP; // person updates (2 s) ahead for which ORCA avoids collisions
+const ORCA_RADIUS_MARGIN = 0.05;        // m added to BODY_RADIUS so ORCA does not settle pairs exactly touching
+const DEFAULT_PERSONAL_SPACE = BODY_RADIUS + ORCA_RADIUS_MARGIN; // m: Reynolds separation is at full strength at this personal space
+const FLOW_DIRECT_RADIUS = 3;  // m: closer than this to the target, steer straight at it instead of along the flow field
+const WAYPOINT_REACH_RADIUS = 1;      // m: a path waypoint counts as reached this close (XZ)
+const REPLAN_INTERVAL = 3;            // s between replans of a goal-seeking person's path (they drift off it in a crowd)
+const REPLAN_TARGET_MOVE_SQ = 1;      // replan at once when the target moves more than 1 m from the path's end
+const SOCIAL_NEIGHBOUR_RADIUS = 3;    // m: social force neighbours (the exponential repulsion is negligible beyond)
+const SOCIAL_WALL_RADIUS = 2;         // m: walls, environment shapes and lilies further than this exert no social force
+const SOCIAL_MAX_SPEED_FACTOR = 1.3;  // social force speed limit as a multiple of the desired speed (Helbing 2000)
+const SOCIAL_REFERENCE_SPEED = 1.34;  // m/s: the walking speed the SocialForceParams are calibrated for (Helbing 2000)
+// The scene's desired speed (MAX_SPEED's) over the reference: relaxation time and strengths are rescaled by it
+const SOCIAL_PACE = MAX_SPEED / SIM_STEP / SOCIAL_MAX_SPEED_FACTOR / SOCIAL_REFERENCE_SPEED;
+const SOCIAL_ARRIVAL_RADIUS = 2;      // m: desired speed falls off linearly inside this distance of the target
+const SOCIAL_WANDER_SPEED = 0.75;     // wandering walks at this fraction of the desired speed
+const SOCIAL_WANDER_TURN = 0.3;       // max radians per person update the wander heading drifts
+const GROUP_SPAWN_RADIUS = 2.5;       // m: group members are placed within this distance of their leader
+const GROUP_WAIT_DISTANCE = 2;        // m: a wandering leader slows down while a follower is further than this behind
+const GROUP_WAIT_SPEED_FACTOR = 0.3;  // a waiting leader's speed limit as a fraction of their max speed
+const GROUP_MATE_SEPARATION = 1.0;   // m: flocking ignores group mates further apart than this
+const GROUP_HEADING_MIN_SPEED = 0.01; // m per update: slower leaders keep their previous formation heading
+const GROUP_HEADING_LERP = 0.1;       // fraction per step the formation heading turns towards the leader's
+const BRIDGE_END_RADIUS = 2;          // m: a person crossing the bridge has reached the end this close (XZ)
+const LANE_LOOKAHEAD = 6;             // m ahead on the deck within which oncoming people make a person keep to their side
+const LANE_CLEARANCE = 1.5;           // m: oncoming people further than this to either side are already passing
+const LANE_FORCE = MAX_FORCE;         // sideways steering at full strength (oncoming person right ahead), Reynolds and ORCA
+const LANE_SOCIAL_FORCE = 1.5;        // m/s^2 at SOCIAL_REFERENCE_SPEED: the same for the social force model
+const SLOPE_SMOOTHING = 0.3;          // fraction per update the tracked slope moves towards the one just walked
+const SLOPE_MIN_STEP = 1e-3;          // m: shorter steps keep the previous slope (the height difference is noise)
+const SLOPE_MAX = 1;                  // steeper steps are jumps (spawn height, clamps onto another surface), not slopes
+const AVOID_PROBE_INTERVAL = 0.5;     // s between a wanderer's searches for the way off a region they avoid
+const AVOID_PROBE_SPACING = 2;        // m between the rings of probe points
+const AVOID_PROBE_RINGS = 3;
+const AVOID_PROBE_DIRECTIONS = 8;
+export const SIM_LOD_TIERS = ['full', 'reduced', 'coarse']; // simulation LOD tiers by person.simLod, see params.lod
+const SIM_LOD_FULL = 0;
+const SIM_LOD_REDUCED = 1;
+const SIM_LOD_COARSE = 2;
+const SIM_LOD_INTERVALS = [1, 2, 4];  // person updates per steering update, by simulation LOD tier
+const SIM_LOD_REFRESH_TICKS = 3;      // ticks between simulation LOD tier assignments
+const SIM_LOD_HYSTERESIS = 5;         // m beyond a tier's distance (or outside the view frustum) before demotion
+const SIM_LOD_SCREEN_MARGIN = 2;      // m: people this close outside the view frustum still count as on screen
+// m between bodies within which a person steers every update: what two people can close between steering updates
+const SIM_LOD_CONTACT_GAPS = SIM_LOD_INTERVALS.map(interval => 2 * MAX_SPEED * interval);
+const SIM_LOD_BLEND_TIME = 1;         // s over which the flocking neighbourhood grows back after coarse steering
+const COARSE_FLOCK_RADIUS = 5;        // m: flocking neighbours in the coarse tier (FLOCK_RADIUS otherwise)
+const COARSE_MAX_NEIGHBORS = 8;       // and at most this many (FLOCK_MAX_NEIGHBORS otherwise)
+
+// Behaviour durations (s of simulated time)
+export const SNAP_DURATION = 40 / 60;   // a lily photo: SNAPPING -> WANDER after this (person.dwellTime counts up from 0)
+const DECISION_INTERVAL = 1;            // s between a wandering person's activity decisions
+const WANDER_UTILITY = 0.3;             // utility of carrying on wandering; an activity must beat it to be taken up
+const DECISION_NOISE = 0.05;            // +-half this random jitter on each utility, so near ties do not always go the same way
+const LILY_SPOTS = 3;                   // viewing spots round each lily, one photographer each
+const LILY_SPOT_DISTANCE = 2;           // m from the lily to its viewing spots
+const LILY_ARRIVE_RADIUS = 1;           // m: SEEK_LILY -> SNAPPING this close to the viewing spot
+const LILY_WAIT_DISTANCE = 4;           // m from the lily where people wait for a free spot (WAITING_LILY)
+const LILY_MAX_WAIT = 15;               // s a person of patience 1 waits for a spot before giving up
+const LILY_MAX_WAITING = 4;             // people waiting at a lily beyond whom others do not consider it
+const LILY_LINGER_MAX = 2;              // s a photographer may stay on the spot after the photo
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5)); // turns successive lilies' spots so neighbours do not line up
+const LILY_CROWD_RADIUS = 4;            // m: people this close to a lily count towards its crowding
+const POI_CROWDING_INTERVAL = 1;        // s between crowding counts at the points of interest
+const EXIT_REACH_RADIUS = 2.5;          // m: a LEAVING person this close to their exit leaves the simulation
+const EVAC_CONGESTION_COST = 2;         // m added to an exit's distance per evacuee already sent there ('leastCongested')
+const EVAC_SLOW_FRACTION = 0.3;         // evacuees slower than this fraction of their max speed count as held up
+const DUNELM_INSIDE_MIN = 1.5;          // time spent inside Dunelm House
+const DUNELM_INSIDE_MAX = 3.5;
+
+const FEET_SURFACE_Y_OFFSET = Figure.getFeetSurfaceYOffset();
+
+const _flockBox2D = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 }; // 2D box for quadtree.queryBounds
+const _flockNeighbors = []; // reused for quadtree.queryBounds in applyPhysics
+const _flockSeenIds = new Set(); // dedupe quadtree results in applyPhysics
+const _lilyWorldPos = new THREE.Vector3();
+
+const _physicsForce = new THREE.Vector3();
+const _physicsSep = new THREE.Vector3();
+const _physicsAli = new THREE.Vector3();
+const _physicsCoh = new THREE.Vector3();
+const _physicsPush = new THREE.Vector3();
+const _physicsDestination = new THREE.Vector3();
+const _physicsAvoid = new THREE.Vector3();
+const _physicsClampResult = new THREE.Vector3();
+const _physicsWanderVec = new THREE.Vector3();
+const _envContact = { x: 0, z: 0, nx: 0, nz: 0 };
+const _flowDir = new THREE.Vector3();
+const _orcaNeighbors = [];   // nearest first, parallel to _orcaDistSq
+const _orcaDistSq = [];
+const _orcaPreferred = new THREE.Vector3();
+const _orcaOptions = {
+    radius: DEFAULT_PERSONAL_SPACE, // set to each person's personalSpace
+    timeHorizon: ORCA_TIME_HORIZON,
+    maxSpeed: MAX_SPEED,
+    isReciprocal: (other) => !other.dwelling // people at a point of interest stand still
+};
+const _collisionBox2D = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+const _socialNeighbors = [];
+const _socialWalls = [];     // { distance, nx, nz } pool, see computeSocialForce
+const _socialAgent = { x: 0, z: 0, vx: 0, vz: 0, desiredX: 0, desiredZ: 0 };
+const _socialForce = { x: 0, z: 0 };
+const _socialParams = {};
+const _formationOffset = { x: 0, z: 0 };
+const _laneSide = { x: 0, z: 0 };   // keep-side direction, see _laneSteer
+const _laneNeighbors = [];
+const _surfaceExit = { x: 0, z: 0 }; // way off an avoided region, see _surfaceAvoidance
+const _lodSphere = new THREE.Sphere(new THREE.Vector3(), SIM_LOD_SCREEN_MARGIN);
+const _decisionNeeds = { curiosity: 0, fatigue: 0, indoors: 0, home: 0 };
+const _poiCrowdNeighbors = [];
+const _collisionCandidates = [];
+
+/**
+ * Collision shape of an environment object: `userData.collisionShape`, or the footprint of `userData.boundingBox`.
+ * @returns {import('./collisionShapes.js').CollisionShape | null}
+ */
+function environmentShapeOf(obj) {
+    const { collisionShape, boundingBox } = obj.userData;
+    if (collisionShape) return collisionShape;
+    return boundingBox ? createBoxShape(boundingBox) : null;
+}
+
+/** Insert into the nearest-first ORCA neighbour list, keeping at most ORCA_MAX_NEIGHBORS; returns the new count. */
+function insertOrcaNeighbor(other, distSq, count) {
+    if (count === ORCA_MAX_NEIGHBORS && distSq >= _orcaDistSq[count - 1]) return count;
+    let i = Math.min(count, ORCA_MAX_NEIGHBORS - 1);
+    while (i > 0 && _orcaDistSq[i - 1] > distSq) {
+        _orcaNeighbors[i] = _orcaNeighbors[i - 1];
+        _orcaDistSq[i] = _orcaDistSq[i - 1];
+        i--;
+    }
+    _orcaNeighbors[i] = other;
+    _orcaDistSq[i] = distSq;
+    return Math.min(count + 1, ORCA_MAX_NEIGHBORS);
+}
+
+/** Write wall `count` of the social force pool; returns the new count. */
+function setSocialWall(count, distance, nx, nz) {
+    if (!_socialWalls[count]) _socialWalls[count] = { distance: 0, nx: 0, nz: 0 };
+    const wall = _socialWalls[count];
+    wall.distance = distance;
+    wall.nx = nx;
+    wall.nz = nz;
+    return count + 1;
+}
+
+function setPersonBounds2D(person) {
+    if (!person.bounds2D) person.bounds2D = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+    person.bounds2D.minX = person.pos.x - PERSON_RADIUS;
+    person.bounds2D.maxX = person.pos.x + PERSON_RADIUS;
+    person.bounds2D.minZ = person.pos.z - PERSON_RADIUS;
+    person.bounds2D.maxZ = person.pos.z + PERSON_RADIUS;
+    return person.bounds2D;
+}
+
+/**
+ * Headless crowd simulation: owns the people, their CompositeQuadtree and the walkable sampler, and runs
+ * decision making, flocking/steering physics and the Dunelm House door (QUEUING in an EntranceQueue -> INSIDE -> WANDER).
+ * Has no dependency on a scene, camera or GUI, so it runs in plain Node; rendering reads `people` after each step.
+ *
+ * Environment objects only need `position` and a `userData.collisionShape` (see collisionShapes.js) or, failing that,
+ * a `userData.boundingBox` (THREE.Box3) that stands for its footprint, so plain objects work headless.
+ * `params.flocking` and `params.boundary` are read every tick and may be shared with GUI-bound objects.
+ *
+ * Each feature is documented where it runs: steering, avoidance and the social force model in applyPhysics; flow
+ * fields and A* paths in getFlowField and _updatePaths; social groups in addPeople and _updateGroups; decisions in
+ * updateDecision and _chooseActivity; points of interest in addPointOfInterest; agent profiles in _placePerson;
+ * locomotion in _updateSurface; the bridge in _isOnBridge and _laneSteer; the open population in _updateSources;
+ * evacuation in startEvacuation.
+ * Simulation levels of detail for distant and off-screen people: see setViewer and _updateSimLod.
+ *
+ * @param {Object} options
+ * @param {ReturnType<import('../utils/walkableSampler.js').createCombinedSampler>} options.walkableSampler
+ * @param {Array<{ position: THREE.Vector3, userData: { collisionShape?: import('./collisionShapes.js').CollisionShape,
+ *   boundingBox?: THREE.Box3 } }>} [options.environmentObjects=[]]
+ * @param {Array<{ x: number, y: number, z: number }>} [options.lilies=[]]
+ * @param {PointOfInterest[]} [options.pointsOfInterest=[]] - visited alongside the lilies and the door
+ * @param {{ queue: import('./EntranceQueue.js').EntranceQueue, position: THREE.Vector3, exitDirection: THREE.Vector3 }} [options.door]
+ *   - people queue in `queue`, are admitted from its head and reappear at `position` + `exitDirection`; omit to disable QUEUING
+ * @param {THREE.Vector3} [options.bridgeFarTarget] - far end of the bridge deck: where people stepping on at the near end cross to
+ * @param {THREE.Vector3} [options.bridgeNearTarget] - near end of the deck, where people stepping on at the far end
+ *   (or turning back there) cross to; without it the bridge is crossed towards the far end only
+ * @param {THREE.Vector3[]} [options.exits=[]] - ways out: goals of the 'exits' and 'exit:<index>' flow fields
+ * @param {import('./CrowdSource.js').CrowdSource[]} [options.sources=[]] - where people arrive in an open population
+ * @param {{ segments?: Array<[THREE.Vector3, THREE.Vector3]>, maxStepHeight?: number }} [options.flowObstacles] - fence
+ *   lines that flow fields route around, and the largest walkable height step between neighbouring grid cells
+ * @param {number} [options.pathExpansionsPerStep=4000] - A* node expansions per step shared by all path requests
+ * @param {number} [options.bridgeRegionIndex=-1] - walkable region index of the bridge deck
+ * @param {{ flocking?: Object, boundary?: Object, socialForce?: Object, population?: Object, people?: Object,
+ *   evacuation?: Object, bridge?: Object, locomotion?: Object, lod?: Object }} [options.params]
+ *   - `socialForce` holds `enabled` and the SocialForceParams of socialForce.js;
+ *   `population.open` switches arrivals and exits on; `people.groupSizes` weights the size of arriving groups
+ *   and `people.profiles` the agent profile of each person (DEFAULT_PROFILE_WEIGHTS if omitted);
+ *   `evacuation.exitChoice` is 'nearest' or 'leastCongested'; `bridge.keepSide` is 'left' or 'right' and
+ *   `bridge.oneWay` 'off', 'toFar' or 'toNear'; `locomotion.regions` is a LocomotionRule array by walkable region
+ *   index and `locomotion.slope` the slope slowdown strength; `lod` holds `enabled` and the `nearDistance` and
+ *   `farDistance` (m from the viewer) of the simulation LOD tiers
+ * @param {number} [options.batches=1] - people are updated in this many round-robin batches (one batch per step);
+ *   above 1 each person moves only every `batches` steps, which slows them down and makes interpolation stutter
+ * @param {{ logPersonMovement: boolean, debugPersonIndex: number }} [options.debug]
+ * @param {import('./activities.js').ActivityDefinition[]} [options.activities] - defaults to createDefaultActivities()
+ * @param {ReturnType<import('../utils/random.js').createRandom>} [options.rng] - every random decision draws from this;
+ *   defaults to the 'crowd' stream, so the same global seed replays the same crowd history
+ */
+export class CrowdSimulation {
+    constructor(options = {}) {
+        const {
+            walkableSampler,
+            environmentObjects = [],
+            lilies = [],
+            pointsOfInterest = [],
+            door = null,
+            bridgeFarTarget = null,
+            bridgeNearTarget = null,
+            exits = [],
+            sources = [],
+            flowObstacles = {},
+            pathExpansionsPerStep = 4000,
+            bridgeRegionIndex = -1,
+            params = {},
+            batches = 1,
+            debug = null,
+            rng = getStream('crowd'),
+            activities = createDefaultActivities()
+        } = options;
+        if (!walkableSampler) throw new Error("CrowdSimulation: walkableSampler is required");
+        this.walkableSampler = walkableSampler;
+        this.quadtree = new CompositeQuadtree({ maxDepth: 5, minSize: 2 });
+        this.environmentObjects = environmentObjects;
+        /** Collision shape of each environment object (null for objects without one), by index. */
+        this.environmentShapes = environmentObjects.map(environmentShapeOf);
+        this.door = door;
+        this.bridgeFarTarget = bridgeFarTarget;
+        this.bridgeNearTarget = bridgeNearTarget;
+        this.bridgeRegionIndex = bridgeRegionIndex;
+        this.exits = exits;
+        this.sources = sources;
+        this._flowObstacles = flowObstacles;
+        this.flowGrid = this._createFlowGrid();
+        /** @type {Map<string, FlowField>} built on first use by getFlowField */
+        this.flowFields = new Map();
+        this.pathPlanner = this.flowGrid ? new PathPlanner(this.flowGrid, { expansionsPerStep: pathExpansionsPerStep }) : null;
+        this.params = {
+            flocking: params.flocking ?? {
+                avoidance: 'Reynolds',
+                sep: { on: true, val: 0.2 },
+                ali: { on: true, val: 0.5 },
+                coh: { on: true, val: 0.8 }
+            },
+            boundary: params.boundary ?? { repellantRange: 2 },
+            socialForce: params.socialForce ?? {
+                enabled: false,
+                relaxationTime: 0.5,
+                agentStrength: 10,
+                agentRange: 0.3,
+                anisotropy: 0.35,
+                wallStrength: 10,
+                wallRange: 0.2
+            },
+            population: params.population ?? { open: false },
+            people: params.people ?? { groupSizes: { 1: 1 } },
+            evacuation: params.evacuation ?? { exitChoice: 'nearest' },
+            bridge: params.bridge ?? { keepSide: 'left', oneWay: 'off' },
+            locomotion: params.locomotion ?? { regions: [], slope: 1 },
+            lod: params.lod ?? { enabled: false, nearDistance: 45, farDistance: 100 }
+        };
+        this.batches = Math.max(1, Math.floor(batches));
+        this.debug = debug;
+        this.rng = rng;
+        /** @type {import('./activities.js').ActivityDefinition[]} scored by wandering people, see registerActivity */
+        this.activities = activities;
+
+        /** Live array (never reassigned) so callers may hold a reference to it. */
+        this.people = [];
+        this.insideCount = 0;  // avoids O(n) loop for door open/close
+        this.doorActive = false;
+        this.tick = 0;
+        this.time = 0;  // simulated seconds (SIM_STEP per tick)
+        this._stepRemainder = 0;  // s passed to step(dt) and not yet run
+        /** Body overlaps: `total` pairs that started touching since the last reset, `current` pairs touching now. */
+        this.collisions = { total: 0, current: 0 };
+        this._touchingPairs = new Set();
+        this._touchingPairsNext = new Set();
+        this._nextId = 0;
+        /** Social groups of two or more; people outside a group have `group` null. */
+        this.groups = [];
+        this._nextGroupId = 0;
+        /** People spawned by sources and removed at exits since construction (open population). */
+        this.arrivals = 0;
+        this.departures = 0;
+        /** People removed during the last step() call; callers dispose their render meshes. */
+        this.despawned = [];
+        this._leavers = [];
+        /** Crossings of the bridge deck's midpoint each way, and people stewards turned back (`params.bridge.oneWay`). */
+        this.bridgeTraffic = { towardsFar: 0, towardsNear: 0, turnedBack: 0 };
+        /** @type {Evacuation | null} the current or last evacuation, see startEvacuation */
+        this.evacuation = null;
+        /** Outdoor people per simulation LOD tier (SIM_LOD_TIERS order) at the last assignment. */
+        this.simLodCounts = [0, 0, 0];
+        this._viewerPosition = null;
+        this._viewerFrustum = null;
+
+        /** @type {PointOfInterest[]} see addPointOfInterest */
+        this.pointsOfInterest = [];
+        this._nextPoiId = 0;
+        this._nextCrowdingTime = 0;
+        /** @type {PointOfInterest | null} the door's queue as a point of interest; its dwell is the time inside */
+        this.doorPointOfInterest = null;
+        if (door) {
+            this.doorPointOfInterest = this.addPointOfInterest(new PointOfInterest({
+                name: "Dunelm House",
+                position: door.queue.head,
+                queue: door.queue,
+                // Wanting to go indoors, plus tired people looking for a sit down
+                need: (needs) => needs.indoors + 0.5 * needs.fatigue,
+                dwell: [DUNELM_INSIDE_MIN, DUNELM_INSIDE_MAX],
+                seekState: "QUEUING",
+                dwellState: "INSIDE"
+            }));
+        }
+        this.lilies = [];
+        this.lilyAvoidBounds = null;
+        /** @type {PointOfInterest[]} one per lily, in lily order (see setLilies) */
+        this.lilyPoints = [];
+        this.setLilies(lilies);
+        for (const poi of pointsOfInterest) this.addPointOfInterest(poi);
+    }
+
+    /**
+     * Register a point of interest for wandering people to visit. Every lily (SEEK_LILY -> SNAPPING, a photo, once per
+     * person, from one of its LILY_SPOTS viewing spots, WAITING_LILY nearby while they are all taken) and the Dunelm
+     * House queue when there is a door (QUEUING -> INSIDE) are registered this way too. A person on a visit has
+     * `poi` set, and `dwelling` (with `dwellTime` counting up and `dwellAnimation` naming what to play) while they
+     * stand there.
+     * @param {PointOfInterest} poi
+     * @returns {PointOfInterest} poi
+     */
+    addPointOfInterest(poi) {
+        if (!(poi instanceof PointOfInterest)) throw new Error("CrowdSimulation: expected a PointOfInterest");
+        if (poi.queue && (!this.door || poi.queue !== this.door.queue)) {
+            throw new Error("CrowdSimulation: only the door's queue admits people");
+        }
+        // Drop viewing spots nobody could stand on (off the walkable area, in an environment object or a lily)
+        poi.spots = poi.spots.filter(spot => this._formationSlotFree(spot.x, spot.z) && !this._inLily(spot.x, spot.z));
+        poi.id = this._nextPoiId++;
+        this.pointsOfInterest.push(poi);
+        this._nextCrowdingTime = this.time;
+        return poi;
+    }
+
+    /**
+     * Add an obstacle at run time (a barrier, cone or crowd fence): from the next step people are pushed out of and
+     * steer clear of it, and flow fields and A* paths are rebuilt around it. It is appended to `environmentObjects`.
+     * @param {{ position: THREE.Vector3, userData: { collisionShape?: import('./collisionShapes.js').CollisionShape,
+     *   boundingBox?: THREE.Box3 } }} obj
+     */
+    addEnvironmentObject(obj) {
+        if (this.environmentObjects.includes(obj)) return;
+        const shape = environmentShapeOf(obj);
+        if (!shape) throw new Error("CrowdSimulation: an environment object needs userData.collisionShape or userData.boundingBox");
+        this.environmentObjects.push(obj);
+        this.environmentShapes.push(shape);
+        this._updateFlowGrid();
+    }
+
+    /**
+     * Remove an environment object, e.g. one added by addEnvironmentObject; flow fields and paths are rebuilt.
+     * @param {Object} obj
+     * @returns {boolean} false if it was not an environment object
+     */
+    removeEnvironmentObject(obj) {
+        const i = this.environmentObjects.indexOf(obj);
+        if (i < 0) return false;
+        this.environmentObjects.splice(i, 1);
+        this.environmentShapes.splice(i, 1);
+        this._updateFlowGrid();
+        return true;
+    }
+
+    _createFlowGrid() {
+        return createFlowGrid(this.walkableSampler, {
+            obstacleShapes: this.environmentShapes.filter(Boolean),
+            blockedSegments: this._flowObstacles.segments ?? [],
+            maxStepHeight: this._flowObstacles.maxStepHeight
+        });
+    }
+
+    /**
+     * Recompute which flow grid cells are passable after the environment changed (in place, so the path planner keeps
+     * its grid), drop every flow field so getFlowField rebuilds them, and replan every path on the next step.
+     */
+    _updateFlowGrid() {
+        if (!this.flowGrid) return;
+        this.flowGrid.passable.set(this._createFlowGrid().passable);
+        this.flowFields.clear();
+        this.pathPlanner.restart();
+        for (const p of this.people) p.pathRequestTime = -Infinity;
+    }
+
+    /** True if a person standing at (x, z) would overlap a lily (LILY_AVOID_RADIUS). */
+    _inLily(x, z) {
+        const reach = LILY_AVOID_RADIUS + BODY_RADIUS;
+        for (const lily of this.lilies) {
+            if ((lily.x - x) ** 2 + (lily.z - z) ** 2 < reach * reach) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Unregister a point of interest; people on their way there or dwelling go back to wandering.
+     * @param {PointOfInterest} poi
+     */
+    removePointOfInterest(poi) {
+        const i = this.pointsOfInterest.indexOf(poi);
+        if (i < 0) return;
+        this.pointsOfInterest.splice(i, 1);
+        this.flowFields.delete(`poi:${poi.id}`);
+        for (const p of this.people) {
+            if (p.poi !== poi) continue;
+            this._endVisit(p);
+            p.state = "WANDER";
+            p.target = null;
+            p.flowGoal = null;
+        }
+        for (const p of this.people) p.visitedPointsOfInterest.delete(poi);
+    }
+
+    /**
+     * Add an activity that wandering people consider alongside the built-in ones.
+     * @param {import('./activities.js').ActivityDefinition} activity
+     */
+    registerActivity(activity) {
+        if (!activity || typeof activity.evaluate !== 'function' || typeof activity.start !== 'function') {
+            throw new Error("CrowdSimulation: an activity needs evaluate and start functions");
+        }
+        this.activities.push(activity);
+    }
+
+    /**
+     * Replace the lilies people photograph and avoid: re-registers one point of interest per lily, with LILY_SPOTS
+     * viewing spots (people visiting the old ones go back to wandering; the new ones' visit counts start from 0), and
+     * recomputes the avoidance bounds.
+     * @param {Array<{ x: number, y: number, z: number }>} lilies
+     */
+    setLilies(lilies) {
+        this.lilies = lilies;
+        for (const poi of this.lilyPoints) this.removePointOfInterest(poi);
+        this.lilyPoints = lilies.map((lily, i) => this.addPointOfInterest(new PointOfInterest({
+            name: `Lily ${i + 1}`,
+            position: lily,
+            approachRadius: LILY_SPOT_DISTANCE,
+            arriveRadius: LILY_ARRIVE_RADIUS,
+            crowdRadius: LILY_CROWD_RADIUS,
+            spots: LILY_SPOTS,
+            spotAngle: i * GOLDEN_ANGLE,
+            waitDistance: LILY_WAIT_DISTANCE,
+            maxWait: LILY_MAX_WAIT,
+            capacity: LILY_SPOTS + LILY_MAX_WAITING,
+            dwell: (random) => SNAP_DURATION + random() * LILY_LINGER_MAX,
+            animation: 'snap',
+            need: 'curiosity',
+            satisfaction: PHOTO_SATISFACTION,
+            once: true,
+            seekState: "SEEK_LILY",
+            dwellState: "SNAPPING",
+            waitState: "WAITING_LILY"
+        })));
+        if (lilies.length === 0) {
+            this.lilyAvoidBounds = null;
+            return;
+        }
+        let lxMin = Infinity, lxMax = -Infinity, lzMin = Infinity, lzMax = -Infinity;
+        for (let i = 0; i < lilies.length; i++) {
+            const l = lilies[i];
+            if (l.x < lxMin) lxMin = l.x;
+            if (l.x > lxMax) lxMax = l.x;
+            if (l.z < lzMin) lzMin = l.z;
+            if (l.z > lzMax) lzMax = l.z;
+        }
+        this.lilyAvoidBounds = new THREE.Box3(
+            new THREE.Vector3(lxMin - 1, -1e6, lzMin - 1),
+            new THREE.Vector3(lxMax + 1, 1e6, lzMax + 1)
+        );
+    }
+
+    /**
+     * Where the simulation is watched from, for its levels of detail (`params.lod`). Both are kept by reference, so a
+     * camera's position and a frustum updated every frame can be passed once. People far from the viewer or off screen
+     * steer less often and more coarsely (see _updateSimLod and step); needs, decisions, the door, collisions and the
+     * other statistics still cover everyone every step. Where people coast therefore depends on where the viewer looks,
+     * so the same seed only gives the same history with `params.lod.enabled` false.
+     * @param {THREE.Vector3 | null} position - null: no viewer, everyone at full detail
+     * @param {THREE.Frustum} [frustum] - people outside it are off screen; omit to count everyone as on screen
+     */
+    setViewer(position, frustum = null) {
+        this._viewerPosition = position;
+        this._viewerFrustum = frustum;
+    }
+
+    /**
+     * Advance the simulation by dt seconds, in whole SIM_STEP ticks (see _tick): a remainder shorter than a step
+     * carries over to the next call, so any dt gives the same history as the same time in single steps. The default
+     * runs exactly one tick, for callers that keep their own fixed-timestep clock.
+     * @param {number} [dt=SIM_STEP] - s of simulated time
+     * @returns {number} ticks run
+     */
+    step(dt = SIM_STEP) {
+        this.despawned.length = 0;
+        this._stepRemainder += dt;
+        let ticks = 0;
+        while (this._stepRemainder > SIM_STEP - STEP_EPSILON) {
+            this._tick();
+            this._stepRemainder -= SIM_STEP;
+            ticks++;
+        }
+        this._stepRemainder = Math.max(0, this._stepRemainder);
+        return ticks;
+    }
+
+    /**
+     * One fixed SIM_STEP. Quadtree refresh runs every 2nd tick, simulation LOD tiers every
+     * SIM_LOD_REFRESH_TICKS and the door every tick; people are updated one batch per tick (see options.batches), and
+     * steer on their tier's interval (see _steeringInterval) or while someone is within their tier's
+     * SIM_LOD_CONTACT_GAPS, coasting in between (see _coast). Each person's `prevPosition` holds their position before
+     * the step, so renderers can interpolate with the clock's alpha.
+     */
+    _tick() {
+        this._updateSources();
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            person.prevPosition.copy(person.pos);
+            updateNeeds(person.needs, person.state, SIM_STEP, person.photoInterest, person.dwelling);
+        }
+        if (this.tick % 2 === 0) this.refreshSpatialIndex();
+        if (this.time >= this._nextCrowdingTime) this._countCrowding();
+        this._updateDoor();
+        this._updateGroups();
+        if (this.tick % SIM_LOD_REFRESH_TICKS === 0) this._updateSimLod();
+        this._updatePaths();
+
+        const people = this.people;
+        if (people.length > 0) {
+            const perBatch = Math.ceil(people.length / this.batches);
+            const batchNumber = this.tick % this.batches;
+            const startIdx = (batchNumber * perBatch) % people.length;
+            for (let k = 0; k < perBatch; k++) {
+                const person = people[(startIdx + k) % people.length];
+                if (!person || !person.pos || person.state === "INSIDE") continue;
+                this.updateDecision(person);
+                if (--person._lodCountdown <= 0 || person._contactGap < SIM_LOD_CONTACT_GAPS[person.simLod]) {
+                    person._lodCountdown = this._steeringInterval(person.simLod);
+                    this.applyPhysics(person);
+                } else {
+                    this._coast(person);
+                }
+                this.updateFacing(person);
+            }
+        }
+        if (this.isEvacuating()) this._recordEvacuationDelays();
+        if (this._leavers.length > 0) this._despawnLeavers();
+
+        this._countBridgeCrossings();
+        this._countCollisions();
+        this.tick += 1;
+        this.time += SIM_STEP;
+    }
+
+    /**
+     * Put each outdoor person in a simulation LOD tier by their distance to the viewer and whether they are on screen:
+     * full within `params.lod.nearDistance` on screen, coarse beyond `farDistance` or off screen beyond
+     * nearDistance, reduced otherwise. People are demoted only SIM_LOD_HYSTERESIS m beyond the limits. Demoted
+     * people start steering on a staggered tick, promoted people at once, and `simDetail` climbs back to 1 over
+     * SIM_LOD_BLEND_TIME after coarse steering. Without a viewer or with LOD disabled everyone is at full detail.
+     */
+    _updateSimLod() {
+        const lod = this.params.lod;
+        const viewer = lod.enabled ? this._viewerPosition : null;
+        const frustum = this._viewerFrustum;
+        const blend = SIM_LOD_REFRESH_TICKS * SIM_STEP / SIM_LOD_BLEND_TIME;
+        const counts = this.simLodCounts;
+        counts.fill(0);
+        const tierAt = (person, slack) => {
+            const dist = person.pos.distanceTo(viewer) - slack;
+            let onScreen = true;
+            if (frustum) {
+                _lodSphere.center.copy(person.pos);
+                _lodSphere.radius = SIM_LOD_SCREEN_MARGIN + slack;
+                onScreen = frustum.intersectsSphere(_lodSphere);
+            }
+            if (dist > lod.farDistance || (!onScreen && dist > lod.nearDistance)) return SIM_LOD_COARSE;
+            return dist > lod.nearDistance || !onScreen ? SIM_LOD_REDUCED : SIM_LOD_FULL;
+        };
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state === "INSIDE") continue;
+            let tier = viewer ? tierAt(person, 0) : SIM_LOD_FULL;
+            if (tier > person.simLod) tier = Math.max(person.simLod, tierAt(person, SIM_LOD_HYSTERESIS));
+            if (tier !== person.simLod) {
+                person._lodCountdown = tier > person.simLod ? 1 + person.id % this._steeringInterval(tier) : 1;
+                person.simLod = tier;
+            }
+            person.simDetail = tier === SIM_LOD_COARSE ? 0 : Math.min(1, person.simDetail + blend);
+            counts[tier]++;
+        }
+    }
+
+    /**
+     * Person updates per steering update in a simulation LOD tier. ORCA's velocities are only collision-free while it
+     * is solved every update, so with ORCA avoidance nobody coasts.
+     * @param {number} tier - SIM_LOD_FULL, SIM_LOD_REDUCED or SIM_LOD_COARSE
+     * @returns {number}
+     */
+    _steeringInterval(tier) {
+        if (this.params.flocking.avoidance === 'ORCA') return 1;
+        return SIM_LOD_INTERVALS[tier];
+    }
+
+    /** Restart the collision counter (e.g. after switching avoidance mode). */
+    resetCollisionStats() {
+        this.collisions.total = 0;
+    }
+
+    /**
+     * Count pairs of people whose bodies (BODY_RADIUS) overlap after this step; a pair adds one to the total when it
+     * starts touching and not again until it has separated by COLLISION_RELEASE_GAP (so grazing contact counts once).
+     * Every person's `_contactGap` is set to the gap between their body and the nearest other one (up to the coarse
+     * tier's SIM_LOD_CONTACT_GAPS; Infinity beyond), which has them steer next update if it is within their tier's.
+     */
+    _countCollisions() {
+        const minDist = 2 * BODY_RADIUS;
+        const releaseDist = minDist + COLLISION_RELEASE_GAP;
+        const contactDist = minDist + SIM_LOD_CONTACT_GAPS[SIM_LOD_COARSE];
+        const reach = Math.max(releaseDist, contactDist) + COLLISION_QUERY_MARGIN;
+        const prev = this._touchingPairs;
+        const next = this._touchingPairsNext;
+        next.clear();
+        let current = 0;
+        for (let i = 0; i < this.people.length; i++) this.people[i]._contactGap = Infinity;
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state === "INSIDE") continue;
+            _collisionBox2D.minX = person.pos.x - reach;
+            _collisionBox2D.maxX = person.pos.x + reach;
+            _collisionBox2D.minZ = person.pos.z - reach;
+            _collisionBox2D.maxZ = person.pos.z + reach;
+            this.quadtree.queryBounds(_collisionBox2D, _collisionCandidates);
+            for (let k = 0; k < _collisionCandidates.length; k++) {
+                const other = _collisionCandidates[k];
+                if (other.id <= person.id || other.state === "INSIDE") continue; // each pair once
+                const dx = other.pos.x - person.pos.x, dz = other.pos.z - person.pos.z;
+                const distSq = dx * dx + dz * dz;
+                if (distSq >= contactDist * contactDist && distSq >= releaseDist * releaseDist) continue;
+                const gap = Math.sqrt(distSq) - minDist;
+                if (gap < person._contactGap) person._contactGap = gap;
+                if (gap < other._contactGap) other._contactGap = gap;
+                if (distSq >= releaseDist * releaseDist) continue;
+                const key = person.id * 0x4000000 + other.id;
+                if (next.has(key)) continue;
+                const touching = distSq < minDist * minDist;
+                if (touching) current++;
+                if (prev.has(key)) {
+                    next.add(key);
+                } else if (touching) {
+                    next.add(key);
+                    this.collisions.total++;
+                }
+            }
+        }
+        this.collisions.current = current;
+        this._touchingPairs = next;
+        this._touchingPairsNext = prev;
+    }
+
+    /**
+     * Place up to n people at random free walkable points, in social groups whose sizes are drawn from
+     * `groupSizes` (singles by default). A group's followers are placed within GROUP_SPAWN_RADIUS of its leader;
+     * people that cannot be placed after MAX_PLACEMENT_RETRIES attempts are skipped, so groups may come out smaller.
+     * @param {number} n
+     * @param {Object} [options]
+     * @param {Object<number, number>} [options.groupSizes] - relative weight per group size, e.g. { 1: 0.5, 2: 0.3, 3: 0.2 }
+     * @returns {Array<Object>} the people added
+     */
+    addPeople(n, options = {}) {
+        const { groupSizes = null } = options;
+        const added = [];
+        const randomPoint = () => this.quadtree.sampleRandomPoint(this.rng.random);
+        let remaining = n;
+        while (remaining > 0) {
+            const size = Math.min(remaining, groupSizes ? sampleGroupSize(groupSizes, this.rng.random) : 1);
+            remaining -= size;
+            added.push(...this._spawnGroup(size, randomPoint));
+        }
+        return added;
+    }
+
+    /**
+     * Place a leader at a point from samplePoint (up to MAX_PLACEMENT_RETRIES tries), then up to size - 1 followers
+     * within GROUP_SPAWN_RADIUS of them, forming a SocialGroup when more than one person was placed.
+     * @param {number} size
+     * @param {() => { x: number, z: number }} samplePoint - candidate leader positions
+     * @returns {Object[]} the people placed (none if the leader could not be)
+     */
+    _spawnGroup(size, samplePoint) {
+        let leader = null;
+        for (let retry = 0; retry < MAX_PLACEMENT_RETRIES && !leader; retry++) {
+            const { x, z } = samplePoint();
+            leader = this._placePerson(x, z);
+        }
+        if (!leader) return [];
+        if (size === 1) return [leader];
+        const group = new SocialGroup(this._nextGroupId++, [leader]);
+        leader.group = group;
+        for (let m = 1; m < size; m++) {
+            for (let retry = 0; retry < MAX_PLACEMENT_RETRIES; retry++) {
+                const angle = this.rng.random() * Math.PI * 2;
+                const r = this.rng.range(2 * PERSON_RADIUS, GROUP_SPAWN_RADIUS);
+                const x = leader.pos.x + Math.cos(angle) * r, z = leader.pos.z + Math.sin(angle) * r;
+                if (!this.quadtree.containsPoint(x, z)) continue;
+                const member = this._placePerson(x, z);
+                if (!member) continue;
+                member.group = group;
+                group.members.push(member);
+                break;
+            }
+        }
+        if (group.size > 1) {
+            this.groups.push(group);
+        } else {
+            leader.group = null;
+        }
+        return group.members.slice();
+    }
+
+    /**
+     * Create a person at (x, z) unless the spot is taken, off the walkable surface or inside an environment object.
+     * Their agent profile (see profiles.js), drawn from `params.people.profiles`, sets their walking speed, body scale,
+     * queue patience, photo interest, personal space and walk-cycle stride.
+     * @returns {Object | null} the person, already indexed in the quadtree and added to `people`
+     */
+    _placePerson(x, z) {
+        const bounds2D = {
+            minX: x - PERSON_RADIUS,
+            maxX: x + PERSON_RADIUS,
+            minZ: z - PERSON_RADIUS,
+            maxZ: z + PERSON_RADIUS
+        };
+        if (this.quadtree.queryBounds(bounds2D).length > 0) return null;
+        // Reject placement if person footprint would overlap any environment object
+        if (this._overlapsEnvironment(x, z, PERSON_RADIUS)) return null;
+        const surfaceInfo = this.walkableSampler.getSurfaceInfo(x, z);
+        if (!surfaceInfo.inside) return null;
+        const y = surfaceInfo.y != null ? surfaceInfo.y : 0;
+        const position = new THREE.Vector3(x, y + FEET_SURFACE_Y_OFFSET / 2, z);
+        const surfaceOpts = (surfaceInfo.surfaceType != null && surfaceInfo.regionIndex != null)
+            ? { u: surfaceInfo.u, v: surfaceInfo.v, surfaceType: surfaceInfo.surfaceType, regionIndex: surfaceInfo.regionIndex }
+            : {};
+        const person = createCrowdPerson({ position, rotationY: this.rng.random() * Math.PI * 2, rng: this.rng.random, ...surfaceOpts });
+        person.bounds2D = bounds2D;
+        person.id = this._nextId++;
+        person.facingAngle = person.rotationY;
+        person.group = null;
+        person.speedScale = 1;  // set below 1 by _updateGroups while a leader waits for their group
+        person.following = null; // group leader whose formation this person keeps (their target is the slot)
+        applyProfile(person, sampleProfile(this.params.people.profiles ?? DEFAULT_PROFILE_WEIGHTS, this.rng.random), this.rng.random);
+        person.maxSpeed = MAX_SPEED * person.speedFactor;
+        person.slope = 0;
+        this._updateSurface(person, person.pos.y);
+        person.needs = createNeeds(this.rng.random);
+        person.needs.curiosity = Math.min(1, person.needs.curiosity * person.photoInterest);
+        person.visitedPointsOfInterest = new Set(); // those with `once`
+        person.poi = null;
+        person.dwelling = false;
+        person.dwellAnimation = null;
+        person.nextDecisionTime = this.time + this.rng.random() * DECISION_INTERVAL; // staggered
+        person.simLod = SIM_LOD_FULL;
+        person.simDetail = 1;     // 0..1: flocking neighbourhood from the coarse tier's to the full one, see applyPhysics
+        person._lodCountdown = 1; // person updates until their next steering update
+        person._lodForce = new THREE.Vector3(); // their last steering force, applied again until then (see _coast)
+        person._contactGap = Infinity; // m from their body to the nearest other one at the last collision count
+        person._lastQuadtreePos = { x: person.pos.x, z: person.pos.z };
+        this.quadtree.insert(person);
+        this.people.push(person);
+        return person;
+    }
+
+    /**
+     * Remove the n most recently added people and rebuild the quadtree.
+     * @param {number} n
+     * @returns {Array<Object>} the people removed (callers dispose any render meshes)
+     */
+    removePeople(n) {
+        const count = Math.min(this.people.length, Math.max(0, n));
+        const removed = [];
+        for (let i = 0; i < count; i++) {
+            const p = this.people.pop();
+            this._detachPerson(p);
+            removed.push(p);
+        }
+        this.quadtree.clear();
+        for (const p of this.people) {
+            if (p.state === "INSIDE") continue;
+            setPersonBounds2D(p);
+            this.quadtree.insert(p);
+        }
+        return removed;
+    }
+
+    /**
+     * Undo a person's ties to the door, the path planner and their group before they leave the simulation (the
+     * caller removes them from `people` and the quadtree).
+     * @param {Object} p
+     */
+    _detachPerson(p) {
+        this._endVisit(p);
+        if (p.state === "INSIDE") this.insideCount--;
+        if (p.state === "QUEUING") this.door.queue.leave(p);
+        if (this.pathPlanner) this.pathPlanner.cancel(p);
+        if (p.group) {
+            p.group.remove(p);
+            if (p.group.size <= 1) {
+                this.groups.splice(this.groups.indexOf(p.group), 1);
+                for (const m of p.group.members) m.group = null;
+            }
+        }
+    }
+
+    /**
+     * Open population: each source may spawn one group this step, with probability such that people arrive at its
+     * current rate on average (the group size is drawn from `params.people.groupSizes`). People who decide to go home
+     * walk to an exit (see startLeaving) and are removed there.
+     */
+    _updateSources() {
+        if (!this.params.population.open || this.isEvacuating()) return;
+        const groupSizes = this.params.people.groupSizes;
+        const groupsPerPerson = 1 / meanGroupSize(groupSizes);
+        for (let s = 0; s < this.sources.length; s++) {
+            const source = this.sources[s];
+            const chance = source.rateAt(this.time) / 60 * groupsPerPerson * SIM_STEP;
+            if (this.rng.random() >= chance) continue;
+            const size = sampleGroupSize(groupSizes, this.rng.random);
+            const samplePoint = () => {
+                const angle = this.rng.random() * Math.PI * 2;
+                const r = Math.sqrt(this.rng.random()) * source.radius;
+                const x = source.position.x + Math.cos(angle) * r, z = source.position.z + Math.sin(angle) * r;
+                // Off the walkable regions _placePerson fails anyway; retry at the centre instead
+                return this.quadtree.containsPoint(x, z) ? { x, z } : { x: source.position.x, z: source.position.z };
+            };
+            const added = this._spawnGroup(size, samplePoint);
+            for (const p of added) p.arrivalTime = this.time;
+            source.arrivals += added.length;
+            this.arrivals += added.length;
+        }
+    }
+
+    /**
+     * Send the person, with their group, to an exit; they are removed on reaching it (see _updateActivity).
+     * @param {Object} person - single or group leader
+     * @param {number} exitIndex - index into exits
+     */
+    startLeaving(person, exitIndex) {
+        const exit = this.exits[exitIndex];
+        const members = person.group ? person.group.members : [person];
+        for (const m of members) {
+            this._endVisit(m);
+            m.state = "LEAVING";
+            m.target = exit.clone();
+            m.flowGoal = `exit:${exitIndex}`;
+            m.exitIndex = exitIndex;
+        }
+    }
+
+    /** @returns {boolean} true from startEvacuation until everyone has left or stopEvacuation */
+    isEvacuating() {
+        return this.evacuation !== null && !this.evacuation.finished;
+    }
+
+    /**
+     * Evacuate: everyone stops what they are doing (people in the queue leave it, people inside Dunelm House come out
+     * of the door) and walks to an exit with their group, where they are removed. Starts a new `evacuation` record.
+     * Exits are compared by flow field distance; with exitChoice 'leastCongested' each evacuee already sent to an exit
+     * adds EVAC_CONGESTION_COST to it, so people spread over the exits in the order they are assigned. Arrivals and
+     * decisions pause until the evacuation finishes.
+     * @returns {Evacuation}
+     */
+    startEvacuation() {
+        if (this.exits.length === 0) throw new Error("CrowdSimulation: evacuation needs at least one exit");
+        this.evacuation = new Evacuation({ startTime: this.time, people: this.people.length, exits: this.exits.length });
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state === "INSIDE") this._leaveBuilding(person);
+            else if (person.state === "QUEUING") this.door.queue.leave(person);
+        }
+        const congestion = this.params.evacuation.exitChoice === 'leastCongested';
+        const sent = new Array(this.exits.length).fill(0);
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.group && person.group.leader !== person) continue; // sent with their leader
+            let best = Infinity, bestIdx = 0;
+            for (let e = 0; e < this.exits.length; e++) {
+                const cost = this._exitDistance(person, e) + (congestion ? sent[e] * EVAC_CONGESTION_COST : 0);
+                if (cost < best) {
+                    best = cost;
+                    bestIdx = e;
+                }
+            }
+            this.startLeaving(person, bestIdx);
+            sent[bestIdx] += person.group ? person.group.size : 1;
+        }
+        if (this.people.length === 0) this.evacuation.finish(this.time);
+        return this.evacuation;
+    }
+
+    /**
+     * Call off an unfinished evacuation: people still on their way out go back to wandering. The record is kept.
+     */
+    stopEvacuation() {
+        if (!this.isEvacuating()) return;
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state !== "LEAVING") continue;
+            person.state = "WANDER";
+            person.target = null;
+            person.flowGoal = null;
+        }
+        this.evacuation.cancel(this.time);
+    }
+
+    /**
+     * Walking distance from a person to an exit: along the exit's flow field, or straight where it has no route.
+     * @param {Object} person
+     * @param {number} exitIndex
+     * @returns {number} m
+     */
+    _exitDistance(person, exitIndex) {
+        const field = this.getFlowField(`exit:${exitIndex}`);
+        const distance = field ? field.getDistance(person.pos.x, person.pos.z) : Infinity;
+        if (distance !== Infinity) return distance;
+        const exit = this.exits[exitIndex];
+        return Math.hypot(exit.x - person.pos.x, exit.z - person.pos.z);
+    }
+
+    /** Add this step's delay of every evacuee moving slower than EVAC_SLOW_FRACTION of their max speed. */
+    _recordEvacuationDelays() {
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state !== "LEAVING") continue;
+            const moved = Math.hypot(person.pos.x - person.prevPosition.x, person.pos.z - person.prevPosition.z);
+            if (moved < EVAC_SLOW_FRACTION * person.maxSpeed) this.evacuation.recordDelay(person.pos.x, person.pos.z, SIM_STEP);
+        }
+    }
+
+    /** Remove the people who reached their exit this step (collected by _updateActivity). */
+    _despawnLeavers() {
+        for (const p of this._leavers) {
+            const i = this.people.indexOf(p);
+            if (i < 0) continue;
+            this.quadtree.remove(p);
+            this._detachPerson(p);
+            this.people.splice(i, 1);
+            this.despawned.push(p);
+            this.departures++;
+            if (this.isEvacuating()) this.evacuation.recordExit(p.exitIndex, this.time);
+        }
+        this._leavers.length = 0;
+        if (this.isEvacuating() && this.people.length === 0) this.evacuation.finish(this.time);
+    }
+
+    /**
+     * Re-insert people that moved since their last quadtree insert. INSIDE people are not indexed.
+     */
+    refreshSpatialIndex() {
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state === "INSIDE") continue;
+            const dx = person.pos.x - person._lastQuadtreePos.x;
+            const dz = person.pos.z - person._lastQuadtreePos.z;
+            if (dx * dx + dz * dz > QUADTREE_MOVE_EPS_SQ) {
+                // Remove with the bounds they were inserted with, or stale entries pile up in their old leaves
+                this.quadtree.remove(person);
+                setPersonBounds2D(person);
+                this.quadtree.insert(person);
+                person._lastQuadtreePos.x = person.pos.x;
+                person._lastQuadtreePos.z = person.pos.z;
+            }
+        }
+    }
+
+    /**
+     * Count people per state.
+     * @returns {Object<string, number>} e.g. { WANDER: 180, SEEK_LILY: 4, INSIDE: 3 }
+     */
+    getStateCounts() {
+        const counts = {};
+        for (let i = 0; i < this.people.length; i++) {
+            const s = this.people[i].state;
+            counts[s] = (counts[s] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Mean horizontal speed (units per person update) over people that are not INSIDE.
+     * @returns {number}
+     */
+    getMeanSpeed() {
+        let sum = 0, n = 0;
+        for (let i = 0; i < this.people.length; i++) {
+            const p = this.people[i];
+            if (p.state === "INSIDE") continue;
+            sum += Math.hypot(p.vel.x, p.vel.z);
+            n++;
+        }
+        return n > 0 ? sum / n : 0;
+    }
+
+    /**
+     * People whose position lies within radius of (x, z), excluding INSIDE.
+     * @param {number} x
+     * @param {number} z
+     * @param {number} radius
+     * @param {Array} [out] - Optional array to fill (cleared first)
+     * @returns {Array<Object>}
+     */
+    queryNeighbors(x, z, radius, out) {
+        const arr = out || [];
+        arr.length = 0;
+        const box = { minX: x - radius, maxX: x + radius, minZ: z - radius, maxZ: z + radius };
+        const candidates = this.quadtree.queryBounds(box);
+        const rSq = radius * radius;
+        for (let i = 0; i < candidates.length; i++) {
+            const p = candidates[i];
+            if (p.state === "INSIDE") continue;
+            if ((p.pos.x - x) ** 2 + (p.pos.z - z) ** 2 <= rSq) arr.push(p);
+        }
+        return arr;
+    }
+
+    /**
+     * Snapshot of one person for an inspector: what they are doing, where they are heading and what they are waiting
+     * for. Cooldowns are seconds left (0 when over): the next activity decision (WANDER only), the next try at the
+     * queue and the next replan of their path (goal seekers only).
+     * @param {Object} person
+     * @returns {{ id: number, profile: string, state: string, target: THREE.Vector3 | null, flowGoal: string | null,
+     *   velocity: { x: number, z: number, speed: number }, regionIndex: number | null, surfaceType: string | null,
+     *   locomotion: { rule: string, speed: number, slope: number, avoid: number }, pointOfInterest: string | null,
+     *   dwellTime: number | null, cooldowns: { decision: number, queue: number, replan: number },
+     *   neighbours: number, flockRadius: number, path: THREE.Vector3[] | null, pathIndex: number, simLod: string }}
+     *   velocity in m/s over the last update; locomotion is the label of the region's rule, the max speed factor from
+     *   it and the slope (rise over run along their way) and the rule's avoidance; pointOfInterest is the name of the
+     *   one they are visiting and dwellTime the s spent there so far; neighbours within flockRadius, not counting
+     *   INSIDE people; simLod names their simulation LOD tier (SIM_LOD_TIERS)
+     */
+    inspectPerson(person) {
+        const surface = person._surfaceCache;
+        const rule = getLocomotionRule(this.params.locomotion.regions, surface?.regionIndex);
+        const flockRadius = COARSE_FLOCK_RADIUS + (FLOCK_RADIUS - COARSE_FLOCK_RADIUS) * person.simDetail;
+        let neighbours = 0;
+        if (person.state !== "INSIDE") {
+            const seen = new Set();
+            for (const other of this.queryNeighbors(person.pos.x, person.pos.z, flockRadius)) {
+                if (other === person || seen.has(other.id)) continue;
+                seen.add(other.id);
+                neighbours++;
+            }
+        }
+        const vx = (person.pos.x - person.prevPosition.x) / SIM_STEP;
+        const vz = (person.pos.z - person.prevPosition.z) / SIM_STEP;
+        return {
+            id: person.id,
+            profile: person.profile,
+            state: person.state,
+            target: person.target ?? null,
+            flowGoal: person.flowGoal ?? null,
+            velocity: { x: vx, z: vz, speed: Math.hypot(vx, vz) },
+            regionIndex: surface?.regionIndex ?? null,
+            surfaceType: surface?.surfaceType ?? null,
+            locomotion: {
+                rule: rule.label ?? "",
+                speed: person.surfaceSpeed,
+                slope: person.slope,
+                avoid: rule.avoid
+            },
+            pointOfInterest: person.poi ? person.poi.name : null,
+            dwellTime: person.dwelling ? person.dwellTime : null,
+            cooldowns: {
+                decision: person.state === "WANDER" ? Math.max(0, person.nextDecisionTime - this.time) : 0,
+                queue: Math.max(0, QUEUE_COOLDOWN - (this.time - (person.lastQueueTime ?? -Infinity))),
+                replan: person.path ? Math.max(0, REPLAN_INTERVAL - (this.time - person.pathRequestTime)) : 0
+            },
+            neighbours,
+            flockRadius,
+            path: person.path ?? null,
+            pathIndex: person.pathIndex ?? 0,
+            simLod: SIM_LOD_TIERS[person.simLod]
+        };
+    }
+
+    /** Recount the people around every point of interest (their `crowding`, for activity scoring). */
+    _countCrowding() {
+        this._nextCrowdingTime = this.time + POI_CROWDING_INTERVAL;
+        for (const poi of this.pointsOfInterest) {
+            if (poi.queue) continue; // crowded by the length of the line
+            poi.crowding = this.queryNeighbors(poi.position.x, poi.position.z, poi.crowdRadius, _poiCrowdNeighbors).length;
+        }
+    }
+
+    /**
+     * Flow field for a named goal, built on first request: 'queue' (every queue slot), 'bridgeFar', 'bridgeNear',
+     * 'exits' (all of them), 'exit:<index>' or 'poi:<id>' (a point of interest by its id). Fields run over the
+     * sampler's height grid (see FlowField.js); environment shapes and `flowObstacles.segments` are impassable, and
+     * where a field has no route people steer straight.
+     * @param {string} name
+     * @returns {FlowField | null} null without a height grid or for an unknown / unavailable goal
+     */
+    getFlowField(name) {
+        if (!this.flowGrid) return null;
+        let field = this.flowFields.get(name);
+        if (field !== undefined) return field;
+        let goals = null;
+        if (name === 'queue') goals = this.door ? this.door.queue.slots : null;
+        else if (name === 'bridgeFar') goals = this.bridgeFarTarget ? [this.bridgeFarTarget] : null;
+        else if (name === 'bridgeNear') goals = this.bridgeNearTarget ? [this.bridgeNearTarget] : null;
+        else if (name === 'exits') goals = this.exits.length > 0 ? this.exits : null;
+        else if (name.startsWith('exit:')) {
+            const exit = this.exits[Number(name.slice(5))];
+            goals = exit ? [exit] : null;
+        } else if (name.startsWith('poi:')) {
+            const id = Number(name.slice(4));
+            const poi = this.pointsOfInterest.find(p => p.id === id);
+            goals = poi ? [poi.position] : null;
+        }
+        field = goals ? new FlowField(this.flowGrid, goals) : null;
+        this.flowFields.set(name, field);
+        return field;
+    }
+
+    /**
+     * Request, refresh or drop A* paths: every goal-seeking person (one with a flowGoal) who is not yet near their
+     * target gets a path, replanned every REPLAN_INTERVAL s or as soon as the target moves off the path's end.
+     * Paths are planned in time slices of `pathExpansionsPerStep`; while one is pending, and in the coarse simulation
+     * LOD tier, people follow the flow field instead. Then spends this step's search budget.
+     */
+    _updatePaths() {
+        const planner = this.pathPlanner;
+        if (!planner) return;
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (!person.flowGoal || !person.target || person.simLod === SIM_LOD_COARSE) {
+                if (person.path || planner.isPending(person)) {
+                    planner.cancel(person);
+                    person.path = null;
+                }
+                continue;
+            }
+            if (planner.isPending(person)) continue;
+            const dx = person.target.x - person.pos.x, dz = person.target.z - person.pos.z;
+            if (!person.path && dx * dx + dz * dz <= FLOW_DIRECT_RADIUS * FLOW_DIRECT_RADIUS) continue;
+            const end = person.path ? person.path[person.path.length - 1] : null;
+            const targetMoved = end && (end.x - person.target.x) ** 2 + (end.z - person.target.z) ** 2 > REPLAN_TARGET_MOVE_SQ;
+            if (!person.path || targetMoved || this.time - person.pathRequestTime >= REPLAN_INTERVAL) {
+                planner.request(person, person.target);
+                person.pathRequestTime = this.time;
+            }
+        }
+        planner.update();
+    }
+
+    /**
+     * Keep social groups together: wandering followers of an outdoor leader target their formation slot (abreast,
+     * or single file behind the leader where the slot is off the walkable area or inside an environment object),
+     * and a wandering leader slows to GROUP_WAIT_SPEED_FACTOR while anyone lags more than GROUP_WAIT_DISTANCE behind.
+     * Followers of a leader who is queuing or indoors wander freely until the leader is back out.
+     */
+    _updateGroups() {
+        for (let g = 0; g < this.groups.length; g++) {
+            const group = this.groups[g];
+            const leader = group.leader;
+            leader.speedScale = 1;
+            const leaderOut = leader.state === "WANDER" || leader.dwelling;
+            const speed = Math.hypot(leader.vel.x, leader.vel.z);
+            if (group.headingX === 0 && group.headingZ === 0) {
+                group.headingX = Math.sin(leader.facingAngle);
+                group.headingZ = Math.cos(leader.facingAngle);
+            }
+            if (speed > GROUP_HEADING_MIN_SPEED) {
+                // Turn the formation gradually so slots do not swing through the leader on every wander jitter
+                const hx = group.headingX + (leader.vel.x / speed - group.headingX) * GROUP_HEADING_LERP;
+                const hz = group.headingZ + (leader.vel.z / speed - group.headingZ) * GROUP_HEADING_LERP;
+                const len = Math.hypot(hx, hz);
+                if (len > 1e-6) {
+                    group.headingX = hx / len;
+                    group.headingZ = hz / len;
+                }
+            }
+            for (let m = 1; m < group.members.length; m++) {
+                const member = group.members[m];
+                member.speedScale = 1;
+                member.following = null;
+                if (member.state !== "WANDER") continue;
+                if (!leaderOut) {
+                    member.target = null;
+                    continue;
+                }
+                member.following = leader;
+                if (!member.target) member.target = new THREE.Vector3();
+                group.formationOffset(m, group.headingX, group.headingZ, true, _formationOffset);
+                let x = leader.pos.x + _formationOffset.x, z = leader.pos.z + _formationOffset.z;
+                if (!this._formationSlotFree(x, z)) {
+                    group.formationOffset(m, group.headingX, group.headingZ, false, _formationOffset);
+                    x = leader.pos.x + _formationOffset.x;
+                    z = leader.pos.z + _formationOffset.z;
+                }
+                member.target.set(x, leader.pos.y, z);
+                const dx = member.pos.x - leader.pos.x, dz = member.pos.z - leader.pos.z;
+                if (leader.state === "WANDER" && dx * dx + dz * dz > GROUP_WAIT_DISTANCE * GROUP_WAIT_DISTANCE) {
+                    leader.speedScale = GROUP_WAIT_SPEED_FACTOR;
+                }
+            }
+        }
+    }
+
+    /** True if a person could stand at (x, z): on the walkable area and clear of environment objects. */
+    _formationSlotFree(x, z) {
+        if (!this.quadtree.containsPoint(x, z)) return false;
+        return !this._overlapsEnvironment(x, z, BODY_RADIUS);
+    }
+
+    /** True while someone is at the door or inside; drives the door animation. */
+    isDoorActive() {
+        return this.doorActive;
+    }
+
+    /** True if a footprint of the given radius at (x, z) overlaps any environment object's shape, whatever its height. */
+    _overlapsEnvironment(x, z, radius) {
+        const shapes = this.environmentShapes;
+        for (let e = 0; e < shapes.length; e++) {
+            if (shapes[e] && shapeOverlapsCircle(shapes[e], x, z, radius)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Admit the head of the queue (-> INSIDE) at the queue's service rate, move everyone else in line up to their
+     * slot, and respawn INSIDE people at the door when their time is up.
+     */
+    _updateDoor() {
+        if (!this.door) {
+            this.doorActive = false;
+            return;
+        }
+        const { queue } = this.door;
+        const admitted = queue.admit(this.time);
+        if (admitted) {
+            this.quadtree.remove(admitted);
+            admitted.state = "INSIDE";
+            admitted.target = null;
+            admitted.flowGoal = null;
+            this.insideCount++;
+            admitted.respawnAt = this.time + this.doorPointOfInterest.sampleDwell(this.rng.random);
+        }
+        for (let i = 0; i < queue.line.length; i++) {
+            const person = queue.line[i];
+            if (!person.target) person.target = new THREE.Vector3();
+            person.target.copy(queue.slotAt(i));
+        }
+        const head = queue.line[0];
+        const headAtDoor = head !== undefined && head.pos.distanceTo(queue.head) < queue.admitRadius;
+        this.doorActive = headAtDoor || this.insideCount > 0;
+
+        // Respawn INSIDE people when time is up (must iterate people: INSIDE are not in quadtree)
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (person.state === "INSIDE" && this.time >= person.respawnAt) this._leaveBuilding(person);
+        }
+    }
+
+    /**
+     * An INSIDE person comes out of the Dunelm House door and wanders off.
+     * @param {Object} person
+     */
+    _leaveBuilding(person) {
+        const { position: doorWorldPos, exitDirection: doorExitDir } = this.door;
+        this.insideCount--;
+        person.pos.copy(doorWorldPos).addScaledVector(doorExitDir, 1.0);
+        person.prevPosition.copy(person.pos); // reappear at the door rather than sliding from inside
+        person.vel.copy(doorExitDir).multiplyScalar(person.maxSpeed * 0.5);
+        person.facingAngle = Math.atan2(doorExitDir.x, doorExitDir.z);
+        setPersonBounds2D(person);
+        person._lastQuadtreePos = { x: person.pos.x, z: person.pos.z };
+        this.quadtree.insert(person);
+        person.state = "WANDER";
+        person.target = null;
+        person.flowGoal = null;
+        delete person.respawnAt;
+        this.doorPointOfInterest.visits++;
+    }
+
+    /**
+     * State transitions: WANDER -> a point of interest's seekState -> its dwellState -> WANDER (SEEK_LILY -> SNAPPING for
+     * lilies), WANDER -> QUEUING unless they balk (door does -> INSIDE),
+     * and the bridge-crossing target while on the deck. Wandering people pick their next activity by utility every
+     * DECISION_INTERVAL s (see _chooseActivity). In a social group only the leader decides (once every member is
+     * wandering) and the whole group takes the activity up; followers just follow (see _updateGroups).
+     * @param {Object} person
+     * @returns {Object} person
+     */
+    updateDecision(person) {
+        const group = person.group;
+        if (group && group.leader !== person) return this._updateActivity(person);
+
+        // Bridge navigation: a wanderer stepping onto the deck crosses to the other end
+        const onBridge = this._isOnBridge(person);
+        const wasOnBridge = person._wasOnBridge === true;
+        const crossing = person.flowGoal === 'bridgeFar' || person.flowGoal === 'bridgeNear';
+
+        if (onBridge && !wasOnBridge && person.state === "WANDER" && this.bridgeFarTarget) {
+            // Just stepped onto bridge - head for the end they did not come from
+            this._startCrossing(person);
+            person._wasOnBridge = true;
+        } else if (!onBridge && wasOnBridge) {
+            // Stepped off bridge - clear bridge state
+            person._wasOnBridge = false;
+            if (crossing) {
+                person.target = null;
+                person.flowGoal = null;
+            }
+        } else if (onBridge) {
+            person._wasOnBridge = true;
+            if (crossing && person.state === "WANDER") {
+                const dx = person.target.x - person.pos.x, dz = person.target.z - person.pos.z;
+                if (dx * dx + dz * dz < BRIDGE_END_RADIUS * BRIDGE_END_RADIUS) this._reachBridgeEnd(person);
+            }
+        }
+
+        if (person.state !== "WANDER") return this._updateActivity(person);
+        if (this.time >= person.nextDecisionTime && (!group || group.members.every(m => m.state === "WANDER"))) {
+            person.nextDecisionTime = this.time + DECISION_INTERVAL;
+            this._chooseActivity(person);
+        }
+        return person;
+    }
+
+    /** @returns {boolean} true while the person stands on the bridge deck region */
+    _isOnBridge(person) {
+        return !!person._surfaceCache && person._surfaceCache.regionIndex === this.bridgeRegionIndex;
+    }
+
+    /**
+     * A wanderer has just stepped onto the deck: send them to the end further from them (the other one from where
+     * they came on), unless stewards enforcing `params.bridge.oneWay` turn them back to the end they came from.
+     * @param {Object} person - single or group leader
+     */
+    _startCrossing(person) {
+        const near = this.bridgeNearTarget, far = this.bridgeFarTarget;
+        let towardsFar = !near || person.pos.distanceToSquared(near) < person.pos.distanceToSquared(far);
+        const oneWay = this.params.bridge.oneWay;
+        if (near && ((oneWay === 'toFar' && !towardsFar) || (oneWay === 'toNear' && towardsFar))) {
+            towardsFar = !towardsFar;
+            this.bridgeTraffic.turnedBack += person.group ? person.group.size : 1;
+        }
+        person.target = (towardsFar ? far : near).clone();
+        person.flowGoal = towardsFar ? 'bridgeFar' : 'bridgeNear';
+    }
+
+    /**
+     * A crossing person has reached the end of the deck. The far bank is a dead end in this scene: from there people
+     * come back across, or, under a one-way system towards it, leave by the nearest exit (open population) or stay.
+     * @param {Object} person - single or group leader
+     */
+    _reachBridgeEnd(person) {
+        const atFar = person.flowGoal === 'bridgeFar';
+        person.target = null;
+        person.flowGoal = null;
+        if (!atFar || !this.bridgeNearTarget) return;
+        if (this.params.bridge.oneWay !== 'toFar') {
+            person.target = this.bridgeNearTarget.clone();
+            person.flowGoal = 'bridgeNear';
+        } else if (this.params.population.open && this.exits.length > 0) {
+            let best = Infinity, bestIdx = 0;
+            for (let e = 0; e < this.exits.length; e++) {
+                const d = person.pos.distanceToSquared(this.exits[e]);
+                if (d < best) {
+                    best = d;
+                    bestIdx = e;
+                }
+            }
+            this.startLeaving(person, bestIdx);
+        }
+    }
+
+    /**
+     * Count people crossing the midpoint between the deck's ends this step (prevPosition to pos along the bridge),
+     * into `bridgeTraffic`.
+     */
+    _countBridgeCrossings() {
+        const near = this.bridgeNearTarget, far = this.bridgeFarTarget;
+        if (!near || !far) return;
+        const ax = far.x - near.x, az = far.z - near.z;
+        const mid = ((near.x + far.x) * ax + (near.z + far.z) * az) / 2;
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (!this._isOnBridge(person)) continue;
+            const before = person.prevPosition.x * ax + person.prevPosition.z * az - mid;
+            const after = person.pos.x * ax + person.pos.z * az - mid;
+            if (before < 0 && after >= 0) this.bridgeTraffic.towardsFar++;
+            else if (before >= 0 && after < 0) this.bridgeTraffic.towardsNear++;
+        }
+    }
+
+    /**
+     * People on the bridge deck now, by the way they are walking along it.
+     * @returns {{ towardsFar: number, towardsNear: number }}
+     */
+    getBridgeOccupancy() {
+        const occupancy = { towardsFar: 0, towardsNear: 0 };
+        const near = this.bridgeNearTarget, far = this.bridgeFarTarget;
+        if (!near || !far) return occupancy;
+        const ax = far.x - near.x, az = far.z - near.z;
+        for (let i = 0; i < this.people.length; i++) {
+            const person = this.people[i];
+            if (!this._isOnBridge(person)) continue;
+            const along = person.vel.x * ax + person.vel.z * az;
+            if (along > 0) occupancy.towardsFar++;
+            else if (along < 0) occupancy.towardsNear++;
+        }
+        return occupancy;
+    }
+
+    /**
+     * Keep-side steering on the bridge deck: the nearer an oncoming person is ahead (within LANE_LOOKAHEAD, and not
+     * already passing more than LANE_CLEARANCE to the side), the harder the person steers to `params.bridge.keepSide`.
+     * @param {Object} person
+     * @param {{ x: number, z: number }} out - set to the unit sideways direction
+     * @returns {number} 0..1 strength; 0 when off the deck, standing still or with no one coming
+     */
+    _laneSteer(person, out) {
+        if (!this._isOnBridge(person)) return 0;
+        const speed = Math.hypot(person.vel.x, person.vel.z);
+        if (speed < 1e-4) return 0;
+        const fx = person.vel.x / speed, fz = person.vel.z / speed;
+        // Facing f, (fz, -fx) is on the person's left (facing +z, +x is on the left)
+        const side = this.params.bridge.keepSide === 'right' ? -1 : 1;
+        out.x = fz * side;
+        out.z = -fx * side;
+        _flockBox2D.minX = person.pos.x - LANE_LOOKAHEAD;
+        _flockBox2D.maxX = person.pos.x + LANE_LOOKAHEAD;
+        _flockBox2D.minZ = person.pos.z - LANE_LOOKAHEAD;
+        _flockBox2D.maxZ = person.pos.z + LANE_LOOKAHEAD;
+        this.quadtree.queryBounds(_flockBox2D, _laneNeighbors);
+        let strength = 0;
+        for (let k = 0; k < _laneNeighbors.length; k++) {
+            const other = _laneNeighbors[k];
+            if (other === person || other.state === "INSIDE") continue;
+            if (other.vel.x * fx + other.vel.z * fz >= 0) continue; // not oncoming
+            const rx = other.pos.x - person.pos.x, rz = other.pos.z - person.pos.z;
+            const ahead = rx * fx + rz * fz;
+            if (ahead <= 0 || Math.abs(rx * fz - rz * fx) > LANE_CLEARANCE) continue;
+            const dist = Math.hypot(rx, rz);
+            if (dist < LANE_LOOKAHEAD) strength = Math.max(strength, 1 - dist / LANE_LOOKAHEAD);
+        }
+        return strength;
+    }
+
+    /**
+     * Score every activity for a wandering person (with their group's mean needs) and start the best one if it
+     * beats WANDER_UTILITY; an activity that fails to start (e.g. the queue balks) leaves them wandering. Activities
+     * (see activities.js) weigh the person's `needs` (curiosity, fatigue, indoors, home), distance and crowding, and
+     * skip the `visitedPointsOfInterest` they may only visit once.
+     * @param {Object} person - single or group leader
+     */
+    _chooseActivity(person) {
+        const needs = getDecisionNeeds(person, _decisionNeeds);
+        let bestScore = WANDER_UTILITY;
+        let bestActivity = null, bestOption = null;
+        for (let a = 0; a < this.activities.length; a++) {
+            const activity = this.activities[a];
+            const result = activity.evaluate(this, person, needs);
+            if (!result) continue;
+            const score = result.score + (this.rng.random() - 0.5) * DECISION_NOISE;
+            if (score > bestScore) {
+                bestScore = score;
+                bestActivity = activity;
+                bestOption = result.option;
+            }
+        }
+        if (bestActivity) bestActivity.start(this, person, bestOption);
+    }
+
+    /**
+     * Join the entrance queue, together with the person's group; they balk as one (see EntranceQueue.joinGroup).
+     * @param {Object} person - single or group leader
+     * @returns {boolean} true if they are now QUEUING
+     */
+    joinQueue(person) {
+        if (!this.door) return false;
+        const queue = this.door.queue;
+        const group = person.group;
+        const members = group ? group.members : [person];
+        if (!(group ? queue.joinGroup(members, this.time, this.rng.random) : queue.join(person, this.time, this.rng.random))) return false;
+        for (const m of members) {
+            m.state = "QUEUING";
+            m.target = queue.slotAt(queue.line.indexOf(m)).clone();
+            m.flowGoal = 'queue';
+        }
+        return true;
+    }
+
+    /**
+     * Start a visit to a point of interest for the person, or for their whole group side by side around the leader's
+     * spot (a random one within the point's approach area). At a point with viewing spots each member claims their
+     * own, or waits for one a little way off.
+     * @param {Object} person - single or group leader
+     * @param {PointOfInterest} poi - one without a queue (see joinQueue)
+     */
+    startVisit(person, poi) {
+        const { position } = poi;
+        if (poi.spots.length > 0) {
+            for (const member of person.group ? person.group.members : [person]) {
+                member.poi = poi;
+                poi.visitors.add(member);
+                if (this._takeSpot(member, poi)) continue;
+                // Every spot is taken: wait on the side they came from, or where they are if that is not walkable
+                const angle = Math.atan2(member.pos.z - position.z, member.pos.x - position.x) + (this.rng.random() - 0.5);
+                const x = position.x + Math.cos(angle) * poi.waitDistance, z = position.z + Math.sin(angle) * poi.waitDistance;
+                member.state = poi.waitState;
+                member.target = this._formationSlotFree(x, z) ? new THREE.Vector3(x, position.y, z) : member.pos.clone();
+                member.flowGoal = `poi:${poi.id}`;
+                member.waitStartTime = this.time;
+                poi.waiting.push(member);
+            }
+            return;
+        }
+        const angle = this.rng.random() * Math.PI * 2;
+        const r = poi.approachRadius * Math.sqrt(this.rng.random());
+        const spot = new THREE.Vector3(position.x + Math.cos(angle) * r, position.y, position.z + Math.sin(angle) * r);
+        const members = person.group ? person.group.members : [person];
+        // Stand abreast facing the point: the heading is from the spot towards it
+        let hx = position.x - spot.x, hz = position.z - spot.z;
+        const len = Math.hypot(hx, hz);
+        if (len > 1e-6) {
+            hx /= len;
+            hz /= len;
+        } else {
+            hx = 1;
+            hz = 0;
+        }
+        for (let m = 0; m < members.length; m++) {
+            const member = members[m];
+            member.state = poi.seekState;
+            member.target = spot.clone();
+            if (m > 0) {
+                person.group.formationOffset(m, hx, hz, true, _formationOffset);
+                member.target.x += _formationOffset.x;
+                member.target.z += _formationOffset.z;
+            }
+            member.flowGoal = `poi:${poi.id}`;
+            member.poi = poi;
+            poi.visitors.add(member);
+        }
+    }
+
+    /**
+     * Send the person to a free viewing spot of the point, if there is one.
+     * @param {Object} person
+     * @param {PointOfInterest} poi
+     * @returns {boolean} false if every spot is taken
+     */
+    _takeSpot(person, poi) {
+        const idx = poi.claimSpot(person);
+        if (idx < 0) return false;
+        const spot = poi.spots[idx];
+        person.state = poi.seekState;
+        person.target = new THREE.Vector3(spot.x, spot.y, spot.z);
+        person.flowGoal = `poi:${poi.id}`;
+        return true;
+    }
+
+    /**
+     * Take the person off their point of interest's visitors (and its waiting list) and stop them dwelling; a spot
+     * they free goes to whoever has waited longest. Their own state is the caller's.
+     * @param {Object} person
+     */
+    _endVisit(person) {
+        const poi = person.poi;
+        if (!poi) return;
+        poi.visitors.delete(person);
+        const w = poi.waiting.indexOf(person);
+        if (w >= 0) poi.waiting.splice(w, 1);
+        person.poi = null;
+        person.dwelling = false;
+        person.dwellAnimation = null;
+        if (poi.releaseSpot(person) && poi.waiting.length > 0 && this._takeSpot(poi.waiting[0], poi)) poi.waiting.shift();
+    }
+
+    /**
+     * Per-person activity progress that involves no decision: a visitor starts dwelling on arriving at their spot
+     * and wanders on (need satisfied) when the dwell time is up, and someone waiting for a viewing spot gives up
+     * after the point's maxWait times their patience; LEAVING -> removed (at the end of the step) on reaching the exit.
+     * @param {Object} person
+     * @returns {Object} person
+     */
+    _updateActivity(person) {
+        const poi = person.poi;
+        if (poi && !person.dwelling && person.state === poi.seekState) {
+            if (person.target != null && person.pos.distanceTo(person.target) < poi.arriveRadius) {
+                person.state = poi.dwellState;
+                person.dwelling = true;
+                person.dwellAnimation = poi.animation;
+                person.target = null;
+                person.flowGoal = null;
+                person.dwellStartTime = this.time;
+                person.dwellTime = 0;
+                person.dwellDuration = poi.sampleDwell(this.rng.random);
+                person.snapFlashDone = false;
+            }
+        } else if (poi && person.dwelling) {
+            person.dwellTime = this.time - person.dwellStartTime;
+            if (person.dwellTime >= person.dwellDuration) {
+                this._endVisit(person);
+                poi.visits++;
+                poi.dwellTotal += person.dwellTime;
+                if (poi.once) person.visitedPointsOfInterest.add(poi);
+                if (typeof poi.need === 'string') satisfyNeed(person.needs, poi.need, poi.satisfaction);
+                person.state = "WANDER";
+                person.vel.set(this.rng.random() - 0.5, 0, this.rng.random() - 0.5).normalize().multiplyScalar(MAX_FORCE * 0.5);
+            }
+        } else if (poi && person.state === poi.waitState) {
+            if (this.time - person.waitStartTime > poi.maxWait * (person.patience ?? 1)) {
+                this._endVisit(person);
+                poi.gaveUp++;
+                person.state = "WANDER";
+                person.target = null;
+                person.flowGoal = null;
+            }
+        } else if (person.state === "LEAVING") {
+            const dx = person.pos.x - person.target.x, dz = person.pos.z - person.target.z;
+            if (dx * dx + dz * dz < EXIT_REACH_RADIUS * EXIT_REACH_RADIUS && !this._leavers.includes(person)) {
+                this._leavers.push(person);
+            }
+        }
+        return person;
+    }
+
+    /**
+     * Unit XZ direction a person with a target should walk in: along their A* path, else the flow field of their
+     * goal, else straight at the target (always straight within FLOW_DIRECT_RADIUS).
+     * @param {Object} person - must have a target
+     * @param {THREE.Vector3} out - receives the direction
+     * @returns {number} remaining walking distance (m), at least the straight-line distance; used to slow on arrival
+     */
+    _goalDirection(person, out) {
+        out.subVectors(person.target, person.pos);
+        let dist = out.length();
+        const path = person.path;
+        if (path && dist > FLOW_DIRECT_RADIUS) {
+            // Follow the planned waypoints; the last one is replaced by the live target
+            while (person.pathIndex < path.length - 1 &&
+                (path[person.pathIndex].x - person.pos.x) ** 2 + (path[person.pathIndex].z - person.pos.z) ** 2 <
+                WAYPOINT_REACH_RADIUS * WAYPOINT_REACH_RADIUS) person.pathIndex++;
+            if (person.pathIndex < path.length - 1) {
+                out.subVectors(path[person.pathIndex], person.pos);
+                out.y = 0;
+                let remaining = out.length();
+                for (let w = person.pathIndex; w < path.length - 1; w++) remaining += path[w].distanceTo(path[w + 1]);
+                out.normalize();
+                dist = Math.max(dist, remaining);
+            } else {
+                out.normalize();
+            }
+        } else {
+            // No path (yet): far from the target, follow the goal's flow field (around obstacles) rather than the
+            // straight line. Near any of the field's goals (e.g. another queue slot) walk straight to the own target.
+            const field = person.flowGoal && dist > FLOW_DIRECT_RADIUS ? this.getFlowField(person.flowGoal) : null;
+            const fieldDist = field ? field.getDistance(person.pos.x, person.pos.z) : 0;
+            if (fieldDist > FLOW_DIRECT_RADIUS && fieldDist < Infinity && field.sample(person.pos.x, person.pos.z, _flowDir)) {
+                out.copy(_flowDir);
+                dist = Math.max(dist, fieldDist);
+            } else {
+                out.normalize();
+            }
+        }
+        return dist;
+    }
+
+    /**
+     * Social force step (see socialForce.js): set the person's velocity from the desired velocity towards their goal
+     * (A* path, flow field or straight, as in steering; or a drifting wander heading) and the repulsion of nearby
+     * people, environment shapes, lilies and the walkable boundary. Runs per second internally. The desired speed is
+     * the person's maxSpeed over SOCIAL_MAX_SPEED_FACTOR, so the model's speed limit is the one flocking and ORCA
+     * clamp to and switching models keeps the crowd's pace. The parameters are calibrated for walking at
+     * SOCIAL_REFERENCE_SPEED, so they are rescaled to the scene's pace (relaxation time over SOCIAL_PACE,
+     * strengths times its square): people take the same paths around each other, only faster.
+     * @param {Object} person
+     */
+    _applySocialForce(person) {
+        const sf = Object.assign(_socialParams, this.params.socialForce);
+        sf.relaxationTime /= SOCIAL_PACE;
+        sf.agentStrength *= SOCIAL_PACE * SOCIAL_PACE;
+        sf.wallStrength *= SOCIAL_PACE * SOCIAL_PACE;
+        const pos = person.pos;
+        const desiredSpeed = person.maxSpeed / SIM_STEP / SOCIAL_MAX_SPEED_FACTOR * person.speedScale * person.surfaceSpeed;
+        const agent = _socialAgent;
+        agent.x = pos.x;
+        agent.z = pos.z;
+        agent.vx = person.vel.x / SIM_STEP;
+        agent.vz = person.vel.z / SIM_STEP;
+        agent.desiredX = 0;
+        agent.desiredZ = 0;
+        if (person.target) {
+            const dist = this._goalDirection(person, _physicsDestination);
+            const speed = desiredSpeed * Math.min(1, dist / SOCIAL_ARRIVAL_RADIUS);
+            agent.desiredX = _physicsDestination.x * speed;
+            agent.desiredZ = _physicsDestination.z * speed;
+            if (person.following) {
+                agent.desiredX += person.following.vel.x / SIM_STEP;
+                agent.desiredZ += person.following.vel.z / SIM_STEP;
+            }
+        } else if (person.state === 'WANDER') {
+            if (person.wanderHeading === undefined) person.wanderHeading = Math.atan2(person.vel.z, person.vel.x);
+            person.wanderHeading += (this.rng.random() - 0.5) * 2 * SOCIAL_WANDER_TURN;
+            agent.desiredX = Math.cos(person.wanderHeading) * desiredSpeed * SOCIAL_WANDER_SPEED;
+            agent.desiredZ = Math.sin(person.wanderHeading) * desiredSpeed * SOCIAL_WANDER_SPEED;
+            const avoid = this._surfaceAvoidance(person, _surfaceExit);
+            agent.desiredX += _surfaceExit.x * desiredSpeed * avoid;
+            agent.desiredZ += _surfaceExit.z * desiredSpeed * avoid;
+        }
+
+        _flockBox2D.minX = pos.x - SOCIAL_NEIGHBOUR_RADIUS;
+        _flockBox2D.maxX = pos.x + SOCIAL_NEIGHBOUR_RADIUS;
+        _flockBox2D.minZ = pos.z - SOCIAL_NEIGHBOUR_RADIUS;
+        _flockBox2D.maxZ = pos.z + SOCIAL_NEIGHBOUR_RADIUS;
+        this.quadtree.queryBounds(_flockBox2D, _flockNeighbors);
+        _flockSeenIds.clear();
+        let neighbourCount = 0;
+        for (let k = 0; k < _flockNeighbors.length; k++) {
+            const other = _flockNeighbors[k];
+            if (other === person || _flockSeenIds.has(other.id) || other.state === "INSIDE") continue;
+            _flockSeenIds.add(other.id);
+            _socialNeighbors[neighbourCount++] = other;
+        }
+
+        // Walls: environment shapes (at the person's height; negative distance inside), lilies and the walkable boundary
+        let wallCount = 0;
+        const shapes = this.environmentShapes;
+        for (let e = 0; e < shapes.length; e++) {
+            const shape = shapes[e];
+            if (!shape || pos.y < shape.minY || pos.y > shape.maxY) continue;
+            if (pos.x < shape.minX - SOCIAL_WALL_RADIUS || pos.x > shape.maxX + SOCIAL_WALL_RADIUS ||
+                pos.z < shape.minZ - SOCIAL_WALL_RADIUS || pos.z > shape.maxZ + SOCIAL_WALL_RADIUS) continue;
+            const dist = getShapeDistance(shape, pos.x, pos.z, _envContact);
+            if (dist > SOCIAL_WALL_RADIUS) continue;
+            wallCount = setSocialWall(wallCount, dist, _envContact.nx, _envContact.nz);
+        }
+        if (this.lilyAvoidBounds && this.lilyAvoidBounds.containsPoint(pos)) {
+            const lilies = this.lilies;
+            for (let L = 0; L < lilies.length; L++) {
+                const dx = pos.x - lilies[L].x, dz = pos.z - lilies[L].z;
+                const dist = Math.hypot(dx, dz);
+                if (dist > 1e-9 && dist < SOCIAL_WALL_RADIUS) wallCount = setSocialWall(wallCount, dist, dx / dist, dz / dist);
+            }
+        }
+        const boundaryInfo = this.quadtree.getBoundaryInfo(pos.x, pos.z);
+        if (boundaryInfo.distanceToEdge < SOCIAL_WALL_RADIUS) {
+            // Unit vector from the nearest boundary point into the walkable area
+            const dx = boundaryInfo.nearestBoundaryX - pos.x, dz = boundaryInfo.nearestBoundaryZ - pos.z;
+            const len = Math.hypot(dx, dz);
+            if (len > 1e-9) {
+                const sign = boundaryInfo.outside ? 1 : -1;
+                wallCount = setSocialWall(wallCount, boundaryInfo.distanceToEdge, sign * dx / len, sign * dz / len);
+            }
+        }
+
+        computeSocialForce(agent, _socialNeighbors, neighbourCount, _socialWalls, wallCount, sf, person.personalSpace, _socialForce);
+        const lane = this._laneSteer(person, _laneSide);
+        const laneForce = LANE_SOCIAL_FORCE * SOCIAL_PACE * SOCIAL_PACE * lane;
+        _socialForce.x += _laneSide.x * laneForce;
+        _socialForce.z += _laneSide.z * laneForce;
+        let vx = agent.vx + _socialForce.x * SIM_STEP;
+        let vz = agent.vz + _socialForce.z * SIM_STEP;
+        person._lodForce.set(_socialForce.x * SIM_STEP * SIM_STEP, 0, _socialForce.z * SIM_STEP * SIM_STEP);
+        const speed = Math.hypot(vx, vz);
+        const maxSpeed = desiredSpeed * SOCIAL_MAX_SPEED_FACTOR;
+        if (speed > maxSpeed) {
+            vx *= maxSpeed / speed;
+            vz *= maxSpeed / speed;
+        }
+        person.vel.set(vx * SIM_STEP, 0, vz * SIM_STEP);
+        if (person.state === 'WANDER' && speed > 1e-6) person.wanderHeading = Math.atan2(vz, vx); // pushed aside: carry on that way
+    }
+
+    /**
+     * Flocking, lily/environment avoidance, boundary repulsion and target seeking (or the social force model), then
+     * integrate and clamp to the walkable area and outside environment shapes. `params.flocking.avoidance` picks
+     * agent-agent avoidance: 'Reynolds' (the separation force only, default) or 'ORCA', which turns the steered
+     * velocity into the nearest one outside every neighbour's reciprocal velocity obstacle (see orca.js; same quadtree
+     * neighbours). With `params.socialForce.enabled` the social force model (see _applySocialForce) replaces flocking,
+     * target steering and the avoidance mode. In the coarse simulation LOD tier people
+     * flock with the COARSE_FLOCK_RADIUS neighbourhood, blending out to the full one as their `simDetail` climbs
+     * back to 1, and do not keep to lanes. The steering force is kept in `_lodForce` for _coast.
+     * @param {Object} person
+     * @returns {Object} person
+     */
+    applyPhysics(person) {
+        if (!person || !person.pos) return person;
+        const quadtree = this.quadtree;
+        const flocking = this.params.flocking;
+        if (person.dwelling) {
+            person.vel.set(0, 0, 0);
+            person.acc.set(0, 0, 0);
+        }
+        _physicsForce.set(0, 0, 0);
+        _physicsPush.set(0, 0, 0);
+        _physicsSep.set(0, 0, 0);
+        _physicsAli.set(0, 0, 0);
+        _physicsCoh.set(0, 0, 0);
+        let count = 0;
+        let flowCount = 0; // neighbours aligned with and cohered to
+        const coarse = person.simLod === SIM_LOD_COARSE;
+        const orca = flocking.avoidance === 'ORCA';
+        // Fewer, nearer flocking neighbours at lower detail (simulation LOD)
+        const flockRadius = COARSE_FLOCK_RADIUS + (FLOCK_RADIUS - COARSE_FLOCK_RADIUS) * person.simDetail;
+        const maxNeighbours = Math.round(COARSE_MAX_NEIGHBORS + (FLOCK_MAX_NEIGHBORS - COARSE_MAX_NEIGHBORS) * person.simDetail);
+        let orcaCount = 0;
+        const social = this.params.socialForce.enabled && !person.dwelling;
+
+        if (!person.dwelling && !social) {
+            // Q3a: CROWD INTELLIGENCE - Flocking, Queuing, Flow Fields, Collision Avoidance
+            // Reynolds-style flocking: separation, alignment, cohesion with quadtree-based
+            // neighbour queries. Also implements queuing (QUEUING state),
+            // collision avoidance with environment.
+            // ========================================================================
+
+            // FLOCKING ALGORITHM (spatial: use quadtree so O(n*k) not O(n^2); 2D XZ only)
+            _flockBox2D.minX = person.pos.x - flockRadius;
+            _flockBox2D.maxX = person.pos.x + flockRadius;
+            _flockBox2D.minZ = person.pos.z - flockRadius;
+            _flockBox2D.maxZ = person.pos.z + flockRadius;
+            quadtree.queryBounds(_flockBox2D, _flockNeighbors);
+            _flockSeenIds.clear();
+            const onBridge = this._isOnBridge(person);
+            for (let k = 0; k < _flockNeighbors.length; k++) {
+                const other = _flockNeighbors[k];
+                if (other === person || _flockSeenIds.has(other.id) || other.state === "INSIDE") continue;
+                _flockSeenIds.add(other.id);
+                const dist = person.pos.distanceTo(other.pos);
+                if (dist > 0 && dist < flockRadius) {
+                    // ORCA needs every close neighbour, not just the first FLOCK_MAX_NEIGHBORS the quadtree returns
+                    if (orca && dist < ORCA_NEIGHBOUR_RADIUS) orcaCount = insertOrcaNeighbor(other, dist * dist, orcaCount);
+                    if (count >= maxNeighbours) continue; // ORCA mode only; Reynolds breaks below
+                    // Group mates keep formation instead, and only push apart when closer than GROUP_MATE_SEPARATION
+                    if (person.group && other.group === person.group && dist > GROUP_MATE_SEPARATION) continue;
+                    if (flocking.sep.on) {
+                        _physicsPush.subVectors(person.pos, other.pos).normalize().divideScalar(dist);
+                        _physicsSep.add(_physicsPush);
+                    }
+                    // On the deck, oncoming people are only kept apart from: following the counter-flow would stop lanes forming
+                    if (!onBridge || person.vel.dot(other.vel) >= 0) {
+                        if (flocking.ali.on) _physicsAli.add(other.vel);
+                        if (flocking.coh.on) _physicsCoh.add(other.pos);
+                        flowCount++;
+                    }
+                    count++;
+                    if (count >= maxNeighbours && !orca) break;
+                }
+            }
+
+            if (count > 0) {
+                // Apply slider weights
+                if (flocking.sep.on) _physicsForce.add(_physicsSep.multiplyScalar(0.2 * flocking.sep.val * person.personalSpace / DEFAULT_PERSONAL_SPACE));
+                if (flocking.ali.on && flowCount > 0) {
+                    _physicsAli.divideScalar(flowCount).normalize().multiplyScalar(MAX_SPEED).sub(person.vel);
+                    _physicsForce.add(_physicsAli.multiplyScalar(0.05 * flocking.ali.val));
+                }
+                if (flocking.coh.on && flowCount > 0) {
+                    _physicsCoh.divideScalar(flowCount).sub(person.pos).normalize().multiplyScalar(MAX_SPEED).sub(person.vel);
+                    _physicsForce.add(_physicsCoh.multiplyScalar(0.05 * flocking.coh.val));
+                }
+            }
+
+            this._addObstacleForce(person, _physicsForce);
+            this._addSeekForce(person, _physicsForce);
+        }
+
+        if (!person.dwelling && !social && !coarse) {
+            const lane = this._laneSteer(person, _laneSide);
+            if (lane > 0) {
+                _physicsForce.x += _laneSide.x * LANE_FORCE * lane;
+                _physicsForce.z += _laneSide.z * LANE_FORCE * lane;
+            }
+        }
+
+        // Clamp accumulated force magnitude to prevent extreme accelerations from conflicting forces
+        _physicsForce.clampLength(0, MAX_FORCE * MAX_FORCE_CLAMP_FACTOR);
+        person.acc.add(_physicsForce);
+        person._lodForce.copy(_physicsForce);
+        if (social) {
+            this._applySocialForce(person);
+        } else if (orca && !person.dwelling) {
+            person._lodForce.set(0, 0, 0); // ORCA's velocity is held instead
+            // The steered velocity becomes ORCA's preferred velocity; ORCA picks the nearest collision-free one
+            _orcaPreferred.copy(person.vel).add(person.acc).clampLength(0, person.maxSpeed * person.speedScale * person.surfaceSpeed);
+            _orcaOptions.maxSpeed = person.maxSpeed * person.speedScale * person.surfaceSpeed;
+            _orcaOptions.radius = person.personalSpace;
+            computeOrcaVelocity(person, _orcaNeighbors, orcaCount, _orcaPreferred, _orcaOptions, person.vel);
+            person.vel.y = _orcaPreferred.y;
+        } else {
+            person.vel.add(person.acc);
+        }
+
+        if (person.dwelling) {
+            person.vel.multiplyScalar(0.92);
+        } else {
+            person.vel.clampLength(0, person.maxSpeed * person.speedScale * person.surfaceSpeed);
+        }
+
+        person.acc.set(0, 0, 0);
+        this._integrate(person);
+
+        const debug = this.debug;
+        if (debug && debug.logPersonMovement && this.people.indexOf(person) === debug.debugPersonIndex) {
+            const surfaceInfo = person._surfaceCache || {};
+            const u = surfaceInfo.u !== undefined ? surfaceInfo.u.toFixed(4) : 'N/A';
+            const v = surfaceInfo.v !== undefined ? surfaceInfo.v.toFixed(4) : 'N/A';
+            const regionIndex = surfaceInfo.regionIndex !== undefined ? surfaceInfo.regionIndex : 'N/A';
+            const onSurface = surfaceInfo.inside !== undefined ? surfaceInfo.inside : (person._lastSurfaceInside !== undefined ? person._lastSurfaceInside : false);
+            console.log(`[Person ${debug.debugPersonIndex}] Tick ${this.tick}:`, {
+                pos: `(${person.pos.x.toFixed(3)}, ${person.pos.y.toFixed(3)}, ${person.pos.z.toFixed(3)})`,
+                uv: `(${u}, ${v})`,
+                regionIndex: regionIndex,
+                vel: `(${person.vel.x.toFixed(4)}, ${person.vel.y.toFixed(4)}, ${person.vel.z.toFixed(4)}) [${person.vel.length().toFixed(4)}]`,
+                acc: `(${person.acc.x.toFixed(4)}, ${person.acc.y.toFixed(4)}, ${person.acc.z.toFixed(4)})`,
+                state: person.state,
+                onSurface: onSurface,
+                atEdge: person._atSurfaceEdge || false,
+                displacement: person._displacement?.toFixed(4) || '0'
+            });
+        }
+
+        person.acc.set(0, 0, 0);
+
+        return person;
+    }
+
+    /**
+     * Add the push off lilies and out of environment shapes the person is inside, and the repulsion from the edge of
+     * the walkable area.
+     * @param {Object} person
+     * @param {THREE.Vector3} force - added to
+     */
+    _addObstacleForce(person, force) {
+        const quadtree = this.quadtree;
+        const environmentObjects = this.environmentObjects;
+        const environmentShapes = this.environmentShapes;
+        // avoid lilies (only when person is near lily region to save compute)
+        if (this.lilyAvoidBounds && this.lilyAvoidBounds.containsPoint(person.pos)) {
+            const lilies = this.lilies;
+            for (let L = 0; L < lilies.length; L++) {
+                _lilyWorldPos.set(lilies[L].x, lilies[L].y, lilies[L].z);
+                const distLily = Math.hypot(person.pos.x - _lilyWorldPos.x, person.pos.z - _lilyWorldPos.z);
+                if (distLily < LILY_AVOID_RADIUS) {
+                    _physicsAvoid.subVectors(person.pos, _lilyWorldPos).normalize().multiplyScalar((LILY_AVOID_RADIUS - distLily) * 0.5);
+                    force.add(_physicsAvoid);
+                }
+            }
+        }
+
+        _physicsAvoid.set(0, 0, 0);
+        for (let i = 0; i < environmentShapes.length; i++) {
+            const shape = environmentShapes[i];
+
+            // If person is inside the object's shape, push them out along the normal of its nearest surface
+            if (shape && shapeContainsPoint(shape, person.pos)) {
+                const penetrationDepth = -getShapeDistance(shape, person.pos.x, person.pos.z, _envContact);
+                _physicsPush.set(_envContact.nx, 0, _envContact.nz);
+
+                // Calculate force strength: stronger when closer to object center
+                // The closer the person is to obj.position, the stronger the push needed
+                const distToCenter = environmentObjects[i].position.distanceTo(person.pos);
+                const shapeSize = Math.hypot(shape.maxX - shape.minX, shape.maxZ - shape.minZ);
+                const normalizedDist = Math.max(0.1, distToCenter / (shapeSize * 0.5)); // Normalize to 0-1 range
+
+                // Force increases as person gets closer to center (smaller normalizedDist)
+                // Also increases with penetration depth - deeper penetration = stronger push
+                const forceStrength = PERSON_ENV_INSIDE_STRENGTH * (1.0 / normalizedDist) * (1.0 + penetrationDepth);
+                _physicsPush.multiplyScalar(forceStrength);
+
+                // Accumulate avoid force from this object
+                _physicsAvoid.add(_physicsPush);
+            }
+        }
+        if (_physicsAvoid.lengthSq() > 0) {
+            force.add(_physicsAvoid);
+        }
+
+        const boundaryInfo = quadtree.getBoundaryInfo(person.pos.x, person.pos.z);
+        if (!boundaryInfo.outside) {
+            const distToEdge = boundaryInfo.distanceToEdge;
+            const range = this.params.boundary.repellantRange;
+            if (distToEdge < range && distToEdge > 0) {
+                // Straight away from the nearest edge (the normal points inwards for people inside), stronger closer
+                // to it. Pushing towards the world origin instead crowded everyone on the bridge onto one side.
+                const push = MAX_FORCE * (1 - distToEdge / range);
+                force.x += boundaryInfo.outwardNormalX * push;
+                force.z += boundaryInfo.outwardNormalZ * push;
+            }
+        }
+    }
+
+    /**
+     * Add the steering towards the person's target (along their path or flow field, slowing within 10 m and keeping
+     * pace with a leader whose formation they keep), or a wanderer's random wander and way off regions they avoid.
+     * @param {Object} person
+     * @param {THREE.Vector3} force - added to
+     */
+    _addSeekForce(person, force) {
+        if (person.target) {
+            const dist = this._goalDirection(person, _physicsDestination);
+            if (dist < 10) {
+                _physicsDestination.multiplyScalar(person.maxSpeed * (dist / 5));
+            } else {
+                _physicsDestination.multiplyScalar(person.maxSpeed);
+            }
+            // In formation the slot moves with the leader: match their velocity as well as closing the gap
+            if (person.following) _physicsDestination.add(person.following.vel);
+            _physicsClampResult.subVectors(_physicsDestination, person.vel).clampLength(0, MAX_FORCE);
+            force.add(_physicsClampResult);
+        } else if (person.state === 'WANDER') {
+            _physicsWanderVec.set(this.rng.random() - 0.5, 0, this.rng.random() - 0.5).normalize().multiplyScalar(MAX_FORCE * 0.8);
+            force.add(_physicsWanderVec);
+            const avoid = this._surfaceAvoidance(person, _surfaceExit);
+            force.x += _surfaceExit.x * MAX_FORCE * avoid;
+            force.z += _surfaceExit.z * MAX_FORCE * avoid;
+        }
+    }
+
+    /**
+     * Move the person by their velocity, then clamp them to the walkable area and outside environment shapes (taking
+     * out velocity into either), and track their displacement and the ground under them.
+     * @param {Object} person
+     */
+    _integrate(person) {
+        const quadtree = this.quadtree;
+        const walkableSampler = this.walkableSampler;
+        const environmentShapes = this.environmentShapes;
+        const oldPosX = person.pos.x;
+        const oldPosY = person.pos.y;
+        const oldPosZ = person.pos.z;
+        person.pos.add(person.vel);
+
+        if (!quadtree.containsPoint(person.pos.x, person.pos.z)) {
+            const nearest = quadtree.getNearestPointOnBoundary(person.pos.x, person.pos.z);
+            person.pos.x = nearest.x;
+            person.pos.z = nearest.z;
+            const surfaceAtBoundary = walkableSampler.getSurfaceInfo(nearest.x, nearest.z);
+            person.pos.y = (surfaceAtBoundary.inside && surfaceAtBoundary.y != null)
+                ? surfaceAtBoundary.y
+                : walkableSampler.getNearestWalkable(nearest.x, nearest.z).y;
+            const clampBoundaryInfo = quadtree.getBoundaryInfo(person.pos.x, person.pos.z);
+            const vOut = person.vel.x * clampBoundaryInfo.outwardNormalX + person.vel.z * clampBoundaryInfo.outwardNormalZ;
+            if (vOut > 0) {
+                person.vel.x -= vOut * clampBoundaryInfo.outwardNormalX;
+                person.vel.z -= vOut * clampBoundaryInfo.outwardNormalZ;
+            }
+        } else {
+            const afterInfo = walkableSampler.getSurfaceInfo(person.pos.x, person.pos.z);
+            person.pos.y = afterInfo.y != null ? afterInfo.y : 0;
+        }
+
+        // Hard-clamp: if inside any environment object, snap to its surface and zero outward velocity (same logic as quadtree boundary)
+        for (let iter = 0; iter < MAX_ENV_CLAMP_ITER; iter++) {
+            let insideAny = false;
+            for (let e = 0; e < environmentShapes.length; e++) {
+                const shape = environmentShapes[e];
+                if (!shape || !shapeContainsPoint(shape, person.pos)) continue;
+                insideAny = true;
+                getShapeDistance(shape, person.pos.x, person.pos.z, _envContact);
+                person.pos.x = _envContact.x;
+                person.pos.z = _envContact.z;
+                const surf = walkableSampler.getSurfaceInfo(person.pos.x, person.pos.z);
+                person.pos.y = (surf.inside && surf.y != null) ? surf.y : walkableSampler.getNearestWalkable(person.pos.x, person.pos.z).y;
+                const vOut = person.vel.x * _envContact.nx + person.vel.z * _envContact.nz;
+                if (vOut < 0) {
+                    person.vel.x -= vOut * _envContact.nx;
+                    person.vel.z -= vOut * _envContact.nz;
+                }
+                person.vel.multiplyScalar(0.3);
+                break;
+            }
+            if (!insideAny) break;
+        }
+
+        person._displacement = Math.hypot(person.pos.x - oldPosX, person.pos.z - oldPosZ);
+        this._updateSurface(person, oldPosY);
+    }
+
+    /**
+     * Move a person between steering updates (simulation LOD): their last steering force acts again, within the speed
+     * limit of the ground under them, then they are integrated and clamped like applyPhysics. People dwelling stand
+     * still.
+     * @param {Object} person
+     */
+    _coast(person) {
+        if (person.dwelling) {
+            person.vel.set(0, 0, 0);
+        } else {
+            person.vel.add(person._lodForce);
+            person.vel.clampLength(0, person.maxSpeed * person.speedScale * person.surfaceSpeed);
+        }
+        this._integrate(person);
+    }
+
+    /**
+     * Track the walkable region under the person (`_surfaceCache.regionIndex`, null off every region, and its
+     * `surfaceType`), the slope they walked this update (`slope`, rise over run, smoothed) and their `surfaceSpeed`:
+     * the max speed factor of the region's locomotion rule and of that slope. Rules are `params.locomotion.regions` by
+     * region index (see locomotion.js; a rule's `avoid` also steers wanderers off the region) and
+     * `params.locomotion.slope` (0..1) sets how much the slope slows people (Tobler's hiking function).
+     * @param {Object} person
+     * @param {number} oldY - height before this update's move
+     */
+    _updateSurface(person, oldY) {
+        const surface = person._surfaceCache;
+        const regionIndex = this.walkableSampler.getRegionIndex(person.pos.x, person.pos.z);
+        surface.regionIndex = regionIndex >= 0 ? regionIndex : null;
+        surface.surfaceType = regionIndex >= 0 ? this.walkableSampler.regions[regionIndex].surfaceType : undefined;
+        if ((person._displacement ?? 0) > SLOPE_MIN_STEP) {
+            const slope = (person.pos.y - oldY) / person._displacement;
+            if (Math.abs(slope) <= SLOPE_MAX) person.slope += (slope - person.slope) * SLOPE_SMOOTHING;
+        }
+        const locomotion = this.params.locomotion;
+        person.surfaceSpeed = getLocomotionRule(locomotion.regions, surface.regionIndex).speed * slopeSpeedFactor(person.slope, locomotion.slope);
+    }
+
+    /**
+     * Steering of a wanderer off a region they would rather not walk along (its locomotion rule's `avoid`): towards
+     * the nearest probe point on a region they mind less, preferring the way they are walking. Probes are rings of
+     * AVOID_PROBE_DIRECTIONS points AVOID_PROBE_SPACING m apart, searched every AVOID_PROBE_INTERVAL s.
+     * @param {Object} person
+     * @param {{ x: number, z: number }} out - set to the unit direction off the region (zero if none was found)
+     * @returns {number} the region's `avoid` (0..1); 0 where there is nothing to avoid
+     */
+    _surfaceAvoidance(person, out) {
+        const rules = this.params.locomotion.regions;
+        const rule = getLocomotionRule(rules, person._surfaceCache.regionIndex);
+        out.x = 0;
+        out.z = 0;
+        if (!(rule.avoid > 0)) return 0;
+        if (!(this.time < (person._avoidProbeTime ?? -Infinity) + AVOID_PROBE_INTERVAL)) {
+            person._avoidProbeTime = this.time;
+            person._avoidX = 0;
+            person._avoidZ = 0;
+            for (let ring = 1; ring <= AVOID_PROBE_RINGS && person._avoidX === 0 && person._avoidZ === 0; ring++) {
+                const dist = ring * AVOID_PROBE_SPACING;
+                let best = -Infinity;
+                for (let d = 0; d < AVOID_PROBE_DIRECTIONS; d++) {
+                    const angle = d * Math.PI * 2 / AVOID_PROBE_DIRECTIONS;
+                    const dx = Math.cos(angle), dz = Math.sin(angle);
+                    const region = this.walkableSampler.getRegionIndex(person.pos.x + dx * dist, person.pos.z + dz * dist);
+                    if (region < 0 || getLocomotionRule(rules, region).avoid >= rule.avoid) continue;
+                    const heading = dx * person.vel.x + dz * person.vel.z;
+                    if (heading > best) {
+                        best = heading;
+                        person._avoidX = dx;
+                        person._avoidZ = dz;
+                    }
+                }
+            }
+        }
+        out.x = person._avoidX;
+        out.z = person._avoidZ;
+        return rule.avoid;
+    }
+
+    /**
+     * Smoothed, turn-rate-limited facing, banking and walk phase from velocity; people dwelling at a point of interest
+     * turn to face it instead. Used by both render tiers (instanced mid LOD and close meshes), so it lives with the
+     * simulation rather than the animation.
+     * @param {Object} person
+     */
+    updateFacing(person) {
+        if (person.dwelling) {
+            if (!person._smoothedVel) person._smoothedVel = person.vel.clone();
+            if (person.vel.lengthSq() > 0.0001) person._smoothedVel.lerp(person.vel, SMOOTH_VEL_LERP);
+            const dx = person.poi.position.x - person.pos.x, dz = person.poi.position.z - person.pos.z;
+            if (dx * dx + dz * dz > 1e-4) {
+                let turnDelta = Math.atan2(dx, dz) - person.facingAngle;
+                while (turnDelta > Math.PI) turnDelta -= 2 * Math.PI;
+                while (turnDelta < -Math.PI) turnDelta += 2 * Math.PI;
+                person.facingAngle += Math.max(-MAX_TURN_RAD, Math.min(MAX_TURN_RAD, turnDelta));
+            }
+            person.bankAngle *= 0.9;
+            return;
+        }
+        if ((person._displacement || 0) > 0.01) {
+            // Initialize smoothed velocity if needed
+            if (!person._smoothedVel) person._smoothedVel = person.vel.clone();
+            // Smooth velocity for stable facing direction
+            if (person.vel.lengthSq() > 0.0001) {
+                person._smoothedVel.lerp(person.vel, SMOOTH_VEL_LERP);
+            }
+            const newFacing = Math.atan2(person._smoothedVel.x, person._smoothedVel.z);
+            let turnDelta = newFacing - person.facingAngle;
+            // Wrap to [-PI, PI]
+            while (turnDelta > Math.PI) turnDelta -= 2 * Math.PI;
+            while (turnDelta < -Math.PI) turnDelta += 2 * Math.PI;
+            // Limit turn rate
+            const clampedTurn = Math.max(-MAX_TURN_RAD, Math.min(MAX_TURN_RAD, turnDelta));
+            person.facingAngle += clampedTurn;
+            person.bankAngle = person.bankAngle * 0.85 + (-clampedTurn * 0.2) * 0.15;
+            // Walk phase tied to displacement (faster movement = faster leg cycle; shorter strides turn it faster)
+            person._walkPhase = (person._walkPhase ?? 0) + person._displacement * WALK_PHASE_PER_UNIT / person.strideScale;
+        } else {
+            person.bankAngle *= 0.9;
+        }
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Place where people arrive at the festival (a road end, the staircase, the far bank of the bridge). Arrivals are a
+ * Poisson process whose rate is `rate` (people per minute) times the piecewise-linear `schedule` factor at the
+ * current simulated time, so a source can fill the festival up in the evening and dry up later.
+ *
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {THREE.Vector3} options.position - on walkable ground
+ * @param {number} [options.radius=2] - m: arrivals are placed within this distance of position
+ * @param {number} [options.rate=10] - people per minute at schedule factor 1
+ * @param {Array<{ time: number, factor: number }>} [options.schedule=[]] - rate factor keyframes by simulated
+ *   seconds, in time order; held constant before the first and after the last. Empty = factor 1 throughout
+ */
+export class CrowdSource {
+    constructor(options = {}) {
+        const { name, position, radius = 2, rate = 10, schedule = [] } = options;
+        if (!position) throw new Error("CrowdSource: position is required");
+        this.name = name ?? 'source';
+        this.position = position;
+        this.radius = radius;
+        this.rate = rate;
+        this.schedule = schedule;
+        /** People who have arrived here so far. */
+        this.arrivals = 0;
+    }
+
+    /**
+     * Schedule factor at a time.
+     * @param {number} time - simulated seconds
+     * @returns {number}
+     */
+    factorAt(time) {
+        const s = this.schedule;
+        if (s.length === 0) return 1;
+        if (time <= s[0].time) return s[0].factor;
+        for (let i = 1; i < s.length; i++) {
+            if (time <= s[i].time) {
+                const t = (time - s[i - 1].time) / (s[i].time - s[i - 1].time);
+                return s[i - 1].factor + (s[i].factor - s[i - 1].factor) * t;
+            }
+        }
+        return s[s.length - 1].factor;
+    }
+
+    /**
+     * Arrival rate at a time.
+     * @param {number} time - simulated seconds
+     * @returns {number} people per minute
+     */
+    rateAt(time) {
+        return Math.max(0, this.rate * this.factorAt(time));
+    }
+}
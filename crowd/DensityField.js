@@ -0,0 +1,267 @@
+import * as THREE from "three";
+
+const DEFAULT_SMOOTHING_TIME = 2;  // s: time constant of the live density and speed averages
+const OVERLAY_Y_OFFSET = 0.15;     // m the heatmap floats above the walkable surface
+const OVERLAY_OPACITY = 0.6;       // alpha of a cell at the top of the colour scale
+// Colour scale from low to high (blue, cyan, green, yellow, red)
+const HEAT_COLOURS = [[0, 0, 1], [0, 1, 1], [0, 1, 0], [1, 1, 0], [1, 0, 0]];
+
+/** Metrics a DensityField can report; values are per walkable-grid cell. */
+export const DENSITY_METRICS = {
+    density: { label: 'People per m²', unit: 'people/m²' },
+    speed: { label: 'Mean speed', unit: 'm/s' },
+    occupancy: { label: 'Accumulated occupancy', unit: 'person-s/m²' }
+};
+
+/**
+ * Crowd density, speed and occupancy on the walkable sampler's height grid (same origin and cell size), fed with
+ * people's positions every simulation step:
+ * - density: people per m² in the cell, averaged exponentially over `smoothingTime` so single steps do not flicker
+ * - speed: mean walking speed (m/s) of the people in the cell over the same window; NaN where nobody has been
+ * - occupancy: person-seconds per m² spent in the cell since the last reset
+ * Cells without a walkable height are NaN in every metric.
+ *
+ * @param {{ minX: number, minZ: number, cellSize: number, numX: number, numZ: number, heights: Float64Array }} grid -
+ *   from walkableSampler.getGrid(); cell (i, j) is at index i * numZ + j
+ * @param {Object} [options]
+ * @param {number} [options.smoothingTime=2] - s
+ */
+export class DensityField {
+    constructor(grid, options = {}) {
+        if (!grid) throw new Error("DensityField: the walkable sampler has no height grid");
+        const { smoothingTime = DEFAULT_SMOOTHING_TIME } = options;
+        const { minX, minZ, cellSize, numX, numZ, heights } = grid;
+        this.minX = minX;
+        this.minZ = minZ;
+        this.cellSize = cellSize;
+        this.numX = numX;
+        this.numZ = numZ;
+        this.heights = heights;
+        this.smoothingTime = smoothingTime;
+        /** Simulated seconds accumulated into occupancy since the last reset. */
+        this.elapsed = 0;
+        const n = numX * numZ;
+        this._count = new Float32Array(n);      // people this step
+        this._speedSum = new Float32Array(n);   // m/s summed over them
+        this._density = new Float32Array(n);    // smoothed people per m²
+        this._speedWeight = new Float32Array(n); // smoothed count, the denominator of the mean speed
+        this._speedTotal = new Float32Array(n);  // smoothed speed sum
+        this._occupancy = new Float32Array(n);
+        this._values = new Float32Array(n);
+    }
+
+    /**
+     * Grid cell index of a point.
+     * @param {number} x
+     * @param {number} z
+     * @returns {number} -1 outside the grid
+     */
+    cellIndex(x, z) {
+        const i = Math.floor((x - this.minX) / this.cellSize);
+        const j = Math.floor((z - this.minZ) / this.cellSize);
+        if (i < 0 || i >= this.numX || j < 0 || j >= this.numZ) return -1;
+        return i * this.numZ + j;
+    }
+
+    /**
+     * Add one simulation step of people. Speed is the distance from `prevPosition` to `pos` over dt.
+     * @param {Array<{ pos: THREE.Vector3, prevPosition: THREE.Vector3, state: string }>} people - INSIDE people are skipped
+     * @param {number} dt - s covered by the step
+     */
+    update(people, dt) {
+        const count = this._count, speedSum = this._speedSum;
+        count.fill(0);
+        speedSum.fill(0);
+        for (let p = 0; p < people.length; p++) {
+            const person = people[p];
+            if (person.state === "INSIDE") continue;
+            const idx = this.cellIndex(person.pos.x, person.pos.z);
+            if (idx < 0) continue;
+            count[idx]++;
+            speedSum[idx] += Math.hypot(person.pos.x - person.prevPosition.x, person.pos.z - person.prevPosition.z) / dt;
+        }
+        const area = this.cellSize * this.cellSize;
+        const alpha = 1 - Math.exp(-dt / this.smoothingTime);
+        const density = this._density, weight = this._speedWeight, total = this._speedTotal, occupancy = this._occupancy;
+        for (let idx = 0; idx < count.length; idx++) {
+            const c = count[idx];
+            density[idx] += (c / area - density[idx]) * alpha;
+            weight[idx] += (c - weight[idx]) * alpha;
+            total[idx] += (speedSum[idx] - total[idx]) * alpha;
+            occupancy[idx] += c * dt / area;
+        }
+        this.elapsed += dt;
+    }
+
+    /** Clear every metric (e.g. to start a new occupancy measurement). */
+    reset() {
+        this._density.fill(0);
+        this._speedWeight.fill(0);
+        this._speedTotal.fill(0);
+        this._occupancy.fill(0);
+        this.elapsed = 0;
+    }
+
+    /**
+     * Current values of a metric for every cell.
+     * @param {keyof DENSITY_METRICS} metric
+     * @returns {Float32Array} reused between calls; index i * numZ + j, NaN for cells without a value
+     */
+    getValues(metric) {
+        const values = this._values, heights = this.heights;
+        for (let idx = 0; idx < values.length; idx++) {
+            const h = heights[idx];
+            if (h !== h) {
+                values[idx] = NaN;
+            } else if (metric === 'density') {
+                values[idx] = this._density[idx];
+            } else if (metric === 'speed') {
+                // Weights decay towards 0 once a cell empties; below a hundredth of a person the mean is meaningless
+                values[idx] = this._speedWeight[idx] > 0.01 ? this._speedTotal[idx] / this._speedWeight[idx] : NaN;
+            } else if (metric === 'occupancy') {
+                values[idx] = this._occupancy[idx];
+            } else {
+                throw new Error(`DensityField: unknown metric '${metric}'`);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Largest value of a metric over all cells.
+     * @param {keyof DENSITY_METRICS} metric
+     * @returns {number} 0 when no cell has a value
+     */
+    getMax(metric) {
+        const values = this.getValues(metric);
+        let max = 0;
+        for (let idx = 0; idx < values.length; idx++) {
+            if (values[idx] > max) max = values[idx];
+        }
+        return max;
+    }
+
+    /**
+     * The metric as CSV: a header row of cell-centre x, then one row per cell-centre z (ascending) starting with z.
+     * Cells without a value are left empty.
+     * @param {keyof DENSITY_METRICS} metric
+     * @returns {string}
+     */
+    toCSV(metric) {
+        const values = this.getValues(metric);
+        const half = this.cellSize / 2;
+        const header = [`z\\x (${DENSITY_METRICS[metric].unit})`];
+        for (let i = 0; i < this.numX; i++) header.push((this.minX + i * this.cellSize + half).toFixed(2));
+        const rows = [header.join(',')];
+        for (let j = 0; j < this.numZ; j++) {
+            const row = [(this.minZ + j * this.cellSize + half).toFixed(2)];
+            for (let i = 0; i < this.numX; i++) {
+                const v = values[i * this.numZ + j];
+                row.push(v === v ? v.toFixed(4) : '');
+            }
+            rows.push(row.join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+}
+
+/**
+ * Heatmap colour of a value on a scale from 0 to max.
+ * @param {number} value
+ * @param {number} max
+ * @param {{ r: number, g: number, b: number }} out
+ * @returns {{ r: number, g: number, b: number }} out
+ */
+export function heatColour(value, max, out) {
+    const t = max > 0 ? Math.max(0, Math.min(1, value / max)) : 0;
+    const f = t * (HEAT_COLOURS.length - 1);
+    const k = Math.min(HEAT_COLOURS.length - 2, Math.floor(f));
+    const s = f - k;
+    const a = HEAT_COLOURS[k], b = HEAT_COLOURS[k + 1];
+    out.r = a[0] + (b[0] - a[0]) * s;
+    out.g = a[1] + (b[1] - a[1]) * s;
+    out.b = a[2] + (b[2] - a[2]) * s;
+    return out;
+}
+
+/**
+ * Overlay mesh draped over the walkable cells of a DensityField: one quad per walkable cell, its corners at the mean
+ * height of the walkable cells around them. Colour it with updateDensityOverlay.
+ * @param {DensityField} field
+ * @returns {THREE.Mesh}
+ */
+export function createDensityOverlay(field) {
+    const { minX, minZ, cellSize, numX, numZ, heights } = field;
+    const cells = [];
+    for (let idx = 0; idx < heights.length; idx++) {
+        if (heights[idx] === heights[idx]) cells.push(idx);
+    }
+    const positions = new Float32Array(cells.length * 4 * 3);
+    const indices = new Uint32Array(cells.length * 6);
+    for (let c = 0; c < cells.length; c++) {
+        const i = Math.floor(cells[c] / numZ), j = cells[c] % numZ;
+        for (let k = 0; k < 4; k++) {
+            const ci = i + (k & 1), cj = j + (k >> 1); // grid corner (ci, cj)
+            let sum = 0, n = 0;
+            for (let di = -1; di <= 0; di++) {
+                for (let dj = -1; dj <= 0; dj++) {
+                    const ni = ci + di, nj = cj + dj;
+                    if (ni < 0 || ni >= numX || nj < 0 || nj >= numZ) continue;
+                    const h = heights[ni * numZ + nj];
+                    if (h !== h) continue;
+                    sum += h;
+                    n++;
+                }
+            }
+            const v = (c * 4 + k) * 3;
+            positions[v] = minX + ci * cellSize;
+            positions[v + 1] = sum / n + OVERLAY_Y_OFFSET; // n >= 1: the cell itself is walkable
+            positions[v + 2] = minZ + cj * cellSize;
+        }
+        indices.set([c * 4, c * 4 + 2, c * 4 + 1, c * 4 + 1, c * 4 + 2, c * 4 + 3], c * 6);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(cells.length * 4 * 4), 4));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    }));
+    mesh.userData.cells = cells;
+    mesh.renderOrder = 998;
+    mesh.frustumCulled = false;
+    return mesh;
+}
+
+const _heat = { r: 0, g: 0, b: 0 };
+
+/**
+ * Recolour an overlay from createDensityOverlay with a metric. Cells fade from transparent at 0 to OVERLAY_OPACITY at
+ * max (from a quarter opacity upwards, so sparse cells still show); cells at 0 or without a value are hidden.
+ * @param {THREE.Mesh} mesh
+ * @param {DensityField} field
+ * @param {keyof DENSITY_METRICS} metric
+ * @param {number} max - value shown at the top of the colour scale
+ */
+export function updateDensityOverlay(mesh, field, metric, max) {
+    const values = field.getValues(metric);
+    const cells = mesh.userData.cells;
+    const colour = mesh.geometry.attributes.color;
+    const array = colour.array;
+    for (let c = 0; c < cells.length; c++) {
+        const v = values[cells[c]];
+        heatColour(v === v ? v : 0, max, _heat);
+        const alpha = v > 0 ? OVERLAY_OPACITY * Math.min(1, 0.25 + 0.75 * v / max) : 0; // NaN > 0 is false
+        for (let k = 0; k < 4; k++) {
+            const o = (c * 4 + k) * 4;
+            array[o] = _heat.r;
+            array[o + 1] = _heat.g;
+            array[o + 2] = _heat.b;
+            array[o + 3] = alpha;
+        }
+    }
+    colour.needsUpdate = true;
+}
@@ -0,0 +1,195 @@
+import * as THREE from "three";
+
+const DEFAULT_SLOT_SPACING = 1.2;  // m between consecutive people in line
+const WAIT_HISTORY = 50;           // average wait is over the last this many admissions
+
+/**
+ * Lay out `count` slots along a polyline at fixed spacing, starting at its first point (the head).
+ * Past the last point the final segment's direction is extended, so a short path still fits every slot.
+ * @param {THREE.Vector3[]} path
+ * @param {number} count
+ * @param {number} spacing
+ * @returns {THREE.Vector3[]}
+ */
+function layoutSlots(path, count, spacing) {
+    const slots = [];
+    const dir = new THREE.Vector3(1, 0, 0); // single-point path: line extends along +X
+    for (let i = 0; i < count; i++) {
+        let d = i * spacing; // arc length from the head
+        let seg = 0;
+        while (seg + 1 < path.length) {
+            const len = path[seg].distanceTo(path[seg + 1]);
+            if (d <= len || seg + 2 === path.length) break;
+            d -= len;
+            seg++;
+        }
+        if (seg + 1 < path.length) dir.subVectors(path[seg + 1], path[seg]).normalize();
+        slots.push(path[seg].clone().addScaledVector(dir, d));
+    }
+    return slots;
+}
+
+/**
+ * First-in-first-out line of slots in front of a building entrance.
+ * People join at the back, move up a slot as the head is admitted, and are admitted from slot 0 at most
+ * `serviceRate` per second once they stand within `admitRadius` of it. Arrivals balk (walk away) when the line is
+ * full, and with rising probability once it reaches `balkLength`.
+ *
+ * @param {Object} options
+ * @param {THREE.Vector3[]} options.path - polyline on walkable ground, head first
+ * @param {number} [options.capacity=12] - number of slots (hard limit on line length)
+ * @param {number} [options.spacing=1.2] - m between slots
+ * @param {number} [options.serviceRate=0.5] - admissions per second
+ * @param {number} [options.balkLength=8] - line length at which arrivals start to balk
+ * @param {number} [options.admitRadius=2] - head must be this close to slot 0 to be admitted
+ * @param {{ getSurfaceInfo: Function, getNearestWalkable: Function }} [options.walkableSampler] - snaps slot heights to the ground
+ */
+export class EntranceQueue {
+    constructor(options = {}) {
+        const {
+            path,
+            capacity = 12,
+            spacing = DEFAULT_SLOT_SPACING,
+            serviceRate = 0.5,
+            balkLength = 8,
+            admitRadius = 2,
+            walkableSampler = null
+        } = options;
+        if (!path || path.length === 0) throw new Error("EntranceQueue: path needs at least one point");
+        this.capacity = Math.max(1, Math.floor(capacity));
+        this.serviceRate = serviceRate;
+        this.balkLength = balkLength;
+        this.admitRadius = admitRadius;
+        this.slots = layoutSlots(path, this.capacity, spacing);
+        if (walkableSampler) {
+            for (const slot of this.slots) {
+                const info = walkableSampler.getSurfaceInfo(slot.x, slot.z);
+                slot.y = (info.inside && info.y != null) ? info.y : walkableSampler.getNearestWalkable(slot.x, slot.z).y;
+            }
+        }
+
+        /** People in line, head first. */
+        this.line = [];
+        this.served = 0;
+        this.balked = 0;
+        this._recentWaits = [];
+        this._lastAdmitTime = -Infinity;
+    }
+
+    /** @returns {number} people currently in line */
+    get length() {
+        return this.line.length;
+    }
+
+    /** @returns {THREE.Vector3} the head slot (where people are admitted from) */
+    get head() {
+        return this.slots[0];
+    }
+
+    /**
+     * Try to join at the back of the line. Fails (balks) when full, or with probability rising linearly from
+     * 1/(capacity - balkLength + 1) at balkLength to 1 at capacity, divided by the person's `patience` (1 if unset).
+     * @param {Object} person
+     * @param {number} time - simulated seconds
+     * @param {() => number} rng - uniform [0,1) source
+     * @returns {boolean} true if the person joined
+     */
+    join(person, time, rng) {
+        const n = this.line.length;
+        if (n >= this.capacity) {
+            this.balked++;
+            return false;
+        }
+        if (n >= this.balkLength) {
+            const p = (n - this.balkLength + 1) / (this.capacity - this.balkLength + 1);
+            if (rng() < p / (person.patience ?? 1)) {
+                this.balked++;
+                return false;
+            }
+        }
+        person.queueJoinTime = time;
+        this.line.push(person);
+        return true;
+    }
+
+    /**
+     * Join together at the back of the line: one balk decision for the whole group (as for a single arrival at the
+     * current length, with the group's mean patience), and it fails when the group does not fit in the remaining slots.
+     * @param {Object[]} people - in the order they will stand
+     * @param {number} time - simulated seconds
+     * @param {() => number} rng - uniform [0,1) source
+     * @returns {boolean} true if everyone joined
+     */
+    joinGroup(people, time, rng) {
+        const n = this.line.length;
+        let balk = n + people.length > this.capacity;
+        if (!balk && n >= this.balkLength) {
+            const p = (n - this.balkLength + 1) / (this.capacity - this.balkLength + 1);
+            let patience = 0;
+            for (const person of people) patience += person.patience ?? 1;
+            balk = rng() < p / (patience / people.length);
+        }
+        if (balk) {
+            this.balked += people.length;
+            return false;
+        }
+        for (const person of people) {
+            person.queueJoinTime = time;
+            this.line.push(person);
+        }
+        return true;
+    }
+
+    /**
+     * Leave the line without being admitted (e.g. the person was removed from the simulation).
+     * @param {Object} person
+     * @returns {boolean} true if they were in line
+     */
+    leave(person) {
+        const i = this.line.indexOf(person);
+        if (i < 0) return false;
+        this.line.splice(i, 1);
+        return true;
+    }
+
+    /**
+     * Slot a person in line should stand at (their place in the FIFO order).
+     * @param {number} index - position in line, 0 = head
+     * @returns {THREE.Vector3}
+     */
+    slotAt(index) {
+        return this.slots[Math.min(index, this.slots.length - 1)];
+    }
+
+    /**
+     * Admit the head of the line if they have reached slot 0 and the service rate allows another admission.
+     * @param {number} time - simulated seconds
+     * @returns {Object|null} the admitted person, removed from the line
+     */
+    admit(time) {
+        if (this.line.length === 0 || this.serviceRate <= 0 || time - this._lastAdmitTime < 1 / this.serviceRate) return null;
+        const person = this.line[0];
+        const dx = person.pos.x - this.slots[0].x;
+        const dz = person.pos.z - this.slots[0].z;
+        if (dx * dx + dz * dz >= this.admitRadius * this.admitRadius) return null;
+        this.line.shift();
+        this._lastAdmitTime = time;
+        this.served++;
+        this._recentWaits.push(time - (person.queueJoinTime ?? time));
+        if (this._recentWaits.length > WAIT_HISTORY) this._recentWaits.shift();
+        delete person.queueJoinTime;
+        return person;
+    }
+
+    /**
+     * Mean time (s) from joining to admission over the last WAIT_HISTORY admissions.
+     * @returns {number} 0 before anyone has been admitted
+     */
+    getAverageWait() {
+        const w = this._recentWaits;
+        if (w.length === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < w.length; i++) sum += w[i];
+        return sum / w.length;
+    }
+}
@@ -0,0 +1,105 @@
+const DEFAULT_BIN_SIZE = 2;  // m: bottleneck delay is binned on a square grid of this size
+
+/**
+ * Results of one evacuation run (see CrowdSimulation.startEvacuation): when it started and ended, how many people
+ * left through each exit and when, and where people were held up. A bottleneck is measured as delay: person-seconds
+ * spent moving slower than a fraction of their own max speed, summed per `binSize` square.
+ *
+ * @param {Object} options
+ * @param {number} options.startTime - simulated seconds
+ * @param {number} options.people - people in the simulation when the evacuation started
+ * @param {number} options.exits - number of exits
+ * @param {number} [options.binSize=2] - m
+ */
+export class Evacuation {
+    constructor(options = {}) {
+        const { startTime, people, exits, binSize = DEFAULT_BIN_SIZE } = options;
+        if (!(exits > 0)) throw new Error("Evacuation: needs at least one exit");
+        this.startTime = startTime;
+        /** Simulated seconds when the last person left (or the evacuation was called off); null while running. */
+        this.endTime = null;
+        this.cancelled = false;
+        this.initialPeople = people;
+        this.evacuated = 0;
+        /** Per exit: people out, and the times of the first and last of them (null until the first). */
+        this.exits = [];
+        for (let i = 0; i < exits; i++) this.exits.push({ count: 0, firstTime: null, lastTime: null });
+        this.binSize = binSize;
+        this._delay = new Map(); // "ix,iz" -> person-seconds
+    }
+
+    /** @returns {boolean} true once everyone has left or the evacuation was called off */
+    get finished() {
+        return this.endTime !== null;
+    }
+
+    /**
+     * @param {number} time - simulated seconds now
+     * @returns {number} s since the start, up to the end once finished
+     */
+    getElapsed(time) {
+        return (this.endTime ?? time) - this.startTime;
+    }
+
+    /**
+     * A person left through an exit.
+     * @param {number} exitIndex
+     * @param {number} time - simulated seconds
+     */
+    recordExit(exitIndex, time) {
+        const exit = this.exits[exitIndex];
+        exit.count++;
+        if (exit.firstTime === null) exit.firstTime = time;
+        exit.lastTime = time;
+        this.evacuated++;
+    }
+
+    /**
+     * A person at (x, z) was held up for dt seconds.
+     * @param {number} x
+     * @param {number} z
+     * @param {number} dt - s
+     */
+    recordDelay(x, z, dt) {
+        const key = `${Math.floor(x / this.binSize)},${Math.floor(z / this.binSize)}`;
+        this._delay.set(key, (this._delay.get(key) ?? 0) + dt);
+    }
+
+    /** @param {number} time - simulated seconds when the last person left */
+    finish(time) {
+        if (this.endTime === null) this.endTime = time;
+    }
+
+    /** @param {number} time - simulated seconds when the evacuation was called off with people still on site */
+    cancel(time) {
+        if (this.endTime !== null) return;
+        this.endTime = time;
+        this.cancelled = true;
+    }
+
+    /**
+     * Mean flow through an exit from the start of the evacuation to its last user.
+     * @param {number} exitIndex
+     * @returns {number} people per minute; 0 if nobody used it
+     */
+    getThroughput(exitIndex) {
+        const exit = this.exits[exitIndex];
+        if (exit.count === 0) return 0;
+        return exit.count / Math.max(exit.lastTime - this.startTime, 1e-6) * 60;
+    }
+
+    /**
+     * Bins with the most delay, worst first.
+     * @param {number} [count=5]
+     * @returns {Array<{ x: number, z: number, delay: number }>} bin centres and person-seconds of delay
+     */
+    getBottlenecks(count = 5) {
+        const bins = [];
+        for (const [key, delay] of this._delay) {
+            const [ix, iz] = key.split(',').map(Number);
+            bins.push({ x: (ix + 0.5) * this.binSize, z: (iz + 0.5) * this.binSize, delay });
+        }
+        bins.sort((a, b) => b.delay - a.delay);
+        return bins.slice(0, count);
+    }
+}
@@ -0,0 +1,243 @@
+import { BinaryHeap } from '../utils/BinaryHeap.js';
+import { getShapeDistance } from './collisionShapes.js';
+
+const SQRT2 = Math.SQRT2;
+// 8-neighbourhood: [di, dj]; diagonals last so corner-cutting checks can reuse the orthogonal results
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+const GOAL_SEARCH_RADIUS = 5; // cells searched for a passable cell when a goal lies on an impassable one
+
+/**
+ * Passability over the walkable sampler's height grid, shared by every flow field built on it.
+ * A cell is passable when it has a walkable height, its centre is more than `clearance` from every obstacle shape
+ * and it is at least `clearance` from every blocked segment (fences). Moving between neighbours is only allowed
+ * when their heights differ by at most `maxStepHeight` (scaled by the move length for diagonals).
+ *
+ * @param {ReturnType<import('../utils/walkableSampler.js').createCombinedSampler>} walkableSampler
+ * @param {Object} [options]
+ * @param {import('./collisionShapes.js').CollisionShape[]} [options.obstacleShapes=[]] - e.g. environment collision shapes
+ * @param {Array<[{ x: number, z: number }, { x: number, z: number }]>} [options.blockedSegments=[]] - e.g. fence lines
+ * @param {number} [options.maxStepHeight=0.75] - largest height change between orthogonal neighbours (m)
+ * @param {number} [options.clearance=0.5] - m kept from obstacles and blocked segments
+ * @returns {{ minX: number, minZ: number, cellSize: number, numX: number, numZ: number, heights: Float64Array, passable: Uint8Array, maxStepHeight: number } | null}
+ *   null when the sampler has no height grid
+ */
+export function createFlowGrid(walkableSampler, options = {}) {
+    const grid = walkableSampler.getGrid ? walkableSampler.getGrid() : null;
+    if (!grid) return null;
+    const { obstacleShapes = [], blockedSegments = [], maxStepHeight = 0.75, clearance = 0.5 } = options;
+    const { minX, minZ, cellSize, numX, numZ, heights } = grid;
+    const passable = new Uint8Array(numX * numZ);
+    const clearanceSq = clearance * clearance;
+    for (let i = 0; i < numX; i++) {
+        const cx = minX + (i + 0.5) * cellSize;
+        for (let j = 0; j < numZ; j++) {
+            const idx = i * numZ + j;
+            const h = heights[idx];
+            if (h !== h) continue; // NaN: not walkable
+            const cz = minZ + (j + 0.5) * cellSize;
+            let blocked = false;
+            for (let b = 0; b < obstacleShapes.length && !blocked; b++) {
+                const shape = obstacleShapes[b];
+                blocked = cx >= shape.minX - clearance && cx <= shape.maxX + clearance &&
+                    cz >= shape.minZ - clearance && cz <= shape.maxZ + clearance &&
+                    getShapeDistance(shape, cx, cz) <= clearance;
+            }
+            for (let s = 0; s < blockedSegments.length && !blocked; s++) {
+                const [a, b] = blockedSegments[s];
+                blocked = distSqToSegment(cx, cz, a.x, a.z, b.x, b.z) <= clearanceSq;
+            }
+            if (!blocked) passable[idx] = 1;
+        }
+    }
+    return { minX, minZ, cellSize, numX, numZ, heights, passable, maxStepHeight };
+}
+
+function distSqToSegment(px, pz, ax, az, bx, bz) {
+    const dx = bx - ax, dz = bz - az;
+    const lenSq = dx * dx + dz * dz;
+    const t = lenSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (pz - az) * dz) / lenSq)) : 0;
+    const qx = ax + t * dx - px, qz = az + t * dz - pz;
+    return qx * qx + qz * qz;
+}
+
+/**
+ * True if an agent may move from cell (i, j) to its neighbour (i + di, j + dj): both passable, step height within
+ * limit, and for diagonals both orthogonal cells passable too (no cutting corners of buildings or fence ends).
+ * @param {NonNullable<ReturnType<typeof createFlowGrid>>} grid
+ * @param {number} i
+ * @param {number} j
+ * @param {number} di - -1, 0 or 1
+ * @param {number} dj - -1, 0 or 1
+ * @returns {boolean}
+ */
+export function canMove(grid, i, j, di, dj) {
+    const { numX, numZ, heights, passable, maxStepHeight } = grid;
+    const ni = i + di, nj = j + dj;
+    if (ni < 0 || ni >= numX || nj < 0 || nj >= numZ) return false;
+    const from = i * numZ + j, to = ni * numZ + nj;
+    if (!passable[to]) return false;
+    const diagonal = di !== 0 && dj !== 0;
+    if (diagonal && (!passable[ni * numZ + j] || !passable[i * numZ + nj])) return false;
+    return Math.abs(heights[to] - heights[from]) <= maxStepHeight * (diagonal ? SQRT2 : 1);
+}
+
+/**
+ * Index of the passable cell nearest (x, z), searching up to GOAL_SEARCH_RADIUS cells out when (x, z) itself is
+ * blocked (e.g. a goal just inside a building's collision shape). Points off the grid use the nearest edge cell.
+ * @param {NonNullable<ReturnType<typeof createFlowGrid>>} grid
+ * @param {number} x
+ * @param {number} z
+ * @returns {number} cell index (i * numZ + j), or -1 if none is in range
+ */
+export function nearestPassableCell(grid, x, z) {
+    const { minX, minZ, cellSize, numX, numZ, passable } = grid;
+    const ci = Math.max(0, Math.min(numX - 1, Math.floor((x - minX) / cellSize)));
+    const cj = Math.max(0, Math.min(numZ - 1, Math.floor((z - minZ) / cellSize)));
+    if (passable[ci * numZ + cj]) return ci * numZ + cj;
+    let best = -1, bestDistSq = Infinity;
+    for (let r = 1; r <= GOAL_SEARCH_RADIUS && best < 0; r++) {
+        for (let di = -r; di <= r; di++) {
+            for (let dj = -r; dj <= r; dj++) {
+                if (Math.max(Math.abs(di), Math.abs(dj)) !== r) continue;
+                const i = ci + di, j = cj + dj;
+                if (i < 0 || i >= numX || j < 0 || j >= numZ || !passable[i * numZ + j]) continue;
+                if (di * di + dj * dj < bestDistSq) {
+                    bestDistSq = di * di + dj * dj;
+                    best = i * numZ + j;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Flow field towards a set of goal points over a flow grid (see createFlowGrid): Dijkstra from the goal cells gives
+ * every reachable cell its path distance to the nearest goal, and each cell points at its cheapest neighbour.
+ * Agents anywhere on the grid then steer along sample() instead of straight at the goal, so they walk round
+ * buildings and fences and never take a step that is too high.
+ */
+export class FlowField {
+    /**
+     * @param {NonNullable<ReturnType<typeof createFlowGrid>>} grid
+     * @param {Array<{ x: number, z: number }>} goals - world points; each is moved to the nearest passable cell if needed
+     */
+    constructor(grid, goals) {
+        this.grid = grid;
+        const n = grid.numX * grid.numZ;
+        this.distance = new Float32Array(n).fill(Infinity);
+        this.dirX = new Float32Array(n);
+        this.dirZ = new Float32Array(n);
+        this._build(goals);
+    }
+
+    _build(goals) {
+        const grid = this.grid;
+        const { numZ, cellSize } = grid;
+        const dist = this.distance;
+        const heap = new BinaryHeap();
+        for (const g of goals) {
+            const idx = nearestPassableCell(grid, g.x, g.z);
+            if (idx < 0 || dist[idx] === 0) continue;
+            dist[idx] = 0;
+            heap.push(idx, 0);
+        }
+        const done = new Uint8Array(dist.length);
+        while (heap.size > 0) {
+            const idx = heap.pop();
+            if (done[idx]) continue;
+            done[idx] = 1;
+            const i = Math.floor(idx / numZ), j = idx % numZ;
+            for (let k = 0; k < NEIGHBOURS.length; k++) {
+                const [di, dj] = NEIGHBOURS[k];
+                // Edges are symmetric, so moving from the neighbour to this cell is allowed iff this move is
+                if (!canMove(grid, i, j, di, dj)) continue;
+                const nIdx = (i + di) * numZ + (j + dj);
+                const d = dist[idx] + cellSize * (k < 4 ? 1 : SQRT2);
+                if (d < dist[nIdx]) {
+                    dist[nIdx] = d;
+                    heap.push(nIdx, d);
+                }
+            }
+        }
+
+        // Each reachable cell points at its lowest-distance neighbour (goal cells keep a zero vector)
+        for (let idx = 0; idx < dist.length; idx++) {
+            if (dist[idx] === Infinity || dist[idx] === 0) continue;
+            const i = Math.floor(idx / numZ), j = idx % numZ;
+            let best = dist[idx], bx = 0, bz = 0;
+            for (let k = 0; k < NEIGHBOURS.length; k++) {
+                const [di, dj] = NEIGHBOURS[k];
+                if (!canMove(grid, i, j, di, dj)) continue;
+                const d = dist[(i + di) * numZ + (j + dj)];
+                if (d < best) {
+                    best = d;
+                    bx = di;
+                    bz = dj;
+                }
+            }
+            const len = Math.hypot(bx, bz) || 1;
+            this.dirX[idx] = bx / len;
+            this.dirZ[idx] = bz / len;
+        }
+    }
+
+    _cellIndex(x, z) {
+        const { minX, minZ, cellSize, numX, numZ } = this.grid;
+        const i = Math.floor((x - minX) / cellSize);
+        const j = Math.floor((z - minZ) / cellSize);
+        if (i < 0 || i >= numX || j < 0 || j >= numZ) return -1;
+        return i * numZ + j;
+    }
+
+    /**
+     * Path distance (m) from (x, z) to the nearest goal; Infinity if unreachable or off the grid.
+     * @param {number} x
+     * @param {number} z
+     * @returns {number}
+     */
+    getDistance(x, z) {
+        const idx = this._cellIndex(x, z);
+        return idx < 0 ? Infinity : this.distance[idx];
+    }
+
+    /**
+     * Unit XZ direction to follow at (x, z), bilinearly blended between the four surrounding cell centres so agents
+     * turn smoothly at cell borders. Returns false (out unchanged) in a goal cell or where there is no route.
+     * @param {number} x
+     * @param {number} z
+     * @param {{ x: number, y: number, z: number, set: Function }} out - e.g. THREE.Vector3; y is set to 0
+     * @returns {boolean}
+     */
+    sample(x, z, out) {
+        const { minX, minZ, cellSize, numX, numZ } = this.grid;
+        const own = this._cellIndex(x, z);
+        if (own < 0 || this.distance[own] === Infinity || this.distance[own] === 0) return false;
+        const fx = (x - minX) / cellSize - 0.5;
+        const fz = (z - minZ) / cellSize - 0.5;
+        const i0 = Math.floor(fx), j0 = Math.floor(fz);
+        const tx = fx - i0, tz = fz - j0;
+        let sx = 0, sz = 0;
+        for (let di = 0; di <= 1; di++) {
+            for (let dj = 0; dj <= 1; dj++) {
+                const i = i0 + di, j = j0 + dj;
+                if (i < 0 || i >= numX || j < 0 || j >= numZ) continue;
+                const idx = i * numZ + j;
+                if (this.distance[idx] === Infinity) continue;
+                const w = (di ? tx : 1 - tx) * (dj ? tz : 1 - tz);
+                sx += w * this.dirX[idx];
+                sz += w * this.dirZ[idx];
+            }
+        }
+        let len = Math.hypot(sx, sz);
+        if (len < 1e-6) {
+            // Neighbouring directions cancel out: fall back to the agent's own cell
+            sx = this.dirX[own];
+            sz = this.dirZ[own];
+            len = Math.hypot(sx, sz);
+            if (len < 1e-6) return false;
+        }
+        out.set(sx / len, 0, sz / len);
+        return true;
+    }
+}
@@ -0,0 +1,246 @@
+import * as THREE from "three";
+import { BinaryHeap } from '../utils/BinaryHeap.js';
+import { canMove, nearestPassableCell } from './FlowField.js';
+
+const SQRT2 = Math.SQRT2;
+// 8-neighbourhood: [di, dj]; orthogonal first (cost 1), then diagonals (cost sqrt 2)
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+const LOS_SAMPLES_PER_CELL = 2;  // line-of-sight checks sample a segment this many times per cell length
+
+/**
+ * True if a person can walk the straight segment a -> b on the grid: every cell it crosses is reachable from the
+ * previous one under canMove (passable, step height, no corner cutting).
+ * @param {NonNullable<ReturnType<typeof import('./FlowField.js').createFlowGrid>>} grid
+ * @param {{ x: number, z: number }} a
+ * @param {{ x: number, z: number }} b
+ * @returns {boolean}
+ */
+export function hasLineOfSight(grid, a, b) {
+    const { minX, minZ, cellSize, numZ, passable } = grid;
+    const dx = b.x - a.x, dz = b.z - a.z;
+    const samples = Math.max(1, Math.ceil(Math.hypot(dx, dz) / cellSize * LOS_SAMPLES_PER_CELL));
+    let pi = Math.floor((a.x - minX) / cellSize);
+    let pj = Math.floor((a.z - minZ) / cellSize);
+    for (let s = 1; s <= samples; s++) {
+        const t = s / samples;
+        const i = Math.floor((a.x + dx * t - minX) / cellSize);
+        const j = Math.floor((a.z + dz * t - minZ) / cellSize);
+        if (i === pi && j === pj) continue;
+        const di = i - pi, dj = j - pj;
+        if (Math.abs(di) > 1 || Math.abs(dj) > 1) return false;
+        // Leaving a blocked start cell (e.g. a person pushed against a wall) is allowed; entering one is not
+        if (passable[pi * numZ + pj] ? !canMove(grid, pi, pj, di, dj) : !canMove(grid, i, j, -di, -dj)) return false;
+        pi = i;
+        pj = j;
+    }
+    return true;
+}
+
+/**
+ * String-pull a path: from each kept point, skip ahead to the furthest later point still in line of sight.
+ * @param {NonNullable<ReturnType<typeof import('./FlowField.js').createFlowGrid>>} grid
+ * @param {THREE.Vector3[]} points - start first
+ * @returns {THREE.Vector3[]} the kept points, start first; the last point is always kept
+ */
+export function smoothPath(grid, points) {
+    if (points.length <= 2) return points.slice();
+    const out = [points[0]];
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+        let next = anchor + 1;
+        while (next + 1 < points.length && hasLineOfSight(grid, points[anchor], points[next + 1])) next++;
+        out.push(points[next]);
+        anchor = next;
+    }
+    return out;
+}
+
+/**
+ * A* over a flow grid (see createFlowGrid in FlowField.js) with an octile heuristic, run in time slices: requests
+ * are queued and update() spends at most `expansionsPerStep` node expansions per call, resuming the current search
+ * on the next call. Finished paths are smoothed and written to the agent as `agent.path` (waypoints, start
+ * excluded, ending at the goal) and `agent.pathIndex = 0`, matching the dragonflies' octree paths; `agent.path` is
+ * null when there is no route.
+ *
+ * @param {NonNullable<ReturnType<typeof import('./FlowField.js').createFlowGrid>>} grid
+ * @param {Object} [options]
+ * @param {number} [options.expansionsPerStep=4000] - A* node expansions per update() call
+ * @param {number} [options.maxExpansions=30000] - a search is abandoned (no route) after this many expansions
+ */
+export class PathPlanner {
+    constructor(grid, options = {}) {
+        const { expansionsPerStep = 4000, maxExpansions = 30000 } = options;
+        this.grid = grid;
+        this.expansionsPerStep = expansionsPerStep;
+        this.maxExpansions = maxExpansions;
+        /** Pending requests, oldest first: { agent, goal } */
+        this.queue = [];
+        this._requests = new Map();
+        this._search = null;
+
+        // Search scratch shared by every search; a cell's entries are only valid while its stamp is current
+        const n = grid.numX * grid.numZ;
+        this._gScore = new Float32Array(n);
+        this._parent = new Int32Array(n);
+        this._openStamp = new Uint32Array(n);
+        this._closedStamp = new Uint32Array(n);
+        this._stamp = 0;
+        this._heap = new BinaryHeap();
+    }
+
+    /** @returns {number} requests waiting or being searched */
+    get pendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Queue a path from the agent's position (read when its search starts) to goal. A pending request for the same
+     * agent is updated in place rather than queued twice.
+     * @param {{ pos: THREE.Vector3 }} agent
+     * @param {THREE.Vector3} goal
+     */
+    request(agent, goal) {
+        const pending = this._requests.get(agent);
+        if (pending) {
+            pending.goal.copy(goal);
+            if (this._search && this._search.request === pending) this._search = null; // restart with the new goal
+            return;
+        }
+        const req = { agent, goal: goal.clone() };
+        this._requests.set(agent, req);
+        this.queue.push(req);
+    }
+
+    /**
+     * @param {Object} agent
+     * @returns {boolean} true while the agent has a queued or running request
+     */
+    isPending(agent) {
+        return this._requests.has(agent);
+    }
+
+    /**
+     * Drop the agent's pending request, if any (its current path is left alone).
+     * @param {Object} agent
+     */
+    cancel(agent) {
+        const req = this._requests.get(agent);
+        if (!req) return;
+        this._requests.delete(agent);
+        this.queue.splice(this.queue.indexOf(req), 1);
+        if (this._search && this._search.request === req) this._search = null;
+    }
+
+    /** Start the running search over, e.g. after the grid's passable cells changed; queued requests are kept. */
+    restart() {
+        this._search = null;
+    }
+
+    /** Run queued searches until this step's expansion budget is spent. */
+    update() {
+        let budget = this.expansionsPerStep;
+        while (budget > 0 && this.queue.length > 0) {
+            if (!this._search) this._search = this._startSearch(this.queue[0]);
+            budget -= this._runSearch(this._search, budget);
+            if (this._search.done) {
+                const req = this.queue.shift();
+                this._requests.delete(req.agent);
+                req.agent.path = this._search.path;
+                req.agent.pathIndex = 0;
+                this._search = null;
+            }
+        }
+    }
+
+    _startSearch(request) {
+        const grid = this.grid;
+        const start = request.agent.pos.clone();
+        const startIdx = nearestPassableCell(grid, start.x, start.z);
+        const goalIdx = nearestPassableCell(grid, request.goal.x, request.goal.z);
+        const search = { request, start, startIdx, goalIdx, expansions: 0, done: false, path: null };
+        if (startIdx < 0 || goalIdx < 0) {
+            search.done = true;
+            return search;
+        }
+        if (startIdx === goalIdx) {
+            search.done = true;
+            search.path = [request.goal.clone()];
+            return search;
+        }
+        this._stamp++;
+        this._heap.clear();
+        this._gScore[startIdx] = 0;
+        this._parent[startIdx] = -1;
+        this._openStamp[startIdx] = this._stamp;
+        this._heap.push(startIdx, this._heuristic(startIdx, goalIdx));
+        return search;
+    }
+
+    /** Octile distance (m) between two cells: the exact cost on an open 8-connected grid. */
+    _heuristic(a, b) {
+        const numZ = this.grid.numZ;
+        const di = Math.abs(Math.floor(a / numZ) - Math.floor(b / numZ));
+        const dj = Math.abs((a % numZ) - (b % numZ));
+        return (Math.max(di, dj) + (SQRT2 - 1) * Math.min(di, dj)) * this.grid.cellSize;
+    }
+
+    /**
+     * Expand up to `budget` nodes of a search; marks it done when the goal is reached or the search fails.
+     * @returns {number} expansions used
+     */
+    _runSearch(search, budget) {
+        if (search.done) return 0;
+        const grid = this.grid;
+        const { numZ, cellSize } = grid;
+        const g = this._gScore, parent = this._parent;
+        const open = this._openStamp, closed = this._closedStamp, stamp = this._stamp;
+        const heap = this._heap;
+        let used = 0;
+        while (used < budget) {
+            if (heap.size === 0 || search.expansions >= this.maxExpansions) {
+                search.done = true; // no route (or too far to be worth it)
+                return used;
+            }
+            const idx = heap.pop();
+            if (closed[idx] === stamp) continue; // stale entry
+            closed[idx] = stamp;
+            used++;
+            search.expansions++;
+            if (idx === search.goalIdx) {
+                search.done = true;
+                search.path = this._buildPath(search);
+                return used;
+            }
+            const i = Math.floor(idx / numZ), j = idx % numZ;
+            for (let k = 0; k < NEIGHBOURS.length; k++) {
+                const [di, dj] = NEIGHBOURS[k];
+                if (!canMove(grid, i, j, di, dj)) continue;
+                const nIdx = (i + di) * numZ + (j + dj);
+                if (closed[nIdx] === stamp) continue;
+                const tentative = g[idx] + cellSize * (k < 4 ? 1 : SQRT2);
+                if (open[nIdx] === stamp && tentative >= g[nIdx]) continue;
+                open[nIdx] = stamp;
+                g[nIdx] = tentative;
+                parent[nIdx] = idx;
+                heap.push(nIdx, tentative + this._heuristic(nIdx, search.goalIdx));
+            }
+        }
+        return used;
+    }
+
+    /** Cell chain goal -> start as world points (cell centres on the ground), smoothed, ending at the exact goal. */
+    _buildPath(search) {
+        const { minX, minZ, cellSize, numZ, heights } = this.grid;
+        const points = [];
+        for (let idx = this._parent[search.goalIdx]; idx >= 0 && idx !== search.startIdx; idx = this._parent[idx]) {
+            const i = Math.floor(idx / numZ), j = idx % numZ;
+            points.push(new THREE.Vector3(minX + (i + 0.5) * cellSize, heights[idx], minZ + (j + 0.5) * cellSize));
+        }
+        points.push(search.start);
+        points.reverse();
+        points.push(search.request.goal.clone());
+        const smoothed = smoothPath(this.grid, points);
+        smoothed.shift(); // the start is where the agent already is
+        return smoothed;
+    }
+}
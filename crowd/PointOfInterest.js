@@ -0,0 +1,192 @@
+/**
+ * Something at the festival people walk up to and spend a while at: a lily to photograph, the Dunelm House entrance,
+ * the wave canopy overhead. The simulation keeps a registry of them (see CrowdSimulation.addPointOfInterest) that
+ * visitPointOfInterestActivity scores for wandering people, so a new installation is one more entry rather than new
+ * decision code.
+ *
+ * A visit walks the person (and their group, abreast) to a random spot within `approachRadius` of `position` in
+ * `seekState`; within `arriveRadius` of the spot they switch to `dwellState`, stand still playing `animation` for a
+ * dwell time drawn from `dwell`, then wander on with `satisfaction` taken off their `need`. A point with a `queue`
+ * is visited through that line instead (the simulation's door admits its head; see CrowdSimulation.joinQueue).
+ *
+ * A point with `spots` has a few places to stand instead of the whole approach area: each visitor claims a free spot
+ * and walks to it, or, with every spot taken, waits in `waitState` about `waitDistance` from the point until one is
+ * released (first come, first served) or until they run out of patience after `maxWait` s.
+ *
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {{ x: number, y: number, z: number }} options.position - on or next to walkable ground
+ * @param {number} [options.approachRadius=2] - m: visitors stand at a spot within this of position
+ * @param {number} [options.arriveRadius=1] - m: the visit starts this close to the spot
+ * @param {number} [options.capacity=Infinity] - visitors at once (walking there or dwelling); a group that would not
+ *   fit does not consider the point
+ * @param {[number, number] | ((random: () => number) => number)} [options.dwell=[2, 6]] - s: uniform range, or a
+ *   sampler drawing from the simulation's random source
+ * @param {string} [options.animation='idle'] - what the renderer plays while dwelling: 'idle', 'snap' or 'lookUp'
+ * @param {number} [options.attractiveness=1] - multiplies the need when scoring a visit
+ * @param {string | ((needs: import('./activities.js').Needs) => number)} [options.need='curiosity'] - the need a
+ *   visit answers, by name, or the need-like 0..1 drive to visit computed from all needs
+ * @param {number} [options.satisfaction=0] - taken off the named need when a visit ends
+ * @param {boolean} [options.once=false] - each person visits at most once
+ * @param {number} [options.crowdRadius] - m: people this close count towards crowding; approachRadius + 2 if omitted
+ * @param {string} [options.seekState="SEEK_POI"] - state of people walking there
+ * @param {string} [options.dwellState="VISITING"] - state of people dwelling
+ * @param {import('./EntranceQueue.js').EntranceQueue} [options.queue] - visitors join this line instead
+ * @param {number | Array<{ x: number, y: number, z: number }>} [options.spots=0] - places to stand: that many evenly
+ *   round the point at approachRadius (the first at `spotAngle`), or these positions; 0 = anywhere in the approach area.
+ *   CrowdSimulation.addPointOfInterest drops spots nobody could stand on
+ * @param {number} [options.spotAngle=0] - radians about +Y from +X of the first of a number of spots
+ * @param {number} [options.waitDistance] - m from the point where people wait for a spot; approachRadius + 2 if omitted
+ * @param {number} [options.maxWait=Infinity] - s a person of patience 1 waits for a spot before giving up
+ * @param {string} [options.waitState="WAITING_POI"] - state of people waiting for a spot
+ */
+export class PointOfInterest {
+    constructor(options = {}) {
+        const {
+            name,
+            position,
+            approachRadius = 2,
+            arriveRadius = 1,
+            capacity = Infinity,
+            dwell = [2, 6],
+            animation = 'idle',
+            attractiveness = 1,
+            need = 'curiosity',
+            satisfaction = 0,
+            once = false,
+            crowdRadius = approachRadius + 2,
+            seekState = "SEEK_POI",
+            dwellState = "VISITING",
+            queue = null,
+            spots = 0,
+            spotAngle = 0,
+            waitDistance = approachRadius + 2,
+            maxWait = Infinity,
+            waitState = "WAITING_POI"
+        } = options;
+        if (!position) throw new Error("PointOfInterest: position is required");
+        if (typeof dwell !== 'function' && !(Array.isArray(dwell) && dwell.length === 2)) {
+            throw new Error("PointOfInterest: dwell must be [min, max] or a function");
+        }
+        this.name = name ?? 'point of interest';
+        this.position = position;
+        this.approachRadius = approachRadius;
+        this.arriveRadius = arriveRadius;
+        this.capacity = capacity;
+        this.dwell = dwell;
+        this.animation = animation;
+        this.attractiveness = attractiveness;
+        this.need = need;
+        this.satisfaction = satisfaction;
+        this.once = once;
+        this.crowdRadius = crowdRadius;
+        this.seekState = seekState;
+        this.dwellState = dwellState;
+        this.queue = queue;
+        this.waitDistance = waitDistance;
+        this.maxWait = maxWait;
+        this.waitState = waitState;
+        /** @type {Array<{ x: number, y: number, z: number, occupant: Object | null }>} empty without spots */
+        this.spots = [];
+        if (Array.isArray(spots)) {
+            for (const s of spots) this.spots.push({ x: s.x, y: s.y, z: s.z, occupant: null });
+        } else {
+            for (let i = 0; i < spots; i++) {
+                const angle = spotAngle + i * Math.PI * 2 / spots;
+                this.spots.push({
+                    x: position.x + Math.cos(angle) * approachRadius,
+                    y: position.y,
+                    z: position.z + Math.sin(angle) * approachRadius,
+                    occupant: null
+                });
+            }
+        }
+        /** People waiting for a spot, first come first. */
+        this.waiting = [];
+        /** Set by CrowdSimulation.addPointOfInterest; names the 'poi:<id>' flow field. */
+        this.id = -1;
+        /** People on their way here or dwelling. */
+        this.visitors = new Set();
+        /** Visits completed. */
+        this.visits = 0;
+        /** s spent dwelling over all completed visits. */
+        this.dwellTotal = 0;
+        /** People who stopped waiting for a spot and left without a visit. */
+        this.gaveUp = 0;
+        /** People within crowdRadius at the simulation's last count. */
+        this.crowding = 0;
+    }
+
+    /**
+     * Drive to visit from a person's (or group's) needs, before attractiveness.
+     * @param {import('./activities.js').Needs} needs
+     * @returns {number} 0..1
+     */
+    needOf(needs) {
+        return Math.min(1, typeof this.need === 'function' ? this.need(needs) : needs[this.need] ?? 0);
+    }
+
+    /**
+     * @param {() => number} random - uniform [0,1) source
+     * @returns {number} s to dwell
+     */
+    sampleDwell(random) {
+        if (typeof this.dwell === 'function') return this.dwell(random);
+        const [min, max] = this.dwell;
+        return min + random() * (max - min);
+    }
+
+    /**
+     * Give the person the free spot nearest to them.
+     * @param {Object} person
+     * @returns {number} index into spots, or -1 if all are taken
+     */
+    claimSpot(person) {
+        let best = Infinity, bestIdx = -1;
+        for (let i = 0; i < this.spots.length; i++) {
+            const spot = this.spots[i];
+            if (spot.occupant !== null) continue;
+            const d = (spot.x - person.pos.x) ** 2 + (spot.z - person.pos.z) ** 2;
+            if (d < best) {
+                best = d;
+                bestIdx = i;
+            }
+        }
+        if (bestIdx >= 0) this.spots[bestIdx].occupant = person;
+        return bestIdx;
+    }
+
+    /**
+     * Free the person's spot, if they hold one.
+     * @param {Object} person
+     * @returns {boolean} true if a spot was freed
+     */
+    releaseSpot(person) {
+        for (const spot of this.spots) {
+            if (spot.occupant === person) {
+                spot.occupant = null;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /** @returns {number} spots held by someone (walking to it or dwelling) */
+    get busySpots() {
+        let n = 0;
+        for (const spot of this.spots) if (spot.occupant !== null) n++;
+        return n;
+    }
+
+    /**
+     * True if the person, with a group of groupSize, may start a visit: they have not been before if `once`, and the
+     * group fits under `capacity`.
+     * @param {Object} person - single or group leader
+     * @param {number} groupSize
+     * @returns {boolean}
+     */
+    canVisit(person, groupSize) {
+        if (this.once && person.visitedPointsOfInterest.has(this)) return false;
+        return this.visitors.size + groupSize <= this.capacity;
+    }
+}
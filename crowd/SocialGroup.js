@@ -0,0 +1,104 @@
+const DEFAULT_GROUP_SPACING = 1.0;  // m between neighbouring members in formation
+
+/**
+ * Draw a group size from relative weights.
+ * @param {Object<number, number>} weights - weight per group size, e.g. { 1: 0.4, 2: 0.35, 3: 0.15 }; need not sum to 1
+ * @param {() => number} random - uniform [0,1) source
+ * @returns {number} a size with positive weight, or 1 if there is none
+ */
+export function sampleGroupSize(weights, random) {
+    let total = 0;
+    for (const size in weights) {
+        if (weights[size] > 0) total += weights[size];
+    }
+    if (total <= 0) return 1;
+    let roll = random() * total;
+    let last = 1;
+    for (const size in weights) {
+        if (!(weights[size] > 0)) continue;
+        last = Math.max(1, Math.floor(Number(size)));
+        roll -= weights[size];
+        if (roll < 0) return last;
+    }
+    return last; // floating point: roll landed on the total
+}
+
+/**
+ * Expected group size under sampleGroupSize.
+ * @param {Object<number, number>} weights - weight per group size
+ * @returns {number} 1 if no size has positive weight
+ */
+export function meanGroupSize(weights) {
+    let total = 0, sum = 0;
+    for (const size in weights) {
+        if (!(weights[size] > 0)) continue;
+        total += weights[size];
+        sum += weights[size] * Math.max(1, Math.floor(Number(size)));
+    }
+    return total > 0 ? sum / total : 1;
+}
+
+/**
+ * Couple, family or friend group that walks and decides together. The first member is the leader: only the leader
+ * makes decisions, and followers keep formation around them (see CrowdSimulation).
+ * @param {number} id
+ * @param {Object[]} [members=[]] - leader first
+ * @param {number} [spacing=1.0] - m between neighbouring members in formation
+ */
+export class SocialGroup {
+    constructor(id, members = [], spacing = DEFAULT_GROUP_SPACING) {
+        this.id = id;
+        /** Leader first. */
+        this.members = members;
+        this.spacing = spacing;
+        /** Unit XZ direction the formation faces (the leader's last clear walking direction); 0, 0 until known. */
+        this.headingX = 0;
+        this.headingZ = 0;
+    }
+
+    /** @returns {Object | undefined} the member who decides for the group */
+    get leader() {
+        return this.members[0];
+    }
+
+    /** @returns {number} */
+    get size() {
+        return this.members.length;
+    }
+
+    /**
+     * @param {Object} person
+     * @returns {boolean} true if person was a member (the next member leads if it was the leader)
+     */
+    remove(person) {
+        const i = this.members.indexOf(person);
+        if (i < 0) return false;
+        this.members.splice(i, 1);
+        return true;
+    }
+
+    /**
+     * Formation offset of member `index` relative to the leader, who walks along (headingX, headingZ). Members
+     * alternate right and left of the leader, side by side (abreast); when `abreast` is false they trail in single
+     * file behind the leader instead.
+     * @param {number} index - member index, 1 = first follower
+     * @param {number} headingX - unit walking direction of the leader
+     * @param {number} headingZ
+     * @param {boolean} abreast
+     * @param {{ x: number, z: number }} out - receives the XZ offset
+     * @returns {{ x: number, z: number }} out
+     */
+    formationOffset(index, headingX, headingZ, abreast, out) {
+        if (abreast) {
+            const rank = Math.ceil(index / 2) * this.spacing;
+            const side = index % 2 === 1 ? 1 : -1;
+            // Right of the heading is (-headingZ, headingX) in XZ
+            out.x = -headingZ * rank * side;
+            out.z = headingX * rank * side;
+        } else {
+            out.x = -headingX * index * this.spacing;
+            out.z = -headingZ * index * this.spacing;
+        }
+        return out;
+    }
+}
@@ -0,0 +1,165 @@
+import * as THREE from "three";
+import { WALK_PHASE_PER_UNIT } from './CrowdSimulation.js';
+import { TRAJECTORY_STRIDE } from './TrajectoryRecorder.js';
+import { AGENT_PROFILES } from './profiles.js';
+
+/**
+ * Plays back a recording (see parseTrajectory) as stand-in people that the crowd renderer draws instead of the
+ * simulation's: each has `pos`, `prevPosition`, `facingAngle`, `state`, `lodTier`, appearance (with the body scale
+ * and stride of their recorded agent profile) and the walk and dwell animation fields the renderer reads (SNAPPING
+ * plays the lily photo; other dwell states are not told apart from standing still). The playhead
+ * is a fractional frame index; `alpha` interpolates between the current frame (prevPosition) and the next (pos), like
+ * SimulationClock.alpha between steps.
+ *
+ * @param {{ header: Object, frames: Array<{ tick: number, time: number, data: Float32Array }> }} recording - from
+ *   parseTrajectory or TrajectoryRecorder.toRecording
+ */
+export class TrajectoryPlayer {
+    constructor(recording) {
+        const { header, frames } = recording;
+        if (frames.length === 0) throw new Error("TrajectoryPlayer: the recording has no frames");
+        this.header = header;
+        this.frames = frames;
+        this.step = header.step;
+        /** Fractional frame index of the playhead. */
+        this.cursor = 0;
+        /** Playback rate as a multiple of real time. */
+        this.speed = 1;
+        this.loop = true;
+        this.playing = true;
+        /** Live array of the stand-in people in the current frame. */
+        this.people = [];
+        /** Stand-ins that left the frame in the last update; callers dispose their render meshes. */
+        this.despawned = [];
+        this._ghosts = new Map();
+        this._frame = -1;
+        this._nextOffsets = new Map();
+        this._apply();
+    }
+
+    /** @returns {number} */
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    /** @returns {number} 0..1 between the current frame and the next */
+    get alpha() {
+        return this.cursor - Math.floor(this.cursor);
+    }
+
+    /** @returns {number} simulated seconds of the current frame */
+    get time() {
+        return this.frames[Math.floor(this.cursor)].time;
+    }
+
+    /**
+     * Move the playhead on by dt seconds of real time at `speed`, looping or stopping at the end.
+     * @param {number} dt - s
+     */
+    advance(dt) {
+        if (!this.playing) return;
+        const last = this.frames.length - 1;
+        this.cursor += dt * this.speed / this.step;
+        if (this.cursor >= last) {
+            if (this.loop && last > 0) {
+                this.cursor %= last;
+            } else {
+                this.cursor = last;
+                this.playing = false;
+            }
+        }
+        this._apply();
+    }
+
+    /**
+     * Jump to a frame.
+     * @param {number} frame - fractional frame index; clamped to the recording
+     */
+    seek(frame) {
+        this.cursor = Math.max(0, Math.min(this.frames.length - 1, frame));
+        this._apply();
+    }
+
+    /** Set every stand-in from the current frame (positions) and the next (targets of the interpolation). */
+    _apply() {
+        const index = Math.floor(this.cursor);
+        this.despawned.length = 0;
+        if (index === this._frame) return;
+        const contiguous = index === this._frame + 1;
+        this._frame = index;
+        const data = this.frames[index].data;
+        const next = this.frames[Math.min(index + 1, this.frames.length - 1)].data;
+        const nextOffsets = this._nextOffsets;
+        nextOffsets.clear();
+        for (let o = 0; o < next.length; o += TRAJECTORY_STRIDE) nextOffsets.set(next[o], o);
+
+        const states = this.header.states;
+        const seen = new Set();
+        this.people.length = 0;
+        for (let o = 0; o < data.length; o += TRAJECTORY_STRIDE) {
+            const id = data[o];
+            const ghost = this._ghost(id);
+            const state = states[data[o + 5]];
+            ghost.prevPosition.set(data[o + 1], data[o + 2], data[o + 3]);
+            const n = nextOffsets.get(id);
+            const src = n !== undefined ? next : data;
+            const so = n !== undefined ? n : o;
+            ghost.pos.set(src[so + 1], src[so + 2], src[so + 3]);
+            ghost.facingAngle = src[so + 4];
+            ghost._displacement = Math.hypot(ghost.pos.x - ghost.prevPosition.x, ghost.pos.z - ghost.prevPosition.z);
+            ghost._walkPhase += ghost._displacement * WALK_PHASE_PER_UNIT / ghost.strideScale;
+            if (state === "SNAPPING") {
+                if (ghost.state === "SNAPPING" && contiguous) {
+                    ghost.dwellTime += this.step;
+                } else {
+                    ghost.dwellTime = 0;
+                    ghost.snapFlashDone = false;
+                }
+            }
+            ghost.dwellAnimation = state === "SNAPPING" ? 'snap' : null;
+            ghost.state = state;
+            ghost.lodTier = data[o + 6];
+            seen.add(id);
+            this.people.push(ghost);
+        }
+        for (const [id, ghost] of this._ghosts) {
+            if (seen.has(id)) continue;
+            this._ghosts.delete(id);
+            this.despawned.push(ghost);
+        }
+    }
+
+    _ghost(id) {
+        let ghost = this._ghosts.get(id);
+        if (ghost) return ghost;
+        const appearance = this.header.agents?.[id] ?? {};
+        const profile = AGENT_PROFILES[appearance.profile];
+        const bodyScale = appearance.bodyScale ?? 1;
+        ghost = {
+            id,
+            pos: new THREE.Vector3(),
+            prevPosition: new THREE.Vector3(),
+            facingAngle: 0,
+            bankAngle: 0,
+            state: null,
+            lodTier: 1,
+            bodyColor: new THREE.Color(appearance.color ?? 0xffffff),
+            appearanceSeed: appearance.appearanceSeed,
+            profile: appearance.profile,
+            bodyScale,
+            strideScale: bodyScale * (profile?.stride ?? 1),
+            strideSwing: profile?.swing,
+            mesh: null,
+            parts: null,
+            _walkPhase: 0,
+            _displacement: 0,
+            dwellAnimation: null,
+            dwellTime: 0,
+            snapFlashDone: false,
+            getPhone: () => null,
+            triggerFlash: () => { }
+        };
+        this._ghosts.set(id, ghost);
+        return ghost;
+    }
+}
@@ -0,0 +1,174 @@
+export const TRAJECTORY_FORMAT = 'durham-lumiere-trajectory';
+export const TRAJECTORY_VERSION = 1;
+/** Render tiers a recorded person can be in, by code. */
+export const LOD_TIERS = ['close', 'mid', 'culled', 'hidden'];
+/** Numbers per person per tick: id, x, y, z, facing, state code, LOD tier code. */
+export const TRAJECTORY_STRIDE = 7;
+
+const DEFAULT_MAX_DURATION = 300;     // s of simulated time kept before recording stops
+const DEFAULT_MAX_SAMPLES = 5400000;  // person-ticks kept before recording stops: 600 people for 300 s, about 150 MB
+const POSITION_DECIMALS = 1000;       // positions and facing are written rounded to 1/this
+
+/**
+ * Records every person's position, facing, state and LOD tier once per simulation tick, and writes the run as JSON
+ * lines: a header line (format, version, tick length, state and tier tables, per-person appearance and agent profile,
+ * and the caller's scenario metadata) followed by one line per tick, `{ tick, time, agents }`, where `agents` is a
+ * flat array of TRAJECTORY_STRIDE numbers per person. Frames are kept as Float32Arrays while recording.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxDuration=300] - s of simulated time; ticks beyond it are dropped and `full` is set
+ * @param {number} [options.maxSamples=5400000] - person-ticks over all frames; a tick that would go beyond it is
+ *   dropped and `full` is set, so a large crowd records for less than maxDuration
+ * @param {(person: Object) => number} [options.lodTierOf] - LOD_TIERS index of a person; 'mid' if omitted
+ */
+export class TrajectoryRecorder {
+    constructor(options = {}) {
+        const { maxDuration = DEFAULT_MAX_DURATION, maxSamples = DEFAULT_MAX_SAMPLES, lodTierOf = () => 1 } = options;
+        this.maxDuration = maxDuration;
+        this.maxSamples = maxSamples;
+        this.lodTierOf = lodTierOf;
+        this.recording = false;
+        /** True once maxDuration or maxSamples was reached (recording stopped adding ticks). */
+        this.full = false;
+        this.clear();
+    }
+
+    /** Drop everything recorded. */
+    clear() {
+        this.frames = [];
+        this.samples = 0;
+        this.scenario = {};
+        this.step = 0;
+        this.full = false;
+        this._states = [];
+        this._stateCodes = new Map();
+        this._appearance = new Map(); // id -> { appearanceSeed, color, profile, bodyScale }
+    }
+
+    /**
+     * Start a new recording.
+     * @param {number} step - s per simulation tick
+     * @param {Object} [scenario={}] - metadata stored in the header (seed, parameters, ...)
+     */
+    start(step, scenario = {}) {
+        this.clear();
+        this.step = step;
+        this.scenario = scenario;
+        this.recording = true;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    /** @returns {number} s of simulated time recorded */
+    get duration() {
+        return this.frames.length * this.step;
+    }
+
+    /**
+     * Record one tick (call after the simulation step).
+     * @param {number} tick
+     * @param {number} time - simulated seconds
+     * @param {Object[]} people
+     */
+    capture(tick, time, people) {
+        if (!this.recording || this.full) return;
+        if (this.duration >= this.maxDuration || this.samples + people.length > this.maxSamples) {
+            this.full = true;
+            return;
+        }
+        this.samples += people.length;
+        const data = new Float32Array(people.length * TRAJECTORY_STRIDE);
+        for (let i = 0; i < people.length; i++) {
+            const p = people[i];
+            const o = i * TRAJECTORY_STRIDE;
+            data[o] = p.id;
+            data[o + 1] = p.pos.x;
+            data[o + 2] = p.pos.y;
+            data[o + 3] = p.pos.z;
+            data[o + 4] = p.facingAngle;
+            data[o + 5] = this._stateCode(p.state);
+            data[o + 6] = this.lodTierOf(p);
+            if (!this._appearance.has(p.id)) {
+                this._appearance.set(p.id, {
+                    appearanceSeed: p.appearanceSeed,
+                    color: p.bodyColor?.getHex() ?? 0xffffff,
+                    profile: p.profile,
+                    bodyScale: p.bodyScale
+                });
+            }
+        }
+        this.frames.push({ tick, time, data });
+    }
+
+    _stateCode(state) {
+        let code = this._stateCodes.get(state);
+        if (code === undefined) {
+            code = this._states.length;
+            this._states.push(state);
+            this._stateCodes.set(state, code);
+        }
+        return code;
+    }
+
+    /**
+     * The recording in the form parseTrajectory returns, sharing the recorded frames.
+     * @returns {{ header: Object, frames: Array<{ tick: number, time: number, data: Float32Array }> }}
+     */
+    toRecording() {
+        const agents = {};
+        for (const [id, appearance] of this._appearance) agents[id] = appearance;
+        const header = {
+            format: TRAJECTORY_FORMAT,
+            version: TRAJECTORY_VERSION,
+            step: this.step,
+            ticks: this.frames.length,
+            states: this._states,
+            lodTiers: LOD_TIERS,
+            stride: TRAJECTORY_STRIDE,
+            agents,
+            scenario: this.scenario
+        };
+        return { header, frames: this.frames };
+    }
+
+    /**
+     * The recording as JSON lines (see the class comment), one string per line with its newline, so a long recording
+     * never has to fit in one string: pass them to `new Blob(lines)`, or write them one by one to a stream.
+     * @returns {string[]}
+     */
+    toJSONLines() {
+        const { header, frames } = this.toRecording();
+        const lines = [JSON.stringify(header) + '\n'];
+        for (const frame of frames) {
+            const values = new Array(frame.data.length);
+            for (let k = 0; k < frame.data.length; k++) {
+                const field = k % TRAJECTORY_STRIDE;
+                values[k] = field >= 1 && field <= 4 ? Math.round(frame.data[k] * POSITION_DECIMALS) / POSITION_DECIMALS : frame.data[k];
+            }
+            lines.push(JSON.stringify({ tick: frame.tick, time: Math.round(frame.time * 1e4) / 1e4, agents: values }) + '\n');
+        }
+        return lines;
+    }
+}
+
+/**
+ * Read a recording written by TrajectoryRecorder.toJSONLines (its lines joined, as in a saved file).
+ * @param {string} text
+ * @returns {{ header: Object, frames: Array<{ tick: number, time: number, data: Float32Array }> }}
+ */
+export function parseTrajectory(text) {
+    const lines = text.split('\n').filter((line) => line.trim() !== '');
+    if (lines.length === 0) throw new Error("parseTrajectory: empty recording");
+    const header = JSON.parse(lines[0]);
+    if (header.format !== TRAJECTORY_FORMAT) throw new Error("parseTrajectory: not a trajectory recording");
+    if (header.version > TRAJECTORY_VERSION) throw new Error(`parseTrajectory: unsupported version ${header.version}`);
+    if (header.stride !== TRAJECTORY_STRIDE) throw new Error(`parseTrajectory: unexpected stride ${header.stride}`);
+    const frames = [];
+    for (let i = 1; i < lines.length; i++) {
+        const { tick, time, agents } = JSON.parse(lines[i]);
+        frames.push({ tick, time, data: Float32Array.from(agents) });
+    }
+    return { header, frames };
+}
@@ -0,0 +1,193 @@
+/**
+ * Needs and activities for utility-based decisions. Every person carries `needs` (0..1 each) that grow or fall with
+ * what they are doing; a wandering person (or group leader) periodically scores every registered activity and takes
+ * up the best one if it beats carrying on wandering (see CrowdSimulation.updateDecision).
+ *
+ * An activity's utility is need x distance factor x crowding factor: nearer and emptier options score higher, and
+ * tired people weigh distance more heavily. New behaviours plug in as further ActivityDefinitions.
+ */
+
+// Need change per simulated second (positive = grows)
+const CURIOSITY_RATE = 1 / 240;       // outdoors, not dwelling at a point of interest
+const INDOORS_RATE = 1 / 400;         // outdoors
+const FATIGUE_RATE = 1 / 300;         // while walking (anything but dwelling or INSIDE)
+const FATIGUE_RECOVERY = 1 / 20;      // inside Dunelm House
+const INDOORS_RECOVERY = 1 / 10;      // inside Dunelm House
+const HOME_RATE = 1 / 1200;           // always: the longer the evening, the more people want to go home
+export const PHOTO_SATISFACTION = 0.6; // curiosity used up by one lily photo
+
+const DISTANCE_COST = 0.02;           // per m; doubled for a fully tired person
+const CROWDING_COST = 0.15;           // per person already at the point of interest / in line
+export const QUEUE_COOLDOWN = 2.5;    // s after trying the queue (e.g. balking) before trying again
+const LEAVE_FATIGUE_WEIGHT = 0.25;    // share of fatigue added to wanting to go home
+const EXIT_PREFERENCE_SPREAD = 0.5;   // exits are compared by distance x a random factor in [1, 1 + this]
+
+/**
+ * @typedef {Object} Needs
+ * @property {number} curiosity - wants to see the installations (photograph lilies, look at the canopy)
+ * @property {number} fatigue - tired of walking; makes distant activities less attractive
+ * @property {number} indoors - wants to go into Dunelm House
+ * @property {number} home - wants to leave the festival (only acted on in an open population)
+ */
+
+/**
+ * @typedef {Object} ActivityDefinition
+ * @property {string} name
+ * @property {(sim: import('./CrowdSimulation.js').CrowdSimulation, person: Object, needs: Needs) =>
+ *   { score: number, option: * } | null} evaluate - best option of this activity for the person and its utility, or
+ *   null when it is not available. `needs` are the deciding needs (the group's mean for a group leader).
+ * @property {(sim: import('./CrowdSimulation.js').CrowdSimulation, person: Object, option: *) => boolean} start -
+ *   begin the activity with the chosen option (for the person's whole group); false if it could not start
+ */
+
+/**
+ * Starting needs, drawn so that people do not all want the same thing at once.
+ * @param {() => number} random - uniform [0,1) source
+ * @returns {Needs}
+ */
+export function createNeeds(random) {
+    return {
+        curiosity: random() * 0.6,
+        fatigue: random() * 0.3,
+        indoors: random() * 0.4,
+        home: random() * 0.2
+    };
+}
+
+/**
+ * Grow or recover needs for `dt` seconds spent in `state`.
+ * @param {Needs} needs
+ * @param {string} state
+ * @param {number} dt - s
+ * @param {number} [photoInterest=1] - multiplies the growth of curiosity (see profiles.js)
+ * @param {boolean} [dwelling=false] - standing at a point of interest: neither curiosity nor fatigue grows
+ */
+export function updateNeeds(needs, state, dt, photoInterest = 1, dwelling = false) {
+    needs.home = Math.min(1, needs.home + HOME_RATE * dt);
+    if (state === "INSIDE") {
+        needs.fatigue = Math.max(0, needs.fatigue - FATIGUE_RECOVERY * dt);
+        needs.indoors = Math.max(0, needs.indoors - INDOORS_RECOVERY * dt);
+        return;
+    }
+    needs.indoors = Math.min(1, needs.indoors + INDOORS_RATE * dt);
+    if (!dwelling) {
+        needs.curiosity = Math.min(1, needs.curiosity + CURIOSITY_RATE * photoInterest * dt);
+        needs.fatigue = Math.min(1, needs.fatigue + FATIGUE_RATE * dt);
+    }
+}
+
+/**
+ * A visit is over: the need it answered is partly satisfied.
+ * @param {Needs} needs
+ * @param {string} need - e.g. 'curiosity'
+ * @param {number} amount
+ */
+export function satisfyNeed(needs, need, amount) {
+    if (needs[need] !== undefined) needs[need] = Math.max(0, needs[need] - amount);
+}
+
+/**
+ * Mean needs of a group (or the person's own needs when alone).
+ * @param {Object} person
+ * @param {Needs} out
+ * @returns {Needs} out
+ */
+export function getDecisionNeeds(person, out) {
+    const members = person.group ? person.group.members : [person];
+    out.curiosity = 0;
+    out.fatigue = 0;
+    out.indoors = 0;
+    out.home = 0;
+    for (const m of members) {
+        out.curiosity += m.needs.curiosity;
+        out.fatigue += m.needs.fatigue;
+        out.indoors += m.needs.indoors;
+        out.home += m.needs.home;
+    }
+    out.curiosity /= members.length;
+    out.fatigue /= members.length;
+    out.indoors /= members.length;
+    out.home /= members.length;
+    return out;
+}
+
+/**
+ * Utility of an option: need, discounted by walking distance (more so when tired) and by crowding.
+ * @param {number} need - 0..1
+ * @param {number} distance - m
+ * @param {number} crowding - people already there
+ * @param {number} fatigue - 0..1
+ * @returns {number}
+ */
+export function scoreOption(need, distance, crowding, fatigue) {
+    return need / (1 + distance * DISTANCE_COST * (1 + fatigue)) / (1 + crowding * CROWDING_COST);
+}
+
+/**
+ * Visit a point of interest (see PointOfInterest.js): scores every point the deciding person's group may visit by its
+ * need times attractiveness, discounted by the walk there (to the back of the line for a queue) and by its crowding
+ * (the line's length for a queue). A queue is not tried again within QUEUE_COOLDOWN s of the last try.
+ * @type {ActivityDefinition}
+ */
+export const visitPointOfInterestActivity = {
+    name: "visitPointOfInterest",
+    evaluate(sim, person, needs) {
+        const points = sim.pointsOfInterest;
+        const groupSize = person.group ? person.group.size : 1;
+        const queueCooling = sim.time - (person.lastQueueTime ?? -QUEUE_COOLDOWN) <= QUEUE_COOLDOWN;
+        let best = -Infinity, bestPoint = null;
+        for (let i = 0; i < points.length; i++) {
+            const poi = points[i];
+            if ((poi.queue && queueCooling) || !poi.canVisit(person, groupSize)) continue;
+            const approach = poi.queue ? poi.queue.slotAt(poi.queue.length) : poi.position;
+            const distance = Math.hypot(approach.x - person.pos.x, approach.z - person.pos.z);
+            const crowding = poi.queue ? poi.queue.length : poi.crowding;
+            const score = scoreOption(poi.needOf(needs) * poi.attractiveness, distance, crowding, needs.fatigue);
+            if (score > best) {
+                best = score;
+                bestPoint = poi;
+            }
+        }
+        return bestPoint ? { score: best, option: bestPoint } : null;
+    },
+    start(sim, person, poi) {
+        if (poi.queue) {
+            person.lastQueueTime = sim.time;
+            return sim.joinQueue(person);
+        }
+        sim.startVisit(person, poi);
+        return true;
+    }
+};
+
+/**
+ * Go home through one of the simulation's exits (open population only): scored by wanting to go home, plus some
+ * fatigue, but not discounted by distance since everyone has to leave somehow. The exit is the nearest after a random
+ * per-decision preference, so people do not all take the same one.
+ * @type {ActivityDefinition}
+ */
+export const leaveFestivalActivity = {
+    name: "leaveFestival",
+    evaluate(sim, person, needs) {
+        if (!sim.params.population.open || sim.exits.length === 0) return null;
+        let best = Infinity, bestIdx = -1;
+        for (let i = 0; i < sim.exits.length; i++) {
+            const exit = sim.exits[i];
+            const cost = Math.hypot(exit.x - person.pos.x, exit.z - person.pos.z) * (1 + sim.rng.random() * EXIT_PREFERENCE_SPREAD);
+            if (cost < best) {
+                best = cost;
+                bestIdx = i;
+            }
+        }
+        return { score: Math.min(1, needs.home + LEAVE_FATIGUE_WEIGHT * needs.fatigue), option: bestIdx };
+    },
+    start(sim, person, exitIndex) {
+        sim.startLeaving(person, exitIndex);
+        return true;
+    }
+};
+
+/** @returns {ActivityDefinition[]} the festival's built-in activities */
+export function createDefaultActivities() {
+    return [visitPointOfInterestActivity, leaveFestivalActivity];
+}
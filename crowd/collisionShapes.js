@@ -0,0 +1,276 @@
+/**
+ * Collision shapes of environment objects, in the XZ plane with a height range: a convex polygon (the hull of a
+ * building's or railing's footprint, so a rotated box stays a rotated box) or a chain of capsules along a polyline
+ * (a fence). Either is inflated by `radius`, which rounds a polygon's corners by the margin kept round it and is a
+ * capsule's half-width. Distances are signed: negative inside the shape.
+ */
+
+/**
+ * @typedef {Object} CollisionShape
+ * @property {'polygon' | 'chain'} kind
+ * @property {Float64Array} points - x, z pairs: the polygon's corners, counter-clockwise in (x, z), or the chain's
+ *   polyline
+ * @property {number} radius - m the shape reaches beyond `points`
+ * @property {number} minY
+ * @property {number} maxY
+ * @property {number} minX - XZ bounds, radius included
+ * @property {number} maxX
+ * @property {number} minZ
+ * @property {number} maxZ
+ */
+
+/**
+ * Closest point on a shape's surface and the outward normal there; written by getShapeDistance.
+ * @typedef {{ x: number, z: number, nx: number, nz: number }} ShapeContact
+ */
+
+const _contact = { x: 0, z: 0, nx: 0, nz: 0 };
+
+/**
+ * Convex hull of points in XZ, inflated by margin; fewer than three distinct corners give a chain instead.
+ * @param {Array<{ x: number, z: number }>} points - e.g. world corners of an object's meshes
+ * @param {Object} [options]
+ * @param {number} [options.margin=0] - m kept clear round the hull
+ * @param {number} [options.minY=-Infinity]
+ * @param {number} [options.maxY=Infinity]
+ * @returns {CollisionShape}
+ */
+export function createConvexShape(points, options = {}) {
+    const { margin = 0, minY = -Infinity, maxY = Infinity } = options;
+    if (points.length === 0) throw new Error("createConvexShape: no points");
+    const hull = convexHull(points);
+    return createShape(hull.length >= 3 ? 'polygon' : 'chain', hull, margin, minY, maxY);
+}
+
+/**
+ * Capsules of the given radius along a polyline, as built by createFence between its control points.
+ * @param {Array<{ x: number, z: number }>} points - length >= 1
+ * @param {number} radius - m: half the fence width plus any margin
+ * @param {Object} [options]
+ * @param {number} [options.minY=-Infinity]
+ * @param {number} [options.maxY=Infinity]
+ * @returns {CollisionShape}
+ */
+export function createCapsuleChainShape(points, radius, options = {}) {
+    const { minY = -Infinity, maxY = Infinity } = options;
+    if (points.length === 0) throw new Error("createCapsuleChainShape: no points");
+    return createShape('chain', points, radius, minY, maxY);
+}
+
+/**
+ * The XZ footprint of an axis-aligned box, for environment objects that only have `userData.boundingBox`.
+ * @param {{ min: { x: number, y: number, z: number }, max: { x: number, y: number, z: number } }} box
+ * @returns {CollisionShape}
+ */
+export function createBoxShape(box) {
+    const { min, max } = box;
+    return createConvexShape([
+        { x: min.x, z: min.z }, { x: max.x, z: min.z }, { x: max.x, z: max.z }, { x: min.x, z: max.z }
+    ], { minY: min.y, maxY: max.y });
+}
+
+function createShape(kind, points, radius, minY, maxY) {
+    const flat = new Float64Array(points.length * 2);
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    for (let i = 0; i < points.length; i++) {
+        const { x, z } = points[i];
+        flat[i * 2] = x;
+        flat[i * 2 + 1] = z;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minZ = Math.min(minZ, z);
+        maxZ = Math.max(maxZ, z);
+    }
+    return {
+        kind,
+        points: flat,
+        radius,
+        minY,
+        maxY,
+        minX: minX - radius,
+        maxX: maxX + radius,
+        minZ: minZ - radius,
+        maxZ: maxZ + radius
+    };
+}
+
+/** Andrew's monotone chain; drops collinear points. */
+function convexHull(points) {
+    const sorted = points.map(p => ({ x: p.x, z: p.z })).sort((a, b) => a.x - b.x || a.z - b.z);
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 1e-12) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 1e-12) upper.pop();
+        upper.push(p);
+    }
+    lower.pop();
+    upper.pop();
+    const hull = lower.concat(upper);
+    return hull.length > 0 ? hull : [sorted[0]];
+}
+
+/**
+ * Signed distance in XZ from (x, z) to the shape's surface, ignoring its height range.
+ * @param {CollisionShape} shape
+ * @param {number} x
+ * @param {number} z
+ * @param {ShapeContact} [out] - receives the closest surface point and the outward unit normal there
+ * @returns {number} m; negative inside
+ */
+export function getShapeDistance(shape, x, z, out = _contact) {
+    const pts = shape.points;
+    const n = pts.length / 2;
+    let dist;
+    if (shape.kind === 'polygon') {
+        // Inside: the nearest edge line; outside: the nearest edge
+        let maxLine = -Infinity, lineNx = 0, lineNz = 0;
+        let best = Infinity, bestDx = 0, bestDz = 0, bestNx = 0, bestNz = 0;
+        for (let i = 0; i < n; i++) {
+            const ax = pts[i * 2], az = pts[i * 2 + 1];
+            const j = (i + 1) % n;
+            const ex = pts[j * 2] - ax, ez = pts[j * 2 + 1] - az;
+            const len = Math.hypot(ex, ez);
+            if (len < 1e-12) continue;
+            const nx = ez / len, nz = -ex / len;
+            const line = (x - ax) * nx + (z - az) * nz;
+            if (line > maxLine) {
+                maxLine = line;
+                lineNx = nx;
+                lineNz = nz;
+            }
+            const t = Math.max(0, Math.min(1, ((x - ax) * ex + (z - az) * ez) / (len * len)));
+            const dx = x - (ax + t * ex), dz = z - (az + t * ez);
+            const d = dx * dx + dz * dz;
+            if (d < best) {
+                best = d;
+                bestDx = dx;
+                bestDz = dz;
+                bestNx = nx;
+                bestNz = nz;
+            }
+        }
+        if (maxLine <= 0) {
+            dist = maxLine;
+            out.nx = lineNx;
+            out.nz = lineNz;
+        } else {
+            dist = Math.sqrt(best);
+            out.nx = dist > 1e-12 ? bestDx / dist : bestNx;
+            out.nz = dist > 1e-12 ? bestDz / dist : bestNz;
+        }
+    } else {
+        let best = Infinity, bestDx = 0, bestDz = 0, bestEx = 1, bestEz = 0;
+        for (let i = 0; i < Math.max(1, n - 1); i++) {
+            const ax = pts[i * 2], az = pts[i * 2 + 1];
+            const j = Math.min(i + 1, n - 1);
+            const ex = pts[j * 2] - ax, ez = pts[j * 2 + 1] - az;
+            const lenSq = ex * ex + ez * ez;
+            const t = lenSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * ex + (z - az) * ez) / lenSq)) : 0;
+            const dx = x - (ax + t * ex), dz = z - (az + t * ez);
+            const d = dx * dx + dz * dz;
+            if (d < best) {
+                best = d;
+                bestDx = dx;
+                bestDz = dz;
+                if (lenSq > 0) {
+                    bestEx = ex;
+                    bestEz = ez;
+                }
+            }
+        }
+        dist = Math.sqrt(best);
+        if (dist > 1e-12) {
+            out.nx = bestDx / dist;
+            out.nz = bestDz / dist;
+        } else {
+            // On the polyline: either side of the segment will do
+            const len = Math.hypot(bestEx, bestEz);
+            out.nx = bestEz / len;
+            out.nz = -bestEx / len;
+        }
+    }
+    dist -= shape.radius;
+    out.x = x - out.nx * dist;
+    out.z = z - out.nz * dist;
+    return dist;
+}
+
+/**
+ * @param {CollisionShape} shape
+ * @param {{ x: number, y: number, z: number }} point
+ * @returns {boolean} true if the point is strictly inside, height range included
+ */
+export function shapeContainsPoint(shape, point) {
+    if (point.y < shape.minY || point.y > shape.maxY) return false;
+    if (point.x <= shape.minX || point.x >= shape.maxX || point.z <= shape.minZ || point.z >= shape.maxZ) return false;
+    return getShapeDistance(shape, point.x, point.z) < 0;
+}
+
+/**
+ * True if a circle in XZ (a person's footprint) overlaps the shape, whatever the height.
+ * @param {CollisionShape} shape
+ * @param {number} x
+ * @param {number} z
+ * @param {number} radius
+ * @returns {boolean}
+ */
+export function shapeOverlapsCircle(shape, x, z, radius) {
+    if (x + radius <= shape.minX || x - radius >= shape.maxX || z + radius <= shape.minZ || z - radius >= shape.maxZ) return false;
+    return getShapeDistance(shape, x, z) < radius;
+}
+
+/**
+ * Outline of the shape's surface in XZ for debug drawing: one closed loop for a polygon, one per capsule for a chain.
+ * @param {CollisionShape} shape
+ * @param {number} [arcSegments=8] - segments per rounded corner or capsule end
+ * @returns {Array<Array<{ x: number, z: number }>>}
+ */
+export function getShapeOutline(shape, arcSegments = 8) {
+    const pts = shape.points;
+    const n = pts.length / 2;
+    const r = shape.radius;
+    if (shape.kind === 'polygon') {
+        const loop = [];
+        for (let i = 0; i < n; i++) {
+            const x = pts[i * 2], z = pts[i * 2 + 1];
+            if (r <= 0) {
+                loop.push({ x, z });
+                continue;
+            }
+            // Round the corner from the incoming edge's normal to the outgoing one's
+            const p = (i + n - 1) % n, q = (i + 1) % n;
+            const a0 = Math.atan2(-(x - pts[p * 2]), z - pts[p * 2 + 1]);
+            let a1 = Math.atan2(-(pts[q * 2] - x), pts[q * 2 + 1] - z);
+            while (a1 < a0) a1 += Math.PI * 2;
+            for (let k = 0; k <= arcSegments; k++) {
+                const a = a0 + (a1 - a0) * k / arcSegments;
+                loop.push({ x: x + Math.cos(a) * r, z: z + Math.sin(a) * r });
+            }
+        }
+        return [loop];
+    }
+    const loops = [];
+    for (let i = 0; i < Math.max(1, n - 1); i++) {
+        const ax = pts[i * 2], az = pts[i * 2 + 1];
+        const j = Math.min(i + 1, n - 1);
+        const bx = pts[j * 2], bz = pts[j * 2 + 1];
+        const angle = Math.atan2(bz - az, bx - ax);
+        const loop = [];
+        for (let k = 0; k <= arcSegments; k++) {
+            const a = angle + Math.PI / 2 + Math.PI * k / arcSegments;
+            loop.push({ x: ax + Math.cos(a) * r, z: az + Math.sin(a) * r });
+        }
+        for (let k = 0; k <= arcSegments; k++) {
+            const a = angle - Math.PI / 2 + Math.PI * k / arcSegments;
+            loop.push({ x: bx + Math.cos(a) * r, z: bz + Math.sin(a) * r });
+        }
+        loops.push(loop);
+    }
+    return loops;
+}
@@ -0,0 +1,42 @@
+/**
+ * Surface-aware locomotion: per walkable region rules for how fast people walk there and how much they would rather
+ * not walk along it, and a slope penalty from the height gradient along their direction of travel. Rules are indexed
+ * like the walkable sampler's regions (see createCombinedSampler); regions without one use DEFAULT_LOCOMOTION_RULE.
+ */
+
+/**
+ * @typedef {Object} LocomotionRule
+ * @property {string} [label]
+ * @property {number} speed - max walking speed on the region as a multiple of the person's own
+ * @property {number} avoid - 0..1: how hard wanderers steer off the region instead of walking along it (goal seekers
+ *   still cross it where their route does)
+ */
+
+/** Rule of regions with none configured. */
+export const DEFAULT_LOCOMOTION_RULE = { label: "Walkable", speed: 1, avoid: 0 };
+
+// Tobler's hiking function: speed ~ exp(-3.5 |gradient + 0.05|), fastest on a 5% downhill
+const TOBLER_DECAY = 3.5;
+const TOBLER_OPTIMUM = -0.05;
+const MIN_SLOPE_FACTOR = 0.3; // steeper slopes (and stairs taken at a run) do not slow people further
+
+/**
+ * @param {LocomotionRule[] | undefined} rules - by walkable region index
+ * @param {number | null | undefined} regionIndex
+ * @returns {LocomotionRule}
+ */
+export function getLocomotionRule(rules, regionIndex) {
+    return (rules && regionIndex != null && rules[regionIndex]) || DEFAULT_LOCOMOTION_RULE;
+}
+
+/**
+ * Walking speed on a slope relative to the flat, from Tobler's hiking function; never above 1, so a person's max speed
+ * still holds downhill.
+ * @param {number} gradient - rise over run along the direction of travel (negative downhill)
+ * @param {number} [strength=1] - 0 ignores slopes, 1 is the full Tobler slowdown
+ * @returns {number} MIN_SLOPE_FACTOR..1
+ */
+export function slopeSpeedFactor(gradient, strength = 1) {
+    const tobler = Math.exp(-TOBLER_DECAY * (Math.abs(gradient - TOBLER_OPTIMUM) - Math.abs(TOBLER_OPTIMUM)));
+    return Math.max(MIN_SLOPE_FACTOR, 1 - (1 - Math.min(1, tobler)) * strength);
+}
@@ -0,0 +1,203 @@
+/**
+ * Optimal Reciprocal Collision Avoidance (van den Berg et al., "Reciprocal n-body collision avoidance", 2011) in the
+ * XZ plane, following the RVO2 library's agent-agent part. Each neighbour contributes a half-plane of velocities
+ * that avoid it for `timeHorizon` (taking half the responsibility); the new velocity is the one closest to the
+ * preferred velocity inside every half-plane and the max-speed disc, or the least-violating one when crowded.
+ *
+ * Units follow the crowd: positions in m, velocities in m per person update, times in person updates.
+ */
+
+const RVO_EPSILON = 1e-5;
+
+// Line pool reused across calls: { px, pz } a point on the line, { dx, dz } its unit direction; valid side is left
+const _lines = [];
+const _projLines = [];
+const _result = { x: 0, z: 0 };
+const _temp = { x: 0, z: 0 };
+
+function getLine(pool, i) {
+    if (!pool[i]) pool[i] = { px: 0, pz: 0, dx: 0, dz: 0 };
+    return pool[i];
+}
+
+function det(ax, az, bx, bz) {
+    return ax * bz - az * bx;
+}
+
+/** Solve on line `lineNo` subject to lines before it and the speed disc; writes result, false if infeasible. */
+function linearProgram1(lines, lineNo, radius, optX, optZ, directionOpt, result) {
+    const line = lines[lineNo];
+    const dot = line.px * line.dx + line.pz * line.dz;
+    const discriminant = dot * dot + radius * radius - (line.px * line.px + line.pz * line.pz);
+    if (discriminant < 0) return false; // max speed disc does not reach the line
+    const sqrtDisc = Math.sqrt(discriminant);
+    let tLeft = -dot - sqrtDisc;
+    let tRight = -dot + sqrtDisc;
+    for (let i = 0; i < lineNo; i++) {
+        const other = lines[i];
+        const denominator = det(line.dx, line.dz, other.dx, other.dz);
+        const numerator = det(other.dx, other.dz, line.px - other.px, line.pz - other.pz);
+        if (Math.abs(denominator) <= RVO_EPSILON) {
+            if (numerator < 0) return false; // parallel and on the wrong side
+            continue;
+        }
+        const t = numerator / denominator;
+        if (denominator >= 0) tRight = Math.min(tRight, t);
+        else tLeft = Math.max(tLeft, t);
+        if (tLeft > tRight) return false;
+    }
+    let t;
+    if (directionOpt) {
+        t = optX * line.dx + optZ * line.dz > 0 ? tRight : tLeft;
+    } else {
+        t = line.dx * (optX - line.px) + line.dz * (optZ - line.pz);
+        t = Math.max(tLeft, Math.min(tRight, t));
+    }
+    result.x = line.px + t * line.dx;
+    result.z = line.pz + t * line.dz;
+    return true;
+}
+
+/** Closest velocity to opt satisfying all lines; returns lines.length on success, else the index that failed. */
+function linearProgram2(lines, count, radius, optX, optZ, directionOpt, result) {
+    if (directionOpt) {
+        result.x = optX * radius;
+        result.z = optZ * radius;
+    } else if (optX * optX + optZ * optZ > radius * radius) {
+        const len = Math.hypot(optX, optZ);
+        result.x = optX / len * radius;
+        result.z = optZ / len * radius;
+    } else {
+        result.x = optX;
+        result.z = optZ;
+    }
+    for (let i = 0; i < count; i++) {
+        const line = lines[i];
+        if (det(line.dx, line.dz, line.px - result.x, line.pz - result.z) > 0) {
+            _temp.x = result.x;
+            _temp.z = result.z;
+            if (!linearProgram1(lines, i, radius, optX, optZ, directionOpt, result)) {
+                result.x = _temp.x;
+                result.z = _temp.z;
+                return i;
+            }
+        }
+    }
+    return count;
+}
+
+/** Infeasible case: minimise the largest violation of lines from beginLine on (the crowd is too dense to avoid everyone). */
+function linearProgram3(lines, count, beginLine, radius, result) {
+    let distance = 0;
+    for (let i = beginLine; i < count; i++) {
+        const line = lines[i];
+        if (det(line.dx, line.dz, line.px - result.x, line.pz - result.z) <= distance) continue;
+        let projCount = 0;
+        for (let j = 0; j < i; j++) {
+            const other = lines[j];
+            const proj = getLine(_projLines, projCount);
+            const determinant = det(line.dx, line.dz, other.dx, other.dz);
+            if (Math.abs(determinant) <= RVO_EPSILON) {
+                if (line.dx * other.dx + line.dz * other.dz > 0) continue; // same direction
+                proj.px = 0.5 * (line.px + other.px);
+                proj.pz = 0.5 * (line.pz + other.pz);
+            } else {
+                const t = det(other.dx, other.dz, line.px - other.px, line.pz - other.pz) / determinant;
+                proj.px = line.px + t * line.dx;
+                proj.pz = line.pz + t * line.dz;
+            }
+            const dx = other.dx - line.dx, dz = other.dz - line.dz;
+            const len = Math.hypot(dx, dz) || 1;
+            proj.dx = dx / len;
+            proj.dz = dz / len;
+            projCount++;
+        }
+        const keepX = result.x, keepZ = result.z;
+        if (linearProgram2(_projLines, projCount, radius, -line.dz, line.dx, true, result) < projCount) {
+            // Should not happen in principle (floating point); keep the previous result
+            result.x = keepX;
+            result.z = keepZ;
+        }
+        distance = det(line.dx, line.dz, line.px - result.x, line.pz - result.z);
+    }
+}
+
+/**
+ * New velocity for `agent` that avoids its neighbours, as close as possible to its preferred velocity.
+ * @param {{ pos: { x: number, z: number }, vel: { x: number, z: number } }} agent
+ * @param {Array<{ pos: { x: number, z: number }, vel: { x: number, z: number } }>} neighbours
+ * @param {number} neighbourCount - how many entries of neighbours to use
+ * @param {{ x: number, z: number }} preferred - preferred velocity (m per update)
+ * @param {Object} options
+ * @param {number} options.radius - body radius of every agent (m)
+ * @param {number} options.timeHorizon - updates ahead for which collisions are avoided
+ * @param {number} options.maxSpeed - m per update
+ * @param {(other: Object) => boolean} [options.isReciprocal] - false for neighbours that will not avoid back (e.g.
+ *   people standing still); the agent then takes full rather than half the responsibility. Default: all reciprocal
+ * @param {{ x: number, z: number }} out - receives the new velocity (y untouched)
+ * @returns {{ x: number, z: number }} out
+ */
+export function computeOrcaVelocity(agent, neighbours, neighbourCount, preferred, options, out) {
+    const { radius, timeHorizon, maxSpeed, isReciprocal = null } = options;
+    const invTimeHorizon = 1 / timeHorizon;
+    const combinedRadius = 2 * radius;
+    const combinedRadiusSq = combinedRadius * combinedRadius;
+    let count = 0;
+    for (let n = 0; n < neighbourCount; n++) {
+        const other = neighbours[n];
+        const relPosX = other.pos.x - agent.pos.x, relPosZ = other.pos.z - agent.pos.z;
+        const relVelX = agent.vel.x - other.vel.x, relVelZ = agent.vel.z - other.vel.z;
+        const distSq = relPosX * relPosX + relPosZ * relPosZ;
+        const line = getLine(_lines, count);
+        let ux, uz;
+        if (distSq > combinedRadiusSq) {
+            // No collision yet: vector from the cut-off circle centre to the relative velocity
+            const wX = relVelX - invTimeHorizon * relPosX, wZ = relVelZ - invTimeHorizon * relPosZ;
+            const wLengthSq = wX * wX + wZ * wZ;
+            const dot1 = wX * relPosX + wZ * relPosZ;
+            if (dot1 < 0 && dot1 * dot1 > combinedRadiusSq * wLengthSq) {
+                // Project on the cut-off circle
+                const wLength = Math.sqrt(wLengthSq);
+                const unitX = wX / wLength, unitZ = wZ / wLength;
+                line.dx = unitZ;
+                line.dz = -unitX;
+                ux = (combinedRadius * invTimeHorizon - wLength) * unitX;
+                uz = (combinedRadius * invTimeHorizon - wLength) * unitZ;
+            } else {
+                // Project on the nearer leg of the velocity obstacle cone
+                const leg = Math.sqrt(distSq - combinedRadiusSq);
+                if (det(relPosX, relPosZ, wX, wZ) > 0) {
+                    line.dx = (relPosX * leg - relPosZ * combinedRadius) / distSq;
+                    line.dz = (relPosX * combinedRadius + relPosZ * leg) / distSq;
+                } else {
+                    line.dx = -(relPosX * leg + relPosZ * combinedRadius) / distSq;
+                    line.dz = -(-relPosX * combinedRadius + relPosZ * leg) / distSq;
+                }
+                const dot2 = relVelX * line.dx + relVelZ * line.dz;
+                ux = dot2 * line.dx - relVelX;
+                uz = dot2 * line.dz - relVelZ;
+            }
+        } else {
+            // Already overlapping: separate within one update
+            const wX = relVelX - relPosX, wZ = relVelZ - relPosZ;
+            const wLength = Math.hypot(wX, wZ);
+            if (wLength < RVO_EPSILON) continue; // same position and velocity: no usable direction
+            const unitX = wX / wLength, unitZ = wZ / wLength;
+            line.dx = unitZ;
+            line.dz = -unitX;
+            ux = (combinedRadius - wLength) * unitX;
+            uz = (combinedRadius - wLength) * unitZ;
+        }
+        // Take half the responsibility for avoiding the collision (all of it if the other will not move aside)
+        const share = isReciprocal && !isReciprocal(other) ? 1 : 0.5;
+        line.px = agent.vel.x + share * ux;
+        line.pz = agent.vel.z + share * uz;
+        count++;
+    }
+
+    const failed = linearProgram2(_lines, count, maxSpeed, preferred.x, preferred.z, false, _result);
+    if (failed < count) linearProgram3(_lines, count, failed, maxSpeed, _result);
+    out.x = _result.x;
+    out.z = _result.z;
+    return out;
+}
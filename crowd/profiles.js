@@ -0,0 +1,108 @@
+/**
+ * Agent profiles: kinds of festival-goer that walk, queue and take photos differently. Each person is given a profile
+ * when they spawn (drawn from relative weights, see sampleProfile) and their own values drawn from the profile's
+ * ranges (see applyProfile). The simulation reads the values from the person; the renderer reads body scale and stride.
+ */
+
+/**
+ * @typedef {Object} AgentProfile
+ * @property {string} label
+ * @property {[number, number]} speed - max walking speed as a multiple of MAX_SPEED (and of the social force desired speed)
+ * @property {[number, number]} scale - body scale (1 = the adult figure)
+ * @property {[number, number]} patience - divides the chance of balking at the entrance queue
+ * @property {[number, number]} photoInterest - multiplies curiosity (starting value and growth), so the want to photograph lilies
+ * @property {[number, number]} personalSpace - m kept from others: ORCA and social force radius, Reynolds separation strength
+ * @property {number} stride - step length as a multiple of the body scale (shorter steps turn the walk cycle faster)
+ * @property {number} swing - leg swing amplitude (radians) of the walk cycle; arms swing 5/6 of it
+ */
+
+/** Ranges are [min, max]; a person's value is drawn uniformly from them. */
+export const AGENT_PROFILES = {
+    adult: {
+        label: "Adult",
+        speed: [0.9, 1.1],
+        scale: [0.95, 1.05],
+        patience: [0.8, 1.2],
+        photoInterest: [0.8, 1.2],
+        personalSpace: [0.35, 0.4],
+        stride: 1,
+        swing: 0.6
+    },
+    child: {
+        label: "Child",
+        speed: [0.75, 1.05],
+        scale: [0.6, 0.75],
+        patience: [0.4, 0.7],
+        photoInterest: [0.3, 0.6],
+        personalSpace: [0.33, 0.36],
+        stride: 0.85,
+        swing: 0.75
+    },
+    elderly: {
+        label: "Elderly",
+        speed: [0.55, 0.75],
+        scale: [0.9, 1],
+        patience: [1.1, 1.6],
+        photoInterest: [0.5, 0.9],
+        personalSpace: [0.42, 0.52],
+        stride: 0.75,
+        swing: 0.35
+    },
+    photographer: {
+        label: "Photographer",
+        speed: [0.75, 0.95],
+        scale: [0.95, 1.05],
+        patience: [0.6, 0.9],
+        photoInterest: [1.8, 2.5],
+        personalSpace: [0.33, 0.38],
+        stride: 0.9,
+        swing: 0.5
+    }
+};
+
+/** Relative weight of each profile when none are configured. */
+export const DEFAULT_PROFILE_WEIGHTS = { adult: 0.6, child: 0.15, elderly: 0.15, photographer: 0.1 };
+
+/**
+ * Draw a profile from relative weights.
+ * @param {Object<string, number>} weights - weight per AGENT_PROFILES key, e.g. { adult: 0.7, child: 0.3 }; need not sum to 1
+ * @param {() => number} random - uniform [0,1) source
+ * @returns {string} a profile with positive weight, or 'adult' if there is none
+ */
+export function sampleProfile(weights, random) {
+    let total = 0;
+    for (const name in weights) {
+        if (weights[name] > 0 && AGENT_PROFILES[name]) total += weights[name];
+    }
+    if (total <= 0) return 'adult';
+    let roll = random() * total;
+    let last = 'adult';
+    for (const name in weights) {
+        if (!(weights[name] > 0) || !AGENT_PROFILES[name]) continue;
+        last = name;
+        roll -= weights[name];
+        if (roll < 0) return last;
+    }
+    return last; // floating point: roll landed on the total
+}
+
+/**
+ * Give a person a profile and their own values from its ranges: `profile` (the name), `speedFactor`, `bodyScale`,
+ * `patience`, `photoInterest`, `personalSpace`, `strideScale` (body scale x stride) and `strideSwing`.
+ * @param {Object} person
+ * @param {string} name - AGENT_PROFILES key
+ * @param {() => number} random - uniform [0,1) source
+ */
+export function applyProfile(person, name, random) {
+    const profile = AGENT_PROFILES[name];
+    if (!profile) throw new Error(`applyProfile: unknown profile '${name}'`);
+    const draw = ([min, max]) => min + random() * (max - min);
+    person.profile = name;
+    person.speedFactor = draw(profile.speed);
+    person.bodyScale = draw(profile.scale);
+    person.patience = draw(profile.patience);
+    person.photoInterest = draw(profile.photoInterest);
+    person.personalSpace = draw(profile.personalSpace);
+    person.strideScale = person.bodyScale * profile.stride;
+    person.strideSwing = profile.swing;
+}
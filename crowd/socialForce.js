@@ -0,0 +1,71 @@
+/**
+ * Helbing social force model (Helbing & Molnár, "Social force model for pedestrian dynamics", 1995; circular
+ * specification of Helbing, Farkas & Vicsek, "Simulating dynamical features of escape panic", 2000) in the XZ plane.
+ * A pedestrian of unit mass accelerates towards their desired velocity and is pushed away from other pedestrians and
+ * walls by forces that fall off exponentially with the gap between the surfaces.
+ *
+ * Units: positions in m, velocities in m/s, forces in m/s² (unit mass). CrowdSimulation converts to its per-update
+ * velocities around the call.
+ */
+
+/**
+ * @typedef {Object} SocialForceParams
+ * @property {number} relaxationTime - s taken to reach the desired velocity (tau)
+ * @property {number} agentStrength - m/s²: repulsion between pedestrians whose bodies just touch (A)
+ * @property {number} agentRange - m: fall-off length of the pedestrian repulsion (B)
+ * @property {number} anisotropy - 0..1: weight of pedestrians behind relative to those ahead (lambda; 1 = isotropic)
+ * @property {number} wallStrength - m/s²: wall repulsion at contact (A_w)
+ * @property {number} wallRange - m: fall-off length of the wall repulsion (B_w)
+ */
+
+/**
+ * Total social force on one pedestrian.
+ * @param {{ x: number, z: number, vx: number, vz: number, desiredX: number, desiredZ: number }} agent - position,
+ *   current and desired velocity
+ * @param {Array<{ pos: { x: number, z: number } }>} neighbours
+ * @param {number} neighbourCount - how many entries of neighbours to use
+ * @param {Array<{ distance: number, nx: number, nz: number }>} walls - distance (m) from the pedestrian's centre to the
+ *   nearest point of each wall, and the unit normal from that point towards the pedestrian; negative when inside it
+ * @param {number} wallCount - how many entries of walls to use
+ * @param {SocialForceParams} params
+ * @param {number} radius - body radius of every pedestrian (m)
+ * @param {{ x: number, z: number }} out - receives the force
+ * @returns {{ x: number, z: number }} out
+ */
+export function computeSocialForce(agent, neighbours, neighbourCount, walls, wallCount, params, radius, out) {
+    const { relaxationTime, agentStrength, agentRange, anisotropy, wallStrength, wallRange } = params;
+
+    // Driving force: relax towards the desired velocity
+    let fx = (agent.desiredX - agent.vx) / relaxationTime;
+    let fz = (agent.desiredZ - agent.vz) / relaxationTime;
+
+    // Direction of intended motion, for the field-of-view weighting
+    const desiredSpeed = Math.hypot(agent.desiredX, agent.desiredZ);
+    const ex = desiredSpeed > 1e-9 ? agent.desiredX / desiredSpeed : 0;
+    const ez = desiredSpeed > 1e-9 ? agent.desiredZ / desiredSpeed : 0;
+
+    for (let n = 0; n < neighbourCount; n++) {
+        const other = neighbours[n];
+        const dx = agent.x - other.pos.x, dz = agent.z - other.pos.z;
+        const dist = Math.hypot(dx, dz);
+        if (dist < 1e-9) continue; // same spot: no usable direction
+        const nx = dx / dist, nz = dz / dist;
+        // cos(phi) between the walking direction and the direction to the other pedestrian; those behind count less
+        const cosPhi = -(nx * ex + nz * ez);
+        const weight = anisotropy + (1 - anisotropy) * (1 + cosPhi) / 2;
+        const magnitude = agentStrength * Math.exp((2 * radius - dist) / agentRange) * weight;
+        fx += magnitude * nx;
+        fz += magnitude * nz;
+    }
+
+    for (let w = 0; w < wallCount; w++) {
+        const wall = walls[w];
+        const magnitude = wallStrength * Math.exp((radius - wall.distance) / wallRange);
+        fx += magnitude * wall.nx;
+        fz += magnitude * wall.nz;
+    }
+
+    out.x = fx;
+    out.z = fz;
+    return out;
+}
@@ -0,0 +1,144 @@
+import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+
+export const BARRIER_LAYOUT_FORMAT = 'durham-lumiere-barriers';
+export const BARRIER_LAYOUT_VERSION = 1;
+
+/**
+ * Crowd control furniture by type: `length` of the run along local X (0 for a cone), footprint `width` across it and
+ * `height`, all in m.
+ */
+export const BARRIER_TYPES = {
+    barrier: { label: "Crowd barrier", length: 2.3, width: 0.6, height: 1.1 },
+    cone: { label: "Traffic cone", length: 0, width: 0.4, height: 0.75 },
+    fence: { label: "Crowd fence", length: 3.5, width: 0.5, height: 2 },
+};
+
+const BAR_RADIUS = 0.02;
+const BARRIER_BAR_SPACING = 0.15;
+const FENCE_POST_RADIUS = 0.025;
+
+const _parts = new Map(); // type -> [{ geometry, material }], built on first use and shared by every copy
+
+function box(w, h, d, x, y, z) {
+    return new THREE.BoxGeometry(w, h, d).translate(x, y, z);
+}
+
+function bar(length, x, y, z, alongX) {
+    const geo = new THREE.CylinderGeometry(BAR_RADIUS, BAR_RADIUS, length, 6);
+    if (alongX) geo.rotateZ(Math.PI / 2);
+    return geo.translate(x, y, z);
+}
+
+function buildParts(type) {
+    const { length, width, height } = BARRIER_TYPES[type];
+    const half = length / 2;
+    if (type === 'cone') {
+        const orange = new THREE.MeshStandardMaterial({ color: 0xff5a00, roughness: 0.6 });
+        const white = new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0x666666, roughness: 0.4 });
+        const black = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 });
+        return [
+            { geometry: new THREE.ConeGeometry(width * 0.4, height - 0.04, 16).translate(0, height / 2 + 0.02, 0), material: orange },
+            { geometry: new THREE.CylinderGeometry(width * 0.22, width * 0.27, 0.12, 16).translate(0, height * 0.55, 0), material: white },
+            { geometry: box(width, 0.04, width, 0, 0.02, 0), material: black },
+        ];
+    }
+    if (type === 'fence') {
+        // Heras-style panel: tube frame with a see-through mesh infill, standing in two concrete blocks
+        const steel = new THREE.MeshStandardMaterial({ color: 0xa8adb2, metalness: 0.7, roughness: 0.4 });
+        const mesh = new THREE.MeshStandardMaterial({ color: 0xa8adb2, metalness: 0.5, roughness: 0.5, transparent: true, opacity: 0.35, side: THREE.DoubleSide });
+        const concrete = new THREE.MeshStandardMaterial({ color: 0x8a8a86, roughness: 0.95 });
+        const frameH = height - 0.15;
+        const frame = mergeGeometries([
+            bar(length, 0, height, 0, true),
+            bar(length, 0, 0.15, 0, true),
+            new THREE.CylinderGeometry(FENCE_POST_RADIUS, FENCE_POST_RADIUS, frameH, 8).translate(-half, 0.15 + frameH / 2, 0),
+            new THREE.CylinderGeometry(FENCE_POST_RADIUS, FENCE_POST_RADIUS, frameH, 8).translate(half, 0.15 + frameH / 2, 0),
+        ]);
+        const feet = mergeGeometries([box(0.6, 0.12, width, -half, 0.06, 0), box(0.6, 0.12, width, half, 0.06, 0)]);
+        return [
+            { geometry: frame, material: steel },
+            { geometry: new THREE.PlaneGeometry(length, frameH).translate(0, 0.15 + frameH / 2, 0), material: mesh },
+            { geometry: feet, material: concrete },
+        ];
+    }
+    // Pedestrian barrier: top and bottom rails, vertical bars between them and two flat feet across
+    const steel = new THREE.MeshStandardMaterial({ color: 0xc4c8cc, metalness: 0.8, roughness: 0.35 });
+    const bottom = 0.2;
+    const parts = [bar(length, 0, height, 0, true), bar(length, 0, bottom, 0, true)];
+    const bars = Math.max(2, Math.round(length / BARRIER_BAR_SPACING));
+    for (let i = 0; i <= bars; i++) {
+        parts.push(bar(height - bottom, -half + (length * i) / bars, (height + bottom) / 2, 0, false));
+    }
+    for (const x of [-half + 0.15, half - 0.15]) {
+        parts.push(bar(bottom, x, bottom / 2, 0, false));
+        parts.push(box(0.05, 0.03, width, x, 0.015, 0));
+    }
+    return [{ geometry: mergeGeometries(parts), material: steel }];
+}
+
+/**
+ * One piece of crowd control furniture standing at the origin, laid along local X. Like createFence it sets
+ * `userData.controlPoints` (the ends of the run, or one point for a cone), `userData.railingWidth` and
+ * `userData.railingHeight`, so it gets a capsule chain collision shape; `userData.barrierType` names the type.
+ * Geometries and materials are shared between copies of a type: do not dispose them.
+ *
+ * @param {keyof typeof BARRIER_TYPES} type
+ * @returns {THREE.Group}
+ */
+export function createBarrier(type) {
+    const spec = BARRIER_TYPES[type];
+    if (!spec) throw new Error(`createBarrier: unknown type ${type}`);
+    if (!_parts.has(type)) _parts.set(type, buildParts(type));
+    const group = new THREE.Group();
+    for (const { geometry, material } of _parts.get(type)) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        group.add(mesh);
+    }
+    const half = spec.length / 2;
+    group.userData.barrierType = type;
+    group.userData.controlPoints = half > 0
+        ? [new THREE.Vector3(-half, 0, 0), new THREE.Vector3(half, 0, 0)]
+        : [new THREE.Vector3(0, 0, 0)];
+    group.userData.railingWidth = spec.width;
+    group.userData.railingHeight = spec.height;
+    return group;
+}
+
+/**
+ * Where each placed barrier stands, for saving and for recording metadata.
+ * @param {THREE.Object3D[]} barriers - from createBarrier, placed with position and rotation.y
+ * @returns {{ format: string, version: number, barriers: Array<{ type: string, x: number, y: number, z: number, angle: number }> }}
+ */
+export function getBarrierLayout(barriers) {
+    const round = (v) => Math.round(v * 1000) / 1000;
+    return {
+        format: BARRIER_LAYOUT_FORMAT,
+        version: BARRIER_LAYOUT_VERSION,
+        barriers: barriers.map((b) => ({
+            type: b.userData.barrierType,
+            x: round(b.position.x),
+            y: round(b.position.y),
+            z: round(b.position.z),
+            angle: round(b.rotation.y)
+        }))
+    };
+}
+
+/**
+ * Read a layout saved from getBarrierLayout.
+ * @param {string} text - JSON
+ * @returns {Array<{ type: string, x: number, y: number, z: number, angle: number }>}
+ */
+export function parseBarrierLayout(text) {
+    const layout = JSON.parse(text);
+    if (layout.format !== BARRIER_LAYOUT_FORMAT) throw new Error("parseBarrierLayout: not a barrier layout");
+    if (layout.version > BARRIER_LAYOUT_VERSION) throw new Error(`parseBarrierLayout: unsupported version ${layout.version}`);
+    if (!Array.isArray(layout.barriers)) throw new Error("parseBarrierLayout: barriers must be an array");
+    for (const b of layout.barriers) {
+        if (!BARRIER_TYPES[b.type]) throw new Error(`parseBarrierLayout: unknown type ${b.type}`);
+        if (![b.x, b.y, b.z, b.angle].every(Number.isFinite)) throw new Error("parseBarrierLayout: x, y, z and angle must be numbers");
+    }
+    return layout.barriers;
+}
@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { getTexture } from '../utils/getTexture.js';
+import { getStream } from '../utils/random.js';
 
 /**
  * -----------------------------------------------------------------------------
@@ -89,7 +90,8 @@ const _dummy = new THREE.Object3D();
 function createRailingLightsOnly(side, L, W, T, lightSpacing, lightOpts) {
     const railingGroup = new THREE.Group();
     const numLights = Math.max(2, Math.floor(L / lightSpacing) + 1);
-    const lightColors = Array.from({ length: numLights }, () => Math.floor(Math.random() * 0x1000000));
+    const rng = getStream('bridge');
+    const lightColors = Array.from({ length: numLights }, () => rng.int(0x1000000));
     const step = L / (numLights - 1);
     const xCorner = side * (W / 2 - 0.001);
     const { lightIntensity, lightDistance } = lightOpts;
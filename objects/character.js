@@ -4,6 +4,7 @@ import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js
 import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
 import { createPhone } from './phone.js';
 import { COLOURS } from '../constants.js';
+import { random, createRandom } from '../utils/random.js';
 
 // Bone indices for skinned character (order matches bones array)
 const BONE_ROOT = 0;
@@ -26,8 +27,8 @@ export class Figure {
         this.group = new THREE.Group();
         this._phone = null;
 
-        this.headHue = Math.random() * 360;
-        this.bodyHue = Math.random() * 360;
+        this.headHue = random() * 360;
+        this.bodyHue = random() * 360;
         this.headMaterial = new THREE.MeshStandardMaterial({ color: `hsl(${this.headHue}, 30%, 50%)` });
         this.bodyMaterial = new THREE.MeshStandardMaterial({ color: `hsl(${this.bodyHue}, 80%, 50%)` });
 
@@ -37,12 +38,12 @@ export class Figure {
 		this.group.rotation.y = this.params.ry
 
         this.pos = new THREE.Vector3();
-        this.vel = new THREE.Vector3((Math.random() - 0.5) * 120, 0, (Math.random() - 0.5) * 120);
+        this.vel = new THREE.Vector3((random() - 0.5) * 120, 0, (random() - 0.5) * 120);
         this.acc = new THREE.Vector3();
         this.state = "WANDER";
         this.target = null;
         this.timer = 0;
-        this.maxSpeed = MAX_SPEED * (0.9 + Math.random() * 0.2);
+        this.maxSpeed = MAX_SPEED * (0.9 + random() * 0.2);
         this.mesh = new THREE.Group();
         this.group.add(this.mesh);
     }
@@ -70,8 +71,8 @@ export class Figure {
         // With probability 0.5, at most one arm holds a phone at its lower end (hand), but only if highResolution
         let phoneArm = -1;
         if (highResolution) {
-            const addPhone = Math.random() < 0.8;
-            phoneArm = addPhone ? (Math.random() < 0.5 ? 0 : 1) : -1;
+            const addPhone = random() < 0.8;
+            phoneArm = addPhone ? (random() < 0.5 ? 0 : 1) : -1;
         }
 
         for (let i = 0; i < 2; i++) {
@@ -153,7 +154,7 @@ export class Figure {
             low.initLowResolution();
             lod.addLevel(low.group, 150);
 
-            lod.position.set((Math.random() - 0.5) * 500, 1.0, (Math.random() - 0.5) * 500);
+            lod.position.set((random() - 0.5) * 500, 1.0, (random() - 0.5) * 500);
             objects.push(lod);
         }
         return objects;
@@ -326,7 +327,7 @@ export class Figure {
      * @returns {{ geometry: THREE.BufferGeometry, materials: THREE.Material[] }}
      */
     static getInstanceGeometryHigh() {
-        const skin = [0xFFDBAC, 0xF1C27D, 0xE0AC69, 0x8D5524][Math.floor(Math.random() * 4)];
+        const skin = [0xFFDBAC, 0xF1C27D, 0xE0AC69, 0x8D5524][Math.floor(random() * 4)];
         const matSkin = new THREE.MeshStandardMaterial({ color: skin });
         const matBody = Figure.getInstanceMaterial();
 
@@ -474,7 +475,7 @@ export class Figure {
  */
 export class CrowdCharacter {
     constructor(options = {}) {
-        const { position, id, bounds2D, rotationY = Math.random() * Math.PI * 2 } = options;
+        const { position, id, bounds2D, rotationY = random() * Math.PI * 2 } = options;
         this.id = id;
         this.pos = position ? position.clone() : new THREE.Vector3();
         this.prevPosition = this.pos.clone();
@@ -527,17 +528,18 @@ export function getCrowdMaterials() {
 /**
  * Build high-detail character mesh (body, head, arms, legs, optional phone).
  * Shared by createPerson and createPersonMeshOnly. Uses shared geometries and material palette.
- * @param {{ position?: THREE.Vector3, rotationY?: number }} options
+ * @param {{ position?: THREE.Vector3, rotationY?: number, rng?: () => number }} options - rng picks colours and phone
  * @returns {{ mesh: THREE.Group, parts: Object, _phone: object|null }}
  */
 function buildPersonMesh(options = {}) {
     const position = options.position || new THREE.Vector3(0, 0, 0);
     const rotationY = options.rotationY ?? 0;
+    const rng = options.rng ?? random;
     const mesh = new THREE.Group();
     let _phone = null;
 
-    const matSkin = getSkinMaterial(Math.floor(Math.random() * COLOURS.SKIN_PALETTE.length));
-    const matBody = getBodyMaterial(Math.floor(Math.random() * COLOURS.BODY_PALETTE.length));
+    const matSkin = getSkinMaterial(Math.floor(rng() * COLOURS.SKIN_PALETTE.length));
+    const matBody = getBodyMaterial(Math.floor(rng() * COLOURS.BODY_PALETTE.length));
 
     const legHeight = 0.75;
     const torsoHeight = 1;
@@ -569,7 +571,7 @@ function buildPersonMesh(options = {}) {
     const armRight = new THREE.Group();
     armRight.add(armRightMesh);
 
-    if (Math.random() < 0.9) {
+    if (rng() < 0.9) {
         const phone = createPhone(0, 0, 0, { width: 0.36, height: 0.72, depth: 0.06, flashLight: false });
         phone.position.set(0, -1 + 0.24 / 2, 0.14); // hand end at y=-1, phone positioned near hand
         phone.rotation.x = Math.PI / 2;
@@ -589,17 +591,18 @@ function buildPersonMesh(options = {}) {
 
 export function createPerson(options = {}) {
     const position = options.position;
-    const pos = position ? position.clone() : new THREE.Vector3((Math.random() - 0.5) * 120, 0, (Math.random() - 0.5) * 120);
-    const rotationY = position ? (options.rotationY ?? Math.random() * Math.PI * 2) : Math.random() * Math.PI * 2;
-    const { mesh, parts, _phone } = buildPersonMesh({ position: pos, rotationY });
+    const rng = options.rng ?? random;
+    const pos = position ? position.clone() : new THREE.Vector3((rng() - 0.5) * 120, 0, (rng() - 0.5) * 120);
+    const rotationY = position ? (options.rotationY ?? rng() * Math.PI * 2) : rng() * Math.PI * 2;
+    const { mesh, parts, _phone } = buildPersonMesh({ position: pos, rotationY, rng });
     const person = {
         pos,
         prevPosition: position ? position.clone() : pos.clone(),
         rotationY,
-        vel: new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5),
+        vel: new THREE.Vector3(rng() - 0.5, 0, rng() - 0.5),
         acc: new THREE.Vector3(),
         state: 'WANDER', target: null, timer: 0,
-        maxSpeed: MAX_SPEED * (0.9 + Math.random() * 0.2),
+        maxSpeed: MAX_SPEED * (0.9 + rng() * 0.2),
         mesh,
         _phone,
         parts
@@ -614,11 +617,13 @@ export function createPerson(options = {}) {
 
 /**
  * Create mesh/parts only for high-detail character. Used when promoting crowd person to close range.
- * @param {{ position?: THREE.Vector3, rotationY?: number }} options
+ * Pass the person's appearanceSeed so they look the same every time they are promoted, whatever the camera did.
+ * @param {{ position?: THREE.Vector3, rotationY?: number, appearanceSeed?: number }} options
  * @returns {{ mesh: THREE.Group, parts: Object, _phone: object|null }}
  */
 export function createPersonMeshOnly(options = {}) {
-    return buildPersonMesh(options);
+    const rng = options.appearanceSeed !== undefined ? createRandom(options.appearanceSeed).random : undefined;
+    return buildPersonMesh({ ...options, rng });
 }
 
 /** Distance thresholds for LOD levels (camera distance). */
@@ -725,13 +730,14 @@ export function createPersonWithLOD(options = {}) {
 
 /**
  * Create crowd person data for instanced rendering (no mesh). Has pos, vel, bounds2D, bodyColor, facingAngle.
- * getPhone() returns null; triggerFlash() is no-op.
+ * getPhone() returns null; triggerFlash() is no-op. options.rng (uniform [0,1) source) defaults to the shared seeded stream.
  */
 export function createCrowdPerson(options = {}) {
     const position = options.position;
-    const pos = position ? position.clone() : new THREE.Vector3((Math.random() - 0.5) * 120, 0, (Math.random() - 0.5) * 120);
-    const rotationY = position ? (options.rotationY ?? Math.random() * Math.PI * 2) : Math.random() * Math.PI * 2;
-    const hue = Math.random() * 360;
+    const rng = options.rng ?? random;
+    const pos = position ? position.clone() : new THREE.Vector3((rng() - 0.5) * 120, 0, (rng() - 0.5) * 120);
+    const rotationY = position ? (options.rotationY ?? rng() * Math.PI * 2) : rng() * Math.PI * 2;
+    const hue = rng() * 360;
     const bodyColor = new THREE.Color().setHSL(hue / 360, 0.6, 0.62);
     const surfaceType = options.surfaceType;
     const u = options.u;
@@ -749,16 +755,17 @@ export function createCrowdPerson(options = {}) {
         rotationY,
         facingAngle: rotationY,
         bankAngle: 0,
-        vel: new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5),
+        vel: new THREE.Vector3(rng() - 0.5, 0, rng() - 0.5),
         acc: new THREE.Vector3(),
         state: 'WANDER',
         target: null,
         timer: 0,
-        maxSpeed: MAX_SPEED * (0.9 + Math.random() * 0.2),
+        maxSpeed: MAX_SPEED * (0.9 + rng() * 0.2),
         mesh: null,
         parts: null,
         bounds2D: null,
         bodyColor,
+        appearanceSeed: Math.floor(rng() * 4294967296),
         getPhone: () => null,
         triggerFlash: () => {},
         _surfaceCache,
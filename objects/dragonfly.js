@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { random } from "../utils/random.js";
 
 // Default physics limits (per-entity randomization applied in createDragonfly)
 const DEFAULT_MAX_SPEED = 0.7;
@@ -82,25 +83,26 @@ export function getDragonflyMaterial(colour=0x44ffaa, emissive=0xf00ed2) {
 
 /**
  * Creates a lightweight dragonfly entity for instanced rendering.
- * @param {{ position?: THREE.Vector3, id?: number }} options
+ * @param {{ position?: THREE.Vector3, id?: number, rng?: () => number }} options - rng defaults to the shared seeded stream
  * @returns {Object} Dragonfly entity with pos, vel, acc, bounds, id, physics params, etc.
  */
 export function createDragonfly(options = {}) {
     const position = options.position;
+    const rng = options.rng ?? random;
     const pos = position
         ? position.clone()
-        : new THREE.Vector3((Math.random() - 0.5) * 100, (Math.random() * 10), (Math.random() - 0.5) * 100);
+        : new THREE.Vector3((rng() - 0.5) * 100, (rng() * 10), (rng() - 0.5) * 100);
 
-    const maxSpeed = DEFAULT_MAX_SPEED * (0.85 + Math.random() * 0.3);
-    const maxForce = DEFAULT_MAX_FORCE * (0.8 + Math.random() * 0.4);
+    const maxSpeed = DEFAULT_MAX_SPEED * (0.85 + rng() * 0.3);
+    const maxForce = DEFAULT_MAX_FORCE * (0.8 + rng() * 0.4);
 
-    const hue = 140 + Math.random() * 40;
+    const hue = 140 + rng() * 40;
     const color = new THREE.Color().setHSL(hue / 360, 0.7, 0.7);
 
     const vel = new THREE.Vector3(
-        (Math.random() - 0.5) * maxSpeed * 0.5,
-        (Math.random() - 0.5) * maxSpeed * 0.3,
-        (Math.random() - 0.5) * maxSpeed * 0.5
+        (rng() - 0.5) * maxSpeed * 0.5,
+        (rng() - 0.5) * maxSpeed * 0.3,
+        (rng() - 0.5) * maxSpeed * 0.5
     );
 
     const r = FORCE_RADIUS;
@@ -124,6 +126,7 @@ export function createDragonfly(options = {}) {
         color,
         bankAngle: 0,
         facingAngle: Math.atan2(vel.x, vel.z),
+        prevPos: pos.clone(), // position before the last physics step (render interpolation)
         _lastOctreePos: pos.clone()
     };
 }
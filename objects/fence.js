@@ -16,7 +16,8 @@ const FENCE_DEFAULTS = {
  * @param {number} [options.railingWidth=0.18] - match bridge railing width
  * @param {number} [options.railingHeight=0.9] - match bridge railing height
  * @param {number} [options.color=0x9a9a9a] - concrete color
- * @returns {THREE.Group}
+ * @returns {THREE.Group} with `userData.controlPoints` (copies of the points, for collision shapes),
+ *   `userData.railingWidth` and `userData.railingHeight`
  */
 export function createFence(controlPoints, options = {}) {
     const opts = { ...FENCE_DEFAULTS, ...options };
@@ -25,6 +26,9 @@ export function createFence(controlPoints, options = {}) {
 
     const material = new THREE.MeshStandardMaterial({ color: opts.color });
     const group = new THREE.Group();
+    group.userData.controlPoints = points;
+    group.userData.railingWidth = opts.railingWidth;
+    group.userData.railingHeight = opts.railingHeight;
     const worldUp = new THREE.Vector3(0, 1, 0);
 
     for (let i = 0; i < points.length - 1; i++) {
@@ -1,6 +1,7 @@
 import { PlaneGeometry, MeshStandardMaterial, Mesh } from 'three';
 import { SimplexNoise } from 'three/addons/math/SimplexNoise.js';
 import { getTexture } from '../../utils/getTexture.js';
+import { getStream } from '../../utils/random.js';
 
 /**
  * @param {number} [width=100]
@@ -10,15 +11,16 @@ import { getTexture } from '../../utils/getTexture.js';
  * @param {number} [options.freq=0.005]
  * @param {number} [options.amp=4]
  * @param {number} [options.endHeight=60]
+ * @param {() => number} [options.rng] - seeds the noise permutation; defaults to the 'terrain' stream
  */
 export function generateTerrain(width = 100, height = 100, segments = 10, options = {}) {
-    const { freq = 1.5, amp = 4, endHeight = 50 } = options;
+    const { freq = 1.5, amp = 4, endHeight = 50, rng = getStream('terrain').random } = options;
     const geometry = new PlaneGeometry(width, height, segments, segments);
     const posAttribute = geometry.getAttribute("position");
 
     const hillTexture = getTexture('textures/ground_05_2k/ground_05_2k/ground_05_baseColor_2k.png', "Error loading hill texture");
 
-    const simplexNoise = new SimplexNoise();
+    const simplexNoise = new SimplexNoise({ random: rng });
 
     const height_discretised = Array.from({ length: posAttribute.count }, (_, i) => (endHeight/posAttribute.count) * i)
 
@@ -0,0 +1,94 @@
+/**
+ * Headless smoke check of CrowdSimulation (`pnpm test`): a seeded crowd on a small scene, under each avoidance
+ * model, must keep every position finite and replay the same history. The replay advances the same time through
+ * step(dt) in 0.1 s chunks rather than single steps, which must not change anything. Throws on the first failure.
+ */
+import * as THREE from 'three';
+import { CrowdSimulation, SIM_STEP } from '../crowd/CrowdSimulation.js';
+import { EntranceQueue } from '../crowd/EntranceQueue.js';
+import { createCombinedSampler, createQuadSampler } from '../utils/walkableSampler.js';
+import { createRandom, setSeed } from '../utils/random.js';
+
+const SEED = 'smoke';
+const PEOPLE = 150;
+const DURATION = 20;   // s of simulated time per run
+const CHUNK = 0.1;     // s per step(dt) call in the replay
+const MODELS = ['Reynolds', 'ORCA', 'social'];
+
+/**
+ * Build the scene (a walkable quad with a wall, two lilies and a door with its queue) and the crowd.
+ * @param {string} model - 'Reynolds', 'ORCA' or 'social'
+ * @returns {CrowdSimulation}
+ */
+function createSimulation(model) {
+    setSeed(SEED);
+    const quad = createQuadSampler([
+        new THREE.Vector3(-40, 0, -40), new THREE.Vector3(-40, 0, 40),
+        new THREE.Vector3(40, 0, 40), new THREE.Vector3(40, 0, -40)
+    ]);
+    const walkableSampler = createCombinedSampler([quad], { bounds: { minX: -45, maxX: 45, minZ: -45, maxZ: 45 }, cellSize: 1 });
+    const queue = new EntranceQueue({
+        path: [new THREE.Vector3(-30, 0, -30), new THREE.Vector3(-28, 0, -26), new THREE.Vector3(-24, 0, -22)],
+        capacity: 8,
+        balkLength: 6,
+        walkableSampler
+    });
+    const wall = {
+        position: new THREE.Vector3(0, 0, 10),
+        userData: { boundingBox: new THREE.Box3(new THREE.Vector3(-15, -1, 8), new THREE.Vector3(15, 5, 12)) }
+    };
+    const sim = new CrowdSimulation({
+        walkableSampler,
+        environmentObjects: [wall],
+        lilies: [{ x: 20, y: 0, z: -15 }, { x: -15, y: 0, z: 25 }],
+        door: { queue, position: new THREE.Vector3(-32, 0, -32), exitDirection: new THREE.Vector3(-1, 0, 0) },
+        rng: createRandom(SEED)
+    });
+    sim.params.flocking.avoidance = model === 'ORCA' ? 'ORCA' : 'Reynolds';
+    sim.params.socialForce.enabled = model === 'social';
+    sim.addPeople(PEOPLE);
+    return sim;
+}
+
+/**
+ * Everything the replay must reproduce: clock, collision count and each person's state, position and velocity.
+ * @param {CrowdSimulation} sim
+ * @returns {string}
+ */
+function fingerprint(sim) {
+    const people = sim.people.map((p) => `${p.id} ${p.state} ${p.pos.x} ${p.pos.y} ${p.pos.z} ${p.vel.x} ${p.vel.z}`);
+    return [sim.tick, sim.collisions.total, ...people].join('\n');
+}
+
+/**
+ * @param {CrowdSimulation} sim
+ * @param {string} label
+ */
+function checkFinite(sim, label) {
+    for (const p of sim.people) {
+        if (!Number.isFinite(p.pos.x) || !Number.isFinite(p.pos.y) || !Number.isFinite(p.pos.z)) {
+            throw new Error(`smoke: ${label}: person ${p.id} (${p.state}) at a non-finite position at tick ${sim.tick}`);
+        }
+    }
+}
+
+for (const model of MODELS) {
+    const started = Date.now();
+    const ticks = Math.round(DURATION / SIM_STEP);
+    const first = createSimulation(model);
+    for (let i = 0; i < ticks; i++) {
+        first.step();
+        checkFinite(first, model);
+    }
+    const replay = createSimulation(model);
+    for (let i = 0; i < Math.round(DURATION / CHUNK); i++) {
+        replay.step(CHUNK);
+        checkFinite(replay, `${model} replay`);
+    }
+    if (replay.tick !== first.tick) throw new Error(`smoke: ${model}: replay ran ${replay.tick} ticks, not ${first.tick}`);
+    if (fingerprint(replay) !== fingerprint(first)) throw new Error(`smoke: ${model}: the replay diverged from the first run`);
+    const states = first.getStateCounts();
+    console.log(`${model}: ${first.people.length} people, ${first.tick} ticks twice, ${first.collisions.total} collisions, ` +
+        `${JSON.stringify(states)} (${Date.now() - started} ms)`);
+}
+console.log('smoke: ok');
@@ -0,0 +1,70 @@
+/**
+ * Binary min-heap of integer items (e.g. grid cell indices) with numeric priorities, for Dijkstra / A* open sets.
+ * Each push stores its own priority, so a cell whose cost improves is simply pushed again; callers skip stale
+ * entries on pop (the usual lazy decrease-key).
+ */
+export class BinaryHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    /** @returns {number} entries in the heap, including stale ones */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * @param {number} item
+     * @param {number} priority - lower pops first
+     */
+    push(item, priority) {
+        const items = this.items, pr = this.priorities;
+        let k = items.length;
+        items.push(item);
+        pr.push(priority);
+        while (k > 0) {
+            const parent = (k - 1) >> 1;
+            if (pr[parent] <= priority) break;
+            items[k] = items[parent];
+            pr[k] = pr[parent];
+            k = parent;
+        }
+        items[k] = item;
+        pr[k] = priority;
+    }
+
+    /** @returns {number} the item with the lowest priority (undefined when empty) */
+    pop() {
+        const items = this.items, pr = this.priorities;
+        const top = items[0];
+        const lastItem = items.pop();
+        const lastPriority = pr.pop();
+        const n = items.length;
+        if (n > 0) {
+            let k = 0;
+            for (;;) {
+                const l = 2 * k + 1, r = l + 1;
+                let m = -1;
+                let best = lastPriority;
+                if (l < n && pr[l] < best) {
+                    m = l;
+                    best = pr[l];
+                }
+                if (r < n && pr[r] < best) m = r;
+                if (m < 0) break;
+                items[k] = items[m];
+                pr[k] = pr[m];
+                k = m;
+            }
+            items[k] = lastItem;
+            pr[k] = lastPriority;
+        }
+        return top;
+    }
+
+    clear() {
+        this.items.length = 0;
+        this.priorities.length = 0;
+    }
+}
@@ -0,0 +1,149 @@
+import * as THREE from "three";
+
+// Chase: behind and above the person, looking at their upper body
+const CHASE_DISTANCE = 8;
+const CHASE_HEIGHT = 5;
+const CHASE_LOOK_HEIGHT = 2;
+const CHASE_YAW_SMOOTHING = 0.5;  // s: time constant of the camera yaw following the person's facing
+// POV: at the front of the head (head centre 2.45 above the person's origin, 1.4 across; times their bodyScale)
+const POV_EYE_HEIGHT = 2.5;
+const POV_EYE_FORWARD = 0.75;
+const POV_LOOK_DISTANCE = 10;
+const POV_LOOK_DROP = 1;          // m the view line falls over POV_LOOK_DISTANCE (people look slightly down as they walk)
+const PHONE_FOV = 35;             // degrees: the narrower field of view of a phone camera
+const PHONE_EYE_BACK = 0.3;       // m behind the phone, looking over it
+// Smoothing time constants (s) of the camera position, look point and field of view
+const TRANSITION_SMOOTHING = 0.3; // after a mode or person change, until the camera has caught up
+const CHASE_SMOOTHING = 0.15;
+const POV_SMOOTHING = 0.05;
+const TRANSITION_END_DISTANCE = 0.05; // m: the transition is over once the camera is this close to where it should be
+
+export const CAMERA_MODES = ['orbit', 'chase', 'pov'];
+
+const _forward = new THREE.Vector3();
+const _desiredPosition = new THREE.Vector3();
+const _desiredLook = new THREE.Vector3();
+const _phonePosition = new THREE.Vector3();
+
+/**
+ * Camera modes alongside OrbitControls that attach to one person:
+ * - 'orbit': OrbitControls drive the camera (this rig only eases the field of view back)
+ * - 'chase': behind and above the person, turning with their facing (smoothed again so turns do not swing the view)
+ * - 'pov': at head height looking where they face; while they take a photo (dwelling with the 'snap' animation, e.g.
+ *   SNAPPING at a lily) the camera moves to their phone and narrows to PHONE_FOV (`phoneView`), so the callers can
+ *   frame the view like a phone screen
+ * Switching mode or person eases the camera over from wherever it is. OrbitControls are disabled while following and
+ * re-targeted on the person's look point when orbit mode returns, so the hand-over does not jump.
+ *
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {import('three/examples/jsm/controls/OrbitControls.js').OrbitControls} orbitControls
+ */
+export class FollowCamera {
+    constructor(camera, orbitControls) {
+        this.camera = camera;
+        this.orbitControls = orbitControls;
+        this.mode = 'orbit';
+        /** Person followed in chase and POV modes. */
+        this.person = null;
+        /** Field of view of orbit, chase and the walking POV. */
+        this.baseFov = camera.fov;
+        this._yaw = 0;
+        this._look = new THREE.Vector3();
+        this._transitioning = false;
+    }
+
+    /** @returns {boolean} true while the POV shows the person's phone camera (taking a photo) */
+    get phoneView() {
+        return this.mode === 'pov' && this.person !== null && this.person.dwellAnimation === 'snap';
+    }
+
+    /**
+     * @param {'orbit' | 'chase' | 'pov'} mode
+     * @param {Object | null} [person] - required for chase and POV
+     */
+    setMode(mode, person = this.person) {
+        if (!CAMERA_MODES.includes(mode)) throw new Error(`FollowCamera: unknown mode '${mode}'`);
+        if (mode !== 'orbit' && !person) throw new Error(`FollowCamera: '${mode}' needs a person to follow`);
+        if (this.person && this.person.mesh) this.person.mesh.visible = true;
+        if (mode === 'orbit') {
+            if (this.mode !== 'orbit') this.orbitControls.target.copy(this._look);
+            this.orbitControls.enabled = true;
+            this.person = null;
+        } else {
+            if (this.mode === 'orbit') this._look.copy(this.orbitControls.target);
+            if (person !== this.person || this.mode === 'orbit') this._yaw = person.facingAngle;
+            this.orbitControls.enabled = false;
+            this.person = person;
+        }
+        this.mode = mode;
+        this._transitioning = true;
+    }
+
+    /**
+     * Move the camera for one render frame.
+     * @param {number} dt - wall-clock s since the last frame
+     * @param {THREE.Vector3} [position] - the followed person's rendered position (interpolated); their `pos` if omitted
+     */
+    update(dt, position) {
+        const camera = this.camera;
+        const person = this.person;
+        let fov = this.baseFov;
+        if (this.mode === 'orbit' || !person) {
+            this._easeFov(fov, dt, CHASE_SMOOTHING);
+            return;
+        }
+        const at = position ?? person.pos;
+        this._yaw = turnTowards(this._yaw, person.facingAngle, 1 - Math.exp(-dt / CHASE_YAW_SMOOTHING));
+        let smoothing;
+        if (this.mode === 'chase') {
+            _forward.set(Math.sin(this._yaw), 0, Math.cos(this._yaw));
+            _desiredPosition.copy(at).addScaledVector(_forward, -CHASE_DISTANCE);
+            _desiredPosition.y += CHASE_HEIGHT;
+            _desiredLook.copy(at);
+            _desiredLook.y += CHASE_LOOK_HEIGHT;
+            smoothing = CHASE_SMOOTHING;
+        } else {
+            // POV looks along the person's own facing: their head turns with it, so it is not smoothed again
+            _forward.set(Math.sin(person.facingAngle), 0, Math.cos(person.facingAngle));
+            const phone = this.phoneView && person.getPhone ? person.getPhone() : null;
+            if (phone) {
+                phone.getWorldPosition(_phonePosition);
+                _desiredPosition.copy(_phonePosition).addScaledVector(_forward, -PHONE_EYE_BACK);
+                fov = PHONE_FOV;
+            } else {
+                const scale = person.bodyScale ?? 1;
+                _desiredPosition.copy(at).addScaledVector(_forward, POV_EYE_FORWARD * scale);
+                _desiredPosition.y += POV_EYE_HEIGHT * scale;
+            }
+            _desiredLook.copy(_desiredPosition).addScaledVector(_forward, POV_LOOK_DISTANCE);
+            _desiredLook.y -= POV_LOOK_DROP;
+            smoothing = POV_SMOOTHING;
+            // Their own body would fill the view
+            if (person.mesh) person.mesh.visible = false;
+        }
+        if (this._transitioning) smoothing = TRANSITION_SMOOTHING;
+        const k = 1 - Math.exp(-dt / smoothing);
+        camera.position.lerp(_desiredPosition, k);
+        this._look.lerp(_desiredLook, k);
+        camera.lookAt(this._look);
+        this._easeFov(fov, dt, smoothing);
+        if (this._transitioning && camera.position.distanceTo(_desiredPosition) < TRANSITION_END_DISTANCE) {
+            this._transitioning = false;
+        }
+    }
+
+    _easeFov(fov, dt, smoothing) {
+        const camera = this.camera;
+        if (Math.abs(camera.fov - fov) < 0.01) return;
+        camera.fov += (fov - camera.fov) * (1 - Math.exp(-dt / smoothing));
+        camera.updateProjectionMatrix();
+    }
+}
+
+/** Angle a moved fraction t of the way to b along the shorter arc (radians). */
+function turnTowards(a, b, t) {
+    let d = (b - a) % (Math.PI * 2);
+    if (d > Math.PI) d -= Math.PI * 2;
+    if (d < -Math.PI) d += Math.PI * 2;
+    return a + d * t;
+}
@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { random } from "./random.js";
 
 /**
  * 2D box overlap test. Bounds are { minX, maxX, minZ, maxZ }.
@@ -270,18 +271,19 @@ export class CompositeQuadtree {
 
     /**
      * Sample a random (x,z) point uniformly from the union of the two regions (area-weighted).
+     * @param {() => number} [rng] - uniform [0,1) source; defaults to the shared seeded stream
      * @returns {{ x: number, z: number }}
      */
-    sampleRandomPoint() {
-        if (Math.random() < AREA1 / TOTAL_AREA) {
+    sampleRandomPoint(rng = random) {
+        if (rng() < AREA1 / TOTAL_AREA) {
             return {
-                x: REGION1.minX + Math.random() * (REGION1.maxX - REGION1.minX),
-                z: REGION1.minZ + Math.random() * (REGION1.maxZ - REGION1.minZ)
+                x: REGION1.minX + rng() * (REGION1.maxX - REGION1.minX),
+                z: REGION1.minZ + rng() * (REGION1.maxZ - REGION1.minZ)
             };
         }
         return {
-            x: REGION2.minX + Math.random() * (REGION2.maxX - REGION2.minX),
-            z: REGION2.minZ + Math.random() * (REGION2.maxZ - REGION2.minZ)
+            x: REGION2.minX + rng() * (REGION2.maxX - REGION2.minX),
+            z: REGION2.minZ + rng() * (REGION2.maxZ - REGION2.minZ)
         };
     }
 
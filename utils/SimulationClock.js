@@ -0,0 +1,87 @@
+// Longest wall-clock frame fed to the accumulator (s); a background tab or breakpoint must not trigger a burst of catch-up steps
+const MAX_FRAME_SECONDS = 0.25;
+
+/**
+ * Fixed-timestep clock: accumulates wall-clock frame time (scaled by timeScale) and runs the simulation in
+ * whole steps of `step` seconds, so behaviour is the same at any display refresh rate. `alpha` (0..1) is how far
+ * the render frame lies between the last two steps; interpolate positions with it.
+ *
+ * Pause stops the accumulator; stepOnce() queues single steps that run on the next advance() even while paused.
+ * timeScale < 1 is slow motion, > 1 fast-forward (runs more steps per frame, capped by maxStepsPerFrame * timeScale).
+ */
+export class SimulationClock {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.step=1/60] - fixed step length in simulated seconds
+     * @param {number} [options.timeScale=1]
+     * @param {number} [options.maxStepsPerFrame=4] - at timeScale 1; excess time is dropped so a slow frame cannot spiral
+     */
+    constructor(options = {}) {
+        const { step = 1 / 60, timeScale = 1, maxStepsPerFrame = 4 } = options;
+        this.step = step;
+        this.timeScale = timeScale;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.paused = false;
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.time = 0;   // simulated seconds
+        this.ticks = 0;
+        this._pendingSteps = 0;
+    }
+
+    /**
+     * Feed one render frame's wall-clock duration and run the fixed steps it covers.
+     * @param {number} frameSeconds - wall-clock seconds since the previous frame
+     * @param {(step: number) => void} onStep - runs the simulation for one step
+     * @returns {number} steps run this frame
+     */
+    advance(frameSeconds, onStep) {
+        let steps = 0;
+        if (this.paused) {
+            this.accumulator = 0;
+            for (; this._pendingSteps > 0; this._pendingSteps--) {
+                this._runStep(onStep);
+                steps++;
+            }
+            this.alpha = 1; // show the latest state exactly
+            return steps;
+        }
+        this._pendingSteps = 0;
+        this.accumulator += Math.min(Math.max(0, frameSeconds), MAX_FRAME_SECONDS) * this.timeScale;
+        const maxSteps = Math.ceil(this.maxStepsPerFrame * Math.max(1, this.timeScale));
+        while (this.accumulator >= this.step && steps < maxSteps) {
+            this._runStep(onStep);
+            this.accumulator -= this.step;
+            steps++;
+        }
+        if (this.accumulator >= this.step) this.accumulator %= this.step; // fell behind: drop the backlog
+        this.alpha = this.accumulator / this.step;
+        return steps;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    /**
+     * Queue single steps for the next advance(); only meaningful while paused.
+     * @param {number} [n=1]
+     */
+    stepOnce(n = 1) {
+        if (this.paused) this._pendingSteps += n;
+    }
+
+    _runStep(onStep) {
+        onStep(this.step);
+        this.time += this.step;
+        this.ticks++;
+    }
+}
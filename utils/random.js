@@ -0,0 +1,122 @@
+/**
+ * Seedable PRNG service shared by every module, so one seed rebuilds the same scene and crowd history.
+ * Each subsystem draws from its own named stream (derived from the global seed), so e.g. the number of
+ * dragonflies spawned does not change the crowd's random sequence.
+ */
+
+const DEFAULT_SEED = 1;
+const _streams = new Map();
+let _seed = DEFAULT_SEED;
+
+/**
+ * Turn a number or string into a 32-bit unsigned seed. Integer-valued numbers (and numeric strings)
+ * map to themselves; other strings are hashed with FNV-1a.
+ * @param {number | string} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return Math.floor(Math.abs(value)) >>> 0;
+    const str = String(value).trim();
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** Mix a stream name into the global seed so every stream gets an independent sequence. */
+function deriveSeed(seed, name) {
+    let h = (seed ^ hashSeed(name)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a mulberry32 generator. Methods are closures, so `rng.random` can be passed around as a plain function
+ * (e.g. to three's SimplexNoise, which calls `r.random()`).
+ * @param {number | string} seed
+ * @returns {{ seed: number, random: () => number, range: (min: number, max: number) => number, int: (n: number) => number, pick: (arr: Array) => *, reset: () => void, reseed: (seed: number | string) => void }}
+ */
+export function createRandom(seed) {
+    const rng = {
+        seed: hashSeed(seed),
+        state: 0,
+        /** Uniform float in [0, 1). */
+        random() {
+            rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+            let t = rng.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        /** Uniform float in [min, max). */
+        range(min, max) {
+            return min + rng.random() * (max - min);
+        },
+        /** Uniform integer in [0, n). */
+        int(n) {
+            return Math.floor(rng.random() * n);
+        },
+        pick(arr) {
+            return arr[Math.floor(rng.random() * arr.length)];
+        },
+        /** Restart the sequence from this generator's seed. */
+        reset() {
+            rng.state = rng.seed;
+        },
+        reseed(newSeed) {
+            rng.seed = hashSeed(newSeed);
+            rng.state = rng.seed;
+        }
+    };
+    rng.reset();
+    return rng;
+}
+
+/**
+ * Set the global seed and restart every stream from it. Call before building the scene.
+ * @param {number | string} seed
+ */
+export function setSeed(seed) {
+    _seed = hashSeed(seed);
+    for (const [name, stream] of _streams) stream.reseed(deriveSeed(_seed, name));
+}
+
+/** @returns {number} the current global seed */
+export function getSeed() {
+    return _seed;
+}
+
+/**
+ * Named stream derived from the global seed. The same object is returned on every call and is reseeded
+ * in place by setSeed, so modules may keep a reference to it.
+ * @param {string} [name='default']
+ * @returns {ReturnType<typeof createRandom>}
+ */
+export function getStream(name = 'default') {
+    let stream = _streams.get(name);
+    if (!stream) {
+        stream = createRandom(deriveSeed(_seed, name));
+        _streams.set(name, stream);
+    }
+    return stream;
+}
+
+/**
+ * Uniform float in [0, 1) from the default stream; drop-in replacement for Math.random().
+ * @returns {number}
+ */
+export function random() {
+    return getStream().random();
+}
+
+/**
+ * Fresh non-deterministic seed for runs that were not given one (the only place Math.random is used).
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
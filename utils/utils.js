@@ -1,7 +1,9 @@
+import { random } from "./random.js";
+
 export function getRandomSafePosition(minRadius, maxRadius, existingPositions, minDistance = 5) {
     for (let attempts = 0; attempts < 50; attempts++) {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = minRadius + Math.random() * (maxRadius - minRadius);
+        const angle = random() * Math.PI * 2;
+        const radius = minRadius + random() * (maxRadius - minRadius);
         const x = Math.cos(angle) * radius;
         const z = Math.sin(angle) * radius;
 
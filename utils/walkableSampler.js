@@ -1,6 +1,7 @@
 import * as THREE from "three";
 import { evalBezierSurface } from "../objects/surface.js";
 import { getBSplineSurfaceWorldPointAtNormalized } from "../objects/bsplineSurface.js";
+import { random } from "./random.js";
 
 const BEZIER_GRID_SIZE = 20;
 const NEWTON_EPS = 1e-5;
@@ -112,8 +113,8 @@ export function createBezierSampler(controlPoints) {
         evalAt,
         velocityToUV,
         sample() {
-            const u = Math.random();
-            const v = Math.random();
+            const u = random();
+            const v = random();
             const pos = evalBezierSurface(u, v, controlPoints);
             return { pos, u, v };
         },
@@ -233,8 +234,8 @@ export function createBSplineSampler(group, controlPoints) {
         evalAt,
         velocityToUV,
         sample() {
-            const u = Math.random();
-            const v = Math.random();
+            const u = random();
+            const v = random();
             getBSplineSurfaceWorldPointAtNormalized(group, controlPoints, u, v, _eval);
             return { pos: _eval.clone(), u, v };
         },
@@ -266,8 +267,8 @@ export function createBridgeDeckSampler(cx, deckTopY, cz, scale, deckLength, dec
     const xMin = cx - halfW, xMax = cx + halfW, zMin = cz - halfL, zMax = cz + halfL;
     return {
         sample() {
-            const x = cx + (Math.random() * 2 - 1) * halfW;
-            const z = cz + (Math.random() * 2 - 1) * halfL;
+            const x = cx + (random() * 2 - 1) * halfW;
+            const z = cz + (random() * 2 - 1) * halfL;
             return new THREE.Vector3(x, deckTopY, z);
         },
         contains(x, z) {
@@ -333,15 +334,15 @@ export function createConnectionSampler(points) {
 
     return {
         sample() {
-            let t = Math.random() * totalArea;
+            let t = random() * totalArea;
             let idx = 0;
             for (let i = 0; i < areas.length; i++) {
                 if (t < areas[i]) { idx = i; break; }
                 t -= areas[i];
             }
             const [a, b, c] = triangles[idx];
-            let u = Math.random();
-            let v = Math.random();
+            let u = random();
+            let v = random();
             if (u + v > 1) { u = 1 - u; v = 1 - v; }
             const w = 1 - u - v;
             return new THREE.Vector3(
@@ -399,15 +400,15 @@ export function createQuadSampler(points) {
 
     return {
         sample() {
-            let t = Math.random() * totalArea;
+            let t = random() * totalArea;
             let idx = 0;
             for (let i = 0; i < areas.length; i++) {
                 if (t < areas[i]) { idx = i; break; }
                 t -= areas[i];
             }
             const [a, b, c] = triangles[idx];
-            let u = Math.random();
-            let v = Math.random();
+            let u = random();
+            let v = random();
             if (u + v > 1) { u = 1 - u; v = 1 - v; }
             const w = 1 - u - v;
             return new THREE.Vector3(
@@ -455,13 +456,13 @@ export function createStaircaseSampler(start, end, width, stepHeight = 0.5) {
     const halfW = width / 2;
     return {
         sample() {
-            const t = Math.random();
+            const t = random();
             const along = new THREE.Vector3(
                 start.x + dx * t,
                 start.y + dy * t + yOffset,
                 start.z + dz * t
             );
-            const offset = (Math.random() * 2 - 1) * halfW;
+            const offset = (random() * 2 - 1) * halfW;
             along.x += perpNormX * offset;
             along.z += perpNormZ * offset;
             return along;
@@ -508,6 +509,7 @@ export function createCombinedSampler(regions, options = {}) {
     const walkableMeshes = options.walkableMeshes ?? [];
     const yCeiling = options.yCeiling ?? DEFAULT_Y_CEILING;
     let heightGrid = null;
+    let regionGrid = null; // index of the region that gave each cell its height, -1 where none did
     let gridMinX = 0, gridMaxX = 0, gridMinZ = 0, gridMaxZ = 0;
     let numX = 0, numZ = 0;
 
@@ -520,6 +522,7 @@ export function createCombinedSampler(regions, options = {}) {
         numZ = Math.max(1, Math.ceil((gridMaxZ - gridMinZ) / cellSize));
         heightGrid = new Float64Array(numX * numZ);
         heightGrid.fill(HEIGHT_GRID_SENTINEL);
+        regionGrid = new Int8Array(numX * numZ).fill(-1);
         // Sample multiple points per cell (center + 4 corners) so partially covered cells get a valid height
         const cellSamples = [
             { u: 0.5, v: 0.5 },   // center
@@ -536,6 +539,7 @@ export function createCombinedSampler(regions, options = {}) {
                             const y = r.getY ? r.getY(x, z) : null;
                             if (y != null) {
                                 heightGrid[i * numZ + j] = y;
+                                regionGrid[i * numZ + j] = ri;
                                 break;
                             }
                         }
@@ -554,7 +558,7 @@ export function createCombinedSampler(regions, options = {}) {
 
     return {
         sampleRandom() {
-            const i = Math.floor(Math.random() * regions.length);
+            const i = Math.floor(random() * regions.length);
             const region = regions[i];
             const sampleResult = region.sample();
             if (region.surfaceType && (region.surfaceType === 'bezier' || region.surfaceType === 'bspline') && sampleResult && typeof sampleResult === 'object' && 'pos' in sampleResult && 'u' in sampleResult && 'v' in sampleResult) {
@@ -793,6 +797,25 @@ export function createCombinedSampler(regions, options = {}) {
             }
             return { x: bestNx, z: bestNz, y: bestY, inside: false };
         },
+        /**
+         * Index into `regions` of the walkable region under (x, z): the region that gave its grid cell its height, or
+         * (without a grid, or in cells it does not cover) the first region that contains the point.
+         * @param {number} x - world X
+         * @param {number} z - world Z
+         * @returns {number} -1 where no region is walkable
+         */
+        getRegionIndex(x, z) {
+            if (regionGrid) {
+                const ix = Math.floor((x - gridMinX) / cellSize);
+                const iz = Math.floor((z - gridMinZ) / cellSize);
+                if (ix >= 0 && ix < numX && iz >= 0 && iz < numZ && regionGrid[ix * numZ + iz] >= 0) return regionGrid[ix * numZ + iz];
+            }
+            for (let i = 0; i < regions.length; i++) {
+                const r = regions[i];
+                if (r.contains && r.contains(x, z) && (!r.getY || r.getY(x, z) != null)) return i;
+            }
+            return -1;
+        },
         /**
          * Get grid cell bounds for debug visualization.
          * Returns array of Box3 objects representing each grid cell that has valid height data.
@@ -821,6 +844,15 @@ export function createCombinedSampler(regions, options = {}) {
             }
             return cells;
         },
+        /**
+         * Raw height grid for grid-based planners (flow fields, A*). heights[ix * numZ + iz] is the walkable height
+         * of cell (ix, iz), NaN where not walkable. Do not modify.
+         * @returns {{ minX: number, minZ: number, cellSize: number, numX: number, numZ: number, heights: Float64Array } | null}
+         */
+        getGrid() {
+            if (!heightGrid) return null;
+            return { minX: gridMinX, minZ: gridMinZ, cellSize, numX, numZ, heights: heightGrid };
+        },
         regions
     };
 }